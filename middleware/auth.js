@@ -1,51 +1,226 @@
 /**
  * K11 OMNI ELITE — AUTH MIDDLEWARE
  * ══════════════════════════════════
- * Token Bearer simples para proteger todos os endpoints.
- * Token configurado via API_SECRET_TOKEN no .env
+ * Autentica cada requisição por chave de API de um usuário nomeado
+ * (Authorization: Bearer k11_...) e anexa a identidade em req.user:
+ *   { id, name, role, stores, via }
+ *
+ * API_SECRET_TOKEN continua aceito como chave de admin legada
+ * (para bootstrap — crie usuários e migre).
+ *
+ * Tokens de sessão (k11s.…, ver services/sessions.js) são aceitos no
+ * header e — só eles — em ?_token= nas rotas de stream (SSE / WebSocket), onde o
+ * browser não consegue mandar headers. Cada sessão carrega escopos:
+ *   read → GET/HEAD · write → demais métodos · stream → SSE
+ *
+ * Sem usuários e sem API_SECRET_TOKEN:
+ *   - desenvolvimento → acesso liberado como admin "dev" (com aviso)
+ *   - produção        → 503, nada é servido sem credenciais
+ *
+ * requireRole(role) protege rotas por papel:
+ *   viewer → operador → supervisor → admin
+ *
+ * requireDatasetAccess protege rotas com :dataset pelo registro de datasets:
+ * nome desconhecido → 404, loja fora do escopo ou papel abaixo de
+ * permissions.read (GET) / permissions.write (demais métodos) → 403.
  */
 
 'use strict';
 
+const crypto = require('crypto');
 const logger = require('../services/logger');
+const users  = require('../services/users');
+const sessions  = require('../services/sessions');
+const datastore = require('../services/datastore');
 
 // Rotas públicas que não precisam de token
 const PUBLIC_PATHS = [
     '/health',
     '/api/status',
+    '/api/auth/session/refresh',   // o access token pode já ter expirado
 ];
 
+// Rotas de stream: aceitam token de sessão na URL e exigem escopo "stream"
+const STREAM_PATHS = [
+    '/api/system/stream',
+    '/api/data/events',
+    '/api/data/ws',
+    '/api/notifications/stream',
+];
+
+// Abrir/encerrar a própria sessão não depende de escopo
+const SESSION_PATH = '/api/auth/session';
+
+const LEGACY_ADMIN = { id: 'legacy-admin', name: 'API_SECRET_TOKEN', role: 'admin', stores: ['*'], via: 'legacy-token' };
+const DEV_ADMIN    = { id: 'dev',          name: 'dev',              role: 'admin', stores: ['*'], via: 'dev-mode' };
+
+let _warnedDevMode = false;
+
 function authMiddleware(req, res, next) {
     // Rotas públicas passam direto
     if (PUBLIC_PATHS.some(p => req.path.startsWith(p))) {
         return next();
     }
 
-    const token     = process.env.API_SECRET_TOKEN;
-    const authHeader = req.headers['authorization'] || '';
-    const provided  = authHeader.startsWith('Bearer ')
-        ? authHeader.slice(7).trim()
-        : req.query._token || '';
+    const result = authenticate(req);
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
 
-    if (!token) {
-        // Sem token configurado = modo desenvolvimento (sem auth)
-        logger.warn('AUTH', 'API_SECRET_TOKEN não configurado — auth desativada');
-        return next();
+    req.user = result.user;
+    next();
+}
+
+/**
+ * Resolve a identidade de uma requisição sem responder nada —
+ * usado pelo middleware e pelo upgrade do WebSocket.
+ * req precisa de headers, path, query, method e ip.
+ * Retorna { user } ou { status, error }.
+ */
+function authenticate(req) {
+    const legacyToken = process.env.API_SECRET_TOKEN;
+    const authHeader  = req.headers['authorization'] || '';
+    const fromHeader  = authHeader.startsWith('Bearer ');
+    const provided    = fromHeader ? authHeader.slice(7).trim() : String(req.query._token || '');
+
+    if (!legacyToken && !users.hasUsers()) {
+        if (process.env.NODE_ENV === 'production') {
+            logger.critical('AUTH', 'Nenhum usuário nem API_SECRET_TOKEN configurado — requisições bloqueadas');
+            return { status: 503, error: 'Autenticação não configurada no servidor' };
+        }
+        // Sem credenciais configuradas = modo desenvolvimento
+        if (!_warnedDevMode) {
+            logger.warn('AUTH', 'Nenhum usuário nem API_SECRET_TOKEN configurado — modo dev, acesso como admin');
+            _warnedDevMode = true;
+        }
+        return { user: DEV_ADMIN };
+    }
+
+    // Token na URL vaza em logs e histórico — só sessões curtas, só em stream
+    if (!fromHeader && provided) {
+        if (!sessions.isSessionToken(provided) || !_isStreamPath(req.path)) {
+            logger.warn('AUTH', 'Credencial recusada na URL', { ip: req.ip, path: req.path });
+            return {
+                status: 401,
+                error:  'Na URL só são aceitos tokens de sessão em rotas de stream. Obtenha um em POST /api/auth/session',
+            };
+        }
     }
 
-    if (!provided || provided !== token) {
+    if (sessions.isSessionToken(provided)) {
+        return _authenticateSession(req, provided);
+    }
+
+    const identity = users.authenticateKey(provided)
+        || (legacyToken && _safeEqual(provided, legacyToken) ? LEGACY_ADMIN : null);
+
+    if (!identity) {
         logger.warn('AUTH', 'Token inválido ou ausente', {
             ip:   req.ip,
             path: req.path,
             ua:   req.headers['user-agent']?.slice(0, 60),
         });
-        return res.status(401).json({
+        return { status: 401, error: 'Não autorizado. Envie o token em Authorization: Bearer <token>' };
+    }
+
+    return { user: identity };
+}
+
+/**
+ * Exige papel mínimo. Use depois do authMiddleware:
+ *   router.delete('/logs', requireRole('admin'), handler)
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (req.user && users.hasRole(req.user.role, role)) return next();
+
+        logger.warn('AUTH', `Acesso negado: requer ${role}`, {
+            user: req.user?.name,
+            role: req.user?.role,
+            path: req.path,
+        });
+        res.status(403).json({
+            ok:    false,
+            error: `Acesso negado. Requer papel "${role}" ou superior`,
+        });
+    };
+}
+
+/**
+ * Handler para router.param('dataset'): aplica o registro de datasets.
+ * GET/HEAD exigem permissions.read; os demais métodos, permissions.write.
+ */
+function requireDatasetAccess(req, res, next, dataset) {
+    const registry = datastore.registry;
+    const def      = registry.get(dataset);
+
+    if (!def) {
+        return res.status(404).json({ ok: false, error: `Dataset "${dataset}" não registrado` });
+    }
+
+    if (!registry.canAccess(req.user, dataset)) {
+        logger.warn('AUTH', `Acesso negado ao dataset ${dataset}`, {
+            user:   req.user?.name,
+            stores: req.user?.stores,
+            path:   req.path,
+        });
+        return res.status(403).json({
             ok:    false,
-            error: 'Não autorizado. Envie o token em Authorization: Bearer <token>',
+            error: `Acesso negado ao dataset "${dataset}" — fora das lojas do usuário`,
+        });
+    }
+
+    const op = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+    if (!users.hasRole(req.user?.role, def.permissions[op])) {
+        logger.warn('AUTH', `Acesso negado ao dataset ${dataset}: ${op} requer ${def.permissions[op]}`, {
+            user: req.user?.name,
+            role: req.user?.role,
+            path: req.path,
+        });
+        return res.status(403).json({
+            ok:    false,
+            error: `Acesso negado. ${op === 'read' ? 'Leitura' : 'Escrita'} em "${dataset}" requer papel "${def.permissions[op]}" ou superior`,
         });
     }
 
     next();
 }
 
+function _authenticateSession(req, token) {
+    let identity;
+    try {
+        identity = sessions.verify(token);
+    } catch (err) {
+        if (!(err instanceof sessions.SessionError)) throw err;
+        logger.warn('AUTH', `Token de sessão recusado: ${err.message}`, { ip: req.ip, path: req.path });
+        return { status: 401, error: err.message };
+    }
+
+    const scope = _requiredScope(req);
+    if (scope && !identity.scopes.includes(scope)) {
+        logger.warn('AUTH', `Escopo insuficiente: requer ${scope}`, { user: identity.name, path: req.path });
+        return { status: 403, error: `Sessão sem o escopo "${scope}"` };
+    }
+
+    return { user: identity };
+}
+
+/** Escopo que a requisição exige de uma sessão (null = nenhum) */
+function _requiredScope(req) {
+    if (req.path === SESSION_PATH) return null;
+    if (_isStreamPath(req.path))   return 'stream';
+    return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+}
+
+function _isStreamPath(path) {
+    return STREAM_PATHS.some(p => path.startsWith(p));
+}
+
+function _safeEqual(a, b) {
+    const ha = crypto.createHash('sha256').update(String(a)).digest();
+    const hb = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(ha, hb);
+}
+
 module.exports = authMiddleware;
+module.exports.authenticate = authenticate;
+module.exports.requireRole = requireRole;
+module.exports.requireDatasetAccess = requireDatasetAccess;
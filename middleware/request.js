@@ -0,0 +1,29 @@
+/**
+ * K11 OMNI ELITE — REQUEST HELPERS
+ * ══════════════════════════════════
+ * Leituras da requisição compartilhadas pelas rotas:
+ *
+ *   requestActor(req)  → { user, ip } — quem fez a requisição, gravado
+ *                        na trilha de auditoria
+ *   parseIfMatch(req)  → versão esperada do If-Match ("v3" → 3)
+ */
+
+'use strict';
+
+/** Quem fez a requisição — gravado na trilha de auditoria */
+function requestActor(req) {
+    return { user: req.user?.name ?? null, ip: req.ip };
+}
+
+/**
+ * Lê If-Match e retorna a versão esperada.
+ * null = sem header (ou "*"), undefined = header inválido.
+ */
+function parseIfMatch(req) {
+    const header = req.headers['if-match'];
+    if (!header || header.trim() === '*') return null;
+    const match = header.trim().match(/^(?:W\/)?"?v?(\d+)"?$/);
+    return match ? parseInt(match[1], 10) : undefined;
+}
+
+module.exports = { requestActor, parseIfMatch };
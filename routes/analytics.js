@@ -0,0 +1,151 @@
+/**
+ * K11 OMNI ELITE — ANALYTICS ROUTES
+ * ═══════════════════════════════════
+ * GET /api/analytics/reorder   → sugestão de compra por fornecedor
+ *                                (days, leadTimeDays, safetyDays, coverageDays,
+ *                                 loja, fornecedorId, all=1, format=csv)
+ * GET /api/analytics/pdv/compare → período atual (pdv) × anterior (pdvAnterior)
+ *                                (loja, categoria, limit, by=valor|quantidade)
+ * GET /api/analytics/sales       → vendas consolidadas das lojas
+ *                                (groupBy=loja,produto,categoria,dia,mes, from, to,
+ *                                 loja, categoria, sort, limit, offset)
+ *
+ * Vendas e saldos ficam restritos às lojas da identidade.
+ */
+
+'use strict';
+
+const router    = require('express').Router();
+const datastore = require('../services/datastore');
+const reorder   = require('../services/reorder');
+const sales     = require('../services/sales');
+const logger    = require('../services/logger');
+const stores    = require('../services/stores');
+const { DataStoreError } = datastore;
+
+const registry = datastore.registry;
+
+// ── GET /api/analytics/reorder ────────────────────────────────
+router.get('/reorder', async (req, res) => {
+    const denied = ['produtos', 'fornecedor'].filter(d => !registry.canRead(req.user, d));
+    if (denied.length) {
+        return res.status(403).json({ ok: false, error: `Acesso negado aos datasets: ${denied.join(', ')}` });
+    }
+
+    const { loja, fornecedorId, format } = req.query;
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    if (format && !['json', 'csv'].includes(format)) {
+        return res.status(400).json({ ok: false, error: '"format" deve ser json ou csv' });
+    }
+
+    const options = { loja, fornecedorId, all: req.query.all === '1' || req.query.all === 'true' };
+    for (const key of ['days', 'leadTimeDays', 'safetyDays', 'coverageDays']) {
+        if (req.query[key] === undefined) continue;
+        const value = Number(req.query[key]);
+        if (!Number.isInteger(value) || value < 0 || value > 365 || (key === 'days' && value === 0)) {
+            return res.status(400).json({ ok: false, error: `"${key}" deve ser um inteiro entre ${key === 'days' ? 1 : 0} e 365` });
+        }
+        options[key] = value;
+    }
+
+    try {
+        const result = await reorder.suggest(req.user, options);
+
+        if (format === 'csv') {
+            const date = result.params.until.slice(0, 10);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="sugestao-compra-${date}.csv"`);
+            return res.send(reorder.toCsv(result));
+        }
+        res.json({ ok: true, ...result });
+
+    } catch (err) {
+        _sendError(res, err, 'Falha na sugestão de compra');
+    }
+});
+
+// ── GET /api/analytics/pdv/compare ────────────────────────────
+router.get('/pdv/compare', async (req, res) => {
+    const denied = [sales.CURRENT, sales.PREVIOUS, 'produtos'].filter(d => !registry.canRead(req.user, d));
+    if (denied.length) {
+        return res.status(403).json({ ok: false, error: `Acesso negado aos datasets: ${denied.join(', ')}` });
+    }
+
+    const { loja, categoria, by = 'valor' } = req.query;
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    if (!sales.METRICS.includes(by)) {
+        return res.status(400).json({ ok: false, error: `"by" deve ser um de: ${sales.METRICS.join(', ')}` });
+    }
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ ok: false, error: '"limit" deve ser um inteiro entre 1 e 100' });
+    }
+
+    try {
+        const result = await sales.compare({ loja, categoria, limit, by });
+        res.setHeader('X-Cache', result.cached ? 'HIT' : 'MISS');
+        res.json({ ok: true, ...result });
+    } catch (err) {
+        _sendError(res, err, 'Falha na comparação de períodos do PDV');
+    }
+});
+
+// ── GET /api/analytics/sales ──────────────────────────────────
+router.get('/sales', async (req, res) => {
+    if (!registry.canRead(req.user, 'produtos')) {
+        return res.status(403).json({ ok: false, error: 'Acesso negado ao dataset "produtos"' });
+    }
+
+    const { loja, categoria, from, to, sort = 'valor' } = req.query;
+    const groupBy = String(req.query.groupBy || 'loja').split(',').map(d => d.trim()).filter(Boolean);
+    const unknown = groupBy.filter(d => !Object.hasOwn(sales.DIMENSIONS, d));
+    if (unknown.length || new Set(groupBy).size !== groupBy.length) {
+        return res.status(400).json({ ok: false, error: `"groupBy" aceita, sem repetir: ${Object.keys(sales.DIMENSIONS).join(', ')}` });
+    }
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    if (loja && !stores.canAccessStore(req.user, loja)) {
+        return res.status(403).json({ ok: false, error: `Acesso negado à loja ${loja}` });
+    }
+    if (!sales.SORT_METRICS.includes(sort)) {
+        return res.status(400).json({ ok: false, error: `"sort" deve ser um de: ${sales.SORT_METRICS.join(', ')}` });
+    }
+    for (const [key, value] of Object.entries({ from, to })) {
+        if (value !== undefined && Number.isNaN(Date.parse(value))) {
+            return res.status(400).json({ ok: false, error: `"${key}" deve ser uma data ISO` });
+        }
+    }
+    const limit  = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ ok: false, error: '"limit" deve ser um inteiro entre 1 e 1000' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ ok: false, error: '"offset" deve ser um inteiro >= 0' });
+    }
+
+    try {
+        const result = await sales.aggregate(req.user, { groupBy, from, to, loja, categoria, sort, limit, offset });
+        res.setHeader('X-Cache', result.cached ? 'HIT' : 'MISS');
+        res.json({ ok: true, ...result });
+    } catch (err) {
+        _sendError(res, err, 'Falha na consolidação de vendas');
+    }
+});
+
+// ── HELPERS ───────────────────────────────────────────────────
+function _sendError(res, err, message) {
+    // dataset degradado (JSON corrompido) → 503, não falha do servidor
+    if (err instanceof DataStoreError) {
+        return res.status(err.status).json({ ok: false, error: err.message, code: err.code, ...(err.details && { errors: err.details }) });
+    }
+    logger.error('ROUTES/ANALYTICS', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * K11 OMNI ELITE — AUTH ROUTES
+ * ══════════════════════════════
+ * GET    /api/auth/me                     → identidade da requisição
+ * POST   /api/auth/session                → troca a chave de API por token de sessão
+ * POST   /api/auth/session/refresh        → renova com o refresh token (público)
+ * DELETE /api/auth/session                → encerra a sessão atual (logout)
+ * GET    /api/auth/sessions               → sessões ativas           (admin)
+ * DELETE /api/auth/sessions/:id           → revoga uma sessão        (admin)
+ * GET    /api/auth/users                  → lista usuários           (admin)
+ * POST   /api/auth/users                  → cria usuário + 1ª chave  (admin)
+ * GET    /api/auth/users/:id              → usuário + chaves         (admin)
+ * PATCH  /api/auth/users/:id              → altera role/stores/active (admin)
+ * POST   /api/auth/users/:id/keys         → gera nova chave de API   (admin)
+ * DELETE /api/auth/users/:id/keys/:keyId  → revoga chave de API      (admin)
+ */
+
+'use strict';
+
+const router          = require('express').Router();
+const users           = require('../services/users');
+const sessions        = require('../services/sessions');
+const logger          = require('../services/logger');
+const { requireRole } = require('../middleware/auth');
+
+// ── GET /api/auth/me ──────────────────────────────────────────
+router.get('/me', (req, res) => {
+    res.json({ ok: true, user: req.user });
+});
+
+// ── SESSÕES ───────────────────────────────────────────────────
+// Authorization: Bearer <chave de API>   Body: { scopes?: ["read","write","stream"] }
+router.post('/session', (req, res) => {
+    if (req.user.via === 'session') {
+        return res.status(400).json({ ok: false, error: 'Sessões não abrem novas sessões — use /api/auth/session/refresh' });
+    }
+
+    try {
+        const session = sessions.create(req.user, { scopes: req.body?.scopes });
+        res.status(201).json({ ok: true, tokenType: 'Bearer', ...session });
+    } catch (err) {
+        _handleError(res, err, 'Falha ao abrir sessão');
+    }
+});
+
+// Rota pública: identifica a sessão apenas pelo refresh token
+router.post('/session/refresh', (req, res) => {
+    try {
+        const session = sessions.refresh(req.body?.refreshToken);
+        res.json({ ok: true, tokenType: 'Bearer', ...session });
+    } catch (err) {
+        _handleError(res, err, 'Falha ao renovar sessão');
+    }
+});
+
+// Body opcional: { refreshToken } — encerra a sessão dona do refresh
+router.delete('/session', (req, res) => {
+    const revoked = req.body?.refreshToken
+        ? sessions.revokeByRefresh(req.body.refreshToken)
+        : req.user.sid && sessions.revoke(req.user.sid);
+    if (!revoked) return res.status(404).json({ ok: false, error: 'Nenhuma sessão ativa para encerrar' });
+    res.json({ ok: true, message: 'Sessão encerrada' });
+});
+
+router.get('/sessions', requireRole('admin'), (req, res) => {
+    res.json({ ok: true, sessions: sessions.listActive() });
+});
+
+router.delete('/sessions/:id', requireRole('admin'), (req, res) => {
+    if (!sessions.revoke(req.params.id)) {
+        return res.status(404).json({ ok: false, error: 'Sessão não encontrada ou já revogada' });
+    }
+    logger.info('ROUTES/AUTH', `Sessão ${req.params.id} revogada por ${req.user.name}`);
+    res.json({ ok: true, message: 'Sessão revogada' });
+});
+
+// ── USUÁRIOS (admin) ──────────────────────────────────────────
+router.get('/users', requireRole('admin'), (req, res) => {
+    res.json({ ok: true, roles: users.ROLES, users: users.listUsers() });
+});
+
+router.post('/users', requireRole('admin'), (req, res) => {
+    const { name, role, stores, keyLabel } = req.body || {};
+
+    try {
+        const user = users.createUser({ name, role, stores });
+        const key  = users.createApiKey(user.id, { label: keyLabel || 'inicial' });
+        logger.info('ROUTES/AUTH', `Usuário ${user.name} criado por ${req.user.name}`, { role: user.role });
+        res.status(201).json({ ok: true, user, apiKey: key, warning: 'Guarde a chave agora — ela não será exibida novamente' });
+    } catch (err) {
+        _handleError(res, err, 'Falha ao criar usuário');
+    }
+});
+
+router.get('/users/:id', requireRole('admin'), (req, res) => {
+    const user = users.getUser(req.params.id);
+    if (!user) return res.status(404).json({ ok: false, error: 'Usuário não encontrado' });
+    res.json({ ok: true, user });
+});
+
+router.patch('/users/:id', requireRole('admin'), (req, res) => {
+    const { role, active, stores } = req.body || {};
+
+    try {
+        const user = users.updateUser(req.params.id, { role, active, stores });
+        if (!user) return res.status(404).json({ ok: false, error: 'Usuário não encontrado' });
+        logger.info('ROUTES/AUTH', `Usuário ${user.name} alterado por ${req.user.name}`, { role, active, stores });
+        res.json({ ok: true, user });
+    } catch (err) {
+        _handleError(res, err, 'Falha ao alterar usuário');
+    }
+});
+
+// ── CHAVES DE API (admin) ─────────────────────────────────────
+// Body: { label?, stores? } — stores restringe a chave a parte das lojas do usuário
+router.post('/users/:id/keys', requireRole('admin'), (req, res) => {
+    try {
+        const key = users.createApiKey(req.params.id, { label: req.body?.label || null, stores: req.body?.stores ?? null });
+        if (!key) return res.status(404).json({ ok: false, error: 'Usuário não encontrado' });
+        res.status(201).json({ ok: true, apiKey: key, warning: 'Guarde a chave agora — ela não será exibida novamente' });
+    } catch (err) {
+        _handleError(res, err, 'Falha ao criar chave');
+    }
+});
+
+router.delete('/users/:id/keys/:keyId', requireRole('admin'), (req, res) => {
+    const revoked = users.revokeApiKey(req.params.id, req.params.keyId);
+    if (!revoked) return res.status(404).json({ ok: false, error: 'Chave não encontrada ou já revogada' });
+    res.json({ ok: true, message: 'Chave revogada' });
+});
+
+// ── HELPER ────────────────────────────────────────────────────
+function _handleError(res, err, message) {
+    if (err instanceof users.UserError || err instanceof sessions.SessionError) {
+        return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    logger.error('ROUTES/AUTH', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+module.exports = router;
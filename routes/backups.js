@@ -0,0 +1,99 @@
+/**
+ * K11 OMNI ELITE — BACKUP ROUTES (admin)
+ * ═══════════════════════════════════════
+ * GET  /api/backups               → snapshots e backups completos (kind, dataset, limit, offset)
+ * POST /api/backups               → backup completo agora ({ dataset? } → só o snapshot dele)
+ * GET  /api/backups/:id           → metadados (datasets, linhas, cursor, tamanho)
+ * GET  /api/backups/:id/diff      → snapshot × dados atuais (dataset= nos backups completos)
+ * POST /api/backups/restore       → { at | snapshotId, dataset?, dryRun? } — sem dataset, todos
+ *
+ * Retenção, agendamento e a restauração para um instante em services/backups.js.
+ */
+
+'use strict';
+
+const router    = require('express').Router();
+const backups   = require('../services/backups');
+const logger    = require('../services/logger');
+const { DataStoreError } = require('../services/datastore');
+const { requireRole } = require('../middleware/auth');
+const { requestActor } = require('../middleware/request');
+
+router.use(requireRole('admin'));
+
+// ── CONSULTA ──────────────────────────────────────────────────
+router.get('/', (req, res) => {
+    const { kind, dataset } = req.query;
+    const limit  = parseInt(req.query.limit || '100', 10);
+    const offset = parseInt(req.query.offset || '0', 10);
+    if (kind && !backups.KINDS.includes(kind)) {
+        return res.status(400).json({ ok: false, error: `"kind" deve ser um de: ${backups.KINDS.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ ok: false, error: '"limit" deve estar entre 1 e 1000 e "offset" ser >= 0' });
+    }
+    try {
+        res.json({ ok: true, ...backups.list({ kind, dataset, limit, offset }) });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao listar backups');
+    }
+});
+
+router.get('/:id', (req, res) => {
+    try {
+        res.json({ ok: true, backup: backups.get(req.params.id) });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao ler backup');
+    }
+});
+
+router.get('/:id/diff', (req, res) => {
+    try {
+        res.json({ ok: true, ...backups.diffWithCurrent(req.params.id, req.query.dataset) });
+    } catch (err) {
+        _sendError(res, err, `Falha ao comparar backup ${req.params.id}`);
+    }
+});
+
+// ── CRIAÇÃO E RESTAURAÇÃO ─────────────────────────────────────
+router.post('/', (req, res) => {
+    const { dataset } = req.body || {};
+    try {
+        const backup = dataset
+            ? backups.snapshot(dataset, { reason: 'manual', actor: requestActor(req) })
+            : backups.backupAll({ reason: 'manual', actor: requestActor(req) });
+        if (!backup) {
+            return res.status(200).json({ ok: true, backup: null, message: `Nada a gravar: "${dataset}" não mudou desde o último snapshot ou nunca foi importado` });
+        }
+        res.status(201).json({ ok: true, backup });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao gravar backup');
+    }
+});
+
+router.post('/restore', async (req, res) => {
+    const { dataset = null, at = null, snapshotId = null, dryRun = false } = req.body || {};
+    if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({ ok: false, error: '"dryRun" deve ser booleano' });
+    }
+    try {
+        const result = await backups.restore({ dataset, at, snapshotId, dryRun, actor: requestActor(req) });
+        res.json({ ok: true, ...result });
+    } catch (err) {
+        _sendError(res, err, 'Falha na restauração');
+    }
+});
+
+// ── HELPERS ───────────────────────────────────────────────────
+function _sendError(res, err, message) {
+    if (err instanceof backups.BackupError) {
+        return res.status(err.status).json({ ok: false, error: err.message, ...(err.details && { details: err.details }) });
+    }
+    if (err instanceof DataStoreError) {
+        return res.status(err.status).json({ ok: false, error: err.message, code: err.code, ...(err.details && { errors: err.details }) });
+    }
+    logger.error('ROUTES/BACKUPS', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+module.exports = router;
@@ -1,40 +1,261 @@
 /**
  * K11 OMNI ELITE — DATA ROUTES
  * ══════════════════════════════
- * GET  /api/data/:dataset          → retorna dataset completo
+ * GET  /api/data/:dataset          → retorna dataset (filtro, ordenação, paginação, projeção)
+ *                                    CSV/XLSX/NDJSON em stream via Accept ou ?format=
+ * GET  /api/data/:dataset/:id      → retorna um item
  * GET  /api/data/all               → retorna todos os datasets
+ * POST /api/data/:dataset          → cria item (id gerado no servidor)
+ * POST /api/data/:dataset/bulk     → upsert em lote, resultado por item
+ * POST /api/data/:dataset/import   → importa CSV/XLSX (mapeamento, dryRun, merge/replace)
  * PUT  /api/data/:dataset/:id      → atualiza item por ID
- * POST /api/data/tarefas/:id/toggle → toggle done em tarefa
- * GET  /api/data/files             → lista arquivos na pasta /data
+ * DELETE /api/data/:dataset/:id    → remove item por ID
+ * POST /api/data/tarefas/:id/toggle → toggle done em tarefa (regras completas em /api/tasks)
+ * GET  /api/data/files             → datasets registrados + estado dos arquivos em /data
+ * GET  /api/data/events            → SSE: "dataset:changed" (?datasets=pdv,produtos)
+ * WS   /api/data/ws                → deltas por linha com cursor (services/realtime.js)
+ * GET  /api/data/registry          → registro de datasets visíveis ao usuário
+ * POST /api/data/registry          → registra dataset (admin)
+ * PATCH /api/data/registry/:name   → altera dataset registrado pela API (admin)
+ * DELETE /api/data/registry/:name  → remove dataset registrado pela API (admin)
+ * GET  /api/data/auditoria/trail   → trilha de auditoria (dataset, id, from, to)
+ * POST /api/data/:dataset/:id/revert → reverte item para uma versão passada
+ *
+ * Papéis: leitura → qualquer usuário · criar/editar/toggle → operador
+ *         bulk/import/delete/revert/trilha/cache → supervisor
+ * Além disso, cada dataset pode exigir papel maior para ler/escrever
+ * (permissions no registro) — ver middleware/auth.js.
+ *
+ * Concorrência otimista: listagens e itens retornam ETag;
+ * If-None-Match → 304, e PUT/DELETE com If-Match desatualizado → 412.
+ *
+ * Datasets com escopo por linha (storeField no registro, ex.: tarefas.loja):
+ * linha de loja alheia não aparece e responde 404; bulk/import/revert
+ * exigem atuar em todas as lojas.
  */
 
 'use strict';
 
-const router    = require('express').Router();
+const express   = require('express');
+const router    = express.Router();
+const crypto    = require('crypto');
+const { Readable, pipeline } = require('stream');
 const datastore = require('../services/datastore');
+const { DataStoreError } = datastore;
+const query     = require('../services/query');
+const importer  = require('../services/importer');
+const exporter  = require('../services/exporter');
 const logger    = require('../services/logger');
+const stores    = require('../services/stores');
+const tasks     = require('../services/tasks');
+const users     = require('../services/users');
+const { RegistryError } = require('../services/registry');
+const { SpreadsheetError } = require('../services/spreadsheet');
+const { requireRole, requireDatasetAccess } = require('../middleware/auth');
+const { requestActor, parseIfMatch } = require('../middleware/request');
+
+const registry = datastore.registry;
+
+const IMPORT_LIMIT = process.env.IMPORT_MAX_SIZE || '20mb';
+
+// Registro + escopo de loja + permissões: toda rota com :dataset passa por aqui
+router.param('dataset', requireDatasetAccess);
+
+// ── EVENTOS EM TEMPO REAL (SSE) ───────────────────────────────
+const _eventClients = new Set();   // { res, user, datasets }
+
+// Repassa cada mudança para os clientes que assinam o dataset e podem lê-lo
+datastore.on('dataset:changed', (event) => {
+    const msg = `event: dataset:changed\ndata: ${JSON.stringify(event)}\n\n`;
+    _eventClients.forEach(client => {
+        if (client.datasets && !client.datasets.includes(event.dataset)) return;
+        if (!registry.canRead(client.user, event.dataset)) return;
+        try { client.res.write(msg); } catch (_) { _eventClients.delete(client); }
+    });
+});
+
+// GET /api/data/events — Query: datasets=pdv,produtos (padrão: todos os legíveis)
+// EventSource não envia headers: use ?_token=<token de sessão>
+router.get('/events', (req, res) => {
+    let datasets = null;
+    if (req.query.datasets) {
+        datasets = String(req.query.datasets).split(',').map(d => d.trim()).filter(Boolean);
+        const unknown = datasets.filter(d => !registry.get(d));
+        if (unknown.length) {
+            return res.status(404).json({ ok: false, error: `Datasets não registrados: ${unknown.join(', ')}` });
+        }
+        const denied = datasets.filter(d => !registry.canRead(req.user, d));
+        if (denied.length) {
+            return res.status(403).json({ ok: false, error: `Acesso negado aos datasets: ${denied.join(', ')}` });
+        }
+        datasets = datasets.map(d => registry.resolve(d));
+    }
+
+    res.setHeader('Content-Type',  'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection',    'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Nginx: desativa buffer
+
+    res.write(`event: connected\ndata: ${JSON.stringify({ datasets: datasets ?? 'all', ts: new Date().toISOString() })}\n\n`);
+
+    const client = { res, user: req.user, datasets };
+    _eventClients.add(client);
+    logger.info('SSE', `Cliente de eventos conectado (total: ${_eventClients.size})`, { user: req.user?.name, datasets });
+
+    // Keepalive a cada 25s para evitar timeout
+    const keepalive = setInterval(() => {
+        try { res.write(': ping\n\n'); } catch (_) { clearInterval(keepalive); }
+    }, 25_000);
+
+    req.on('close', () => {
+        clearInterval(keepalive);
+        _eventClients.delete(client);
+        logger.debug('SSE', `Cliente de eventos desconectado (total: ${_eventClients.size})`);
+    });
+});
 
 // GET /api/data/all — todos os datasets de uma vez
+// (apenas os datasets que o usuário pode ler)
 router.get('/all', async (req, res) => {
     try {
-        const all = await datastore.getAll();
-        res.json({ ok: true, data: all, ts: new Date().toISOString() });
+        const all     = await datastore.getAll();
+        const allowed = Object.fromEntries(Object.entries(all)
+            .filter(([name]) => registry.canRead(req.user, name))
+            .map(([name, data]) => [name, _scoped(req, name, data)]));
+        const degraded = datastore.listDegraded().filter(d => registry.canRead(req.user, d.dataset));
+        res.json({ ok: true, data: allowed, ...(degraded.length && { degraded }), ts: new Date().toISOString() });
     } catch (err) {
         logger.error('ROUTES/DATA', 'Falha ao carregar todos os dados', { error: err.message });
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
-// GET /api/data/files — lista arquivos disponíveis
-router.get('/files', (req, res) => {
-    res.json({ ok: true, files: datastore.listFiles() });
+// GET /api/data/files — datasets registrados, arquivos + linhas inválidas pelo schema
+// Admin vê também os JSONs em /data que não pertencem a nenhum dataset
+router.get('/files', async (req, res) => {
+    try {
+        const visible = datastore.listFiles().filter(f => registry.canRead(req.user, f.dataset));
+        const files   = await Promise.all(visible.map(async f => ({
+            ...f,
+            validation: f.imported ? await datastore.validateDataset(f.dataset) : null,
+        })));
+        const body = { ok: true, files };
+        if (users.hasRole(req.user?.role, 'admin')) body.unregistered = datastore.listUnregisteredFiles();
+        res.json(body);
+    } catch (err) {
+        logger.error('ROUTES/DATA', 'Falha ao listar arquivos', { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// ── REGISTRO DE DATASETS ──────────────────────────────────────
+// GET /api/data/registry — datasets que o usuário pode ler
+router.get('/registry', (req, res) => {
+    const datasets = registry.list().filter(d => registry.canRead(req.user, d.name));
+    res.json({ ok: true, reserved: registry.RESERVED, datasets });
+});
+
+// POST /api/data/registry — Body: { name, file?, idField?, schema?, store?, cacheTtlMs?, permissions?, description? }
+router.post('/registry', requireRole('admin'), (req, res) => {
+    const { name, ...definition } = req.body || {};
+    try {
+        const dataset = registry.register(name, definition, { actor: req.user.name });
+        res.status(201).json({ ok: true, dataset });
+    } catch (err) {
+        _sendRegistryError(res, err, 'Falha ao registrar dataset');
+    }
+});
+
+// PATCH /api/data/registry/:name — só datasets registrados pela API
+router.patch('/registry/:name', requireRole('admin'), (req, res) => {
+    const { name: _ignored, ...patch } = req.body || {};
+    try {
+        const dataset = registry.update(req.params.name, patch, { actor: req.user.name });
+        res.json({ ok: true, dataset });
+    } catch (err) {
+        _sendRegistryError(res, err, 'Falha ao alterar dataset');
+    }
+});
+
+// DELETE /api/data/registry/:name — as linhas gravadas permanecem no banco
+router.delete('/registry/:name', requireRole('admin'), (req, res) => {
+    try {
+        registry.remove(req.params.name, { actor: req.user.name });
+        res.json({ ok: true, message: `Dataset "${req.params.name}" removido do registro` });
+    } catch (err) {
+        _sendRegistryError(res, err, 'Falha ao remover dataset');
+    }
+});
+
+// GET /api/data/auditoria/trail — trilha de auditoria imutável
+// Query: dataset · id · from · to (ISO) · actor · action · limit · offset
+router.get('/auditoria/trail', requireRole('supervisor'), (req, res) => {
+    const { dataset, id, from, to, actor, action } = req.query;
+    const limit  = parseInt(req.query.limit  || '100', 10);
+    const offset = parseInt(req.query.offset || '0',   10);
+
+    // Usuário restrito a lojas só consulta a trilha de datasets que pode ler
+    if (!stores.hasAllStores(req.user?.stores)) {
+        if (!dataset) return res.status(403).json({ ok: false, error: 'Informe "dataset" — usuário restrito a lojas' });
+        if (!registry.canRead(req.user, dataset)) {
+            return res.status(403).json({ ok: false, error: `Acesso negado ao dataset "${dataset}" — fora das lojas do usuário` });
+        }
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && Number.isNaN(Date.parse(value))) {
+            return res.status(400).json({ ok: false, error: `"${name}" deve ser uma data ISO 8601` });
+        }
+    }
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ ok: false, error: '"limit" e "offset" devem ser inteiros positivos' });
+    }
+
+    try {
+        const trail = datastore.getTrail({
+            dataset, id, actor, action, limit, offset,
+            from: from ? new Date(from).toISOString() : undefined,
+            to:   to   ? new Date(to).toISOString()   : undefined,
+        });
+        // escopo por linha: entrada cujo antes ou depois é de loja alheia não aparece
+        const visible = row => !row || registry.canAccessRow(req.user, dataset, row);
+        const entries = dataset && registry.isRowScoped(req.user, dataset)
+            ? trail.entries.filter(e => visible(e.before) && visible(e.after))
+            : trail.entries;
+        const hidden  = trail.entries.length - entries.length;
+        res.json({ ok: true, total: trail.total, count: entries.length, ...(hidden && { hidden }), entries });
+    } catch (err) {
+        logger.error('ROUTES/DATA', 'Falha ao consultar trilha de auditoria', { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
 });
 
 // GET /api/data/:dataset — retorna dataset específico
+// Query: where[campo][op]=valor · sort=-campo · page · limit · fields=a,b
 router.get('/:dataset', async (req, res) => {
     const { dataset } = req.params;
     const bustCache   = req.query.refresh === '1';
 
+    let spec, format, columns;
+    try {
+        spec    = query.parse(req.query);
+        format  = exporter.negotiate(req);
+        columns = exporter.parseColumns(req.query.columns);
+    } catch (err) {
+        if (err instanceof query.QueryError || err instanceof exporter.ExportError) {
+            return res.status(err.status).json({ ok: false, error: err.message });
+        }
+        throw err;
+    }
+    res.setHeader('Vary', 'Accept');
+
+    // Revisão conhecida → responde 304 sem carregar o dataset
+    if (datastore.revision(dataset) > 0 && _isFresh(req, _datasetETag(dataset, req, format))) {
+        return res.status(304).end();
+    }
+
+    if (format !== 'json') return _sendExport(req, res, dataset, format, { spec, columns });
+
     try {
         const data = await datastore.get(dataset, { bustCache });
 
@@ -47,16 +268,62 @@ router.get('/:dataset', async (req, res) => {
             });
         }
 
-        res.json({ ok: true, dataset, rows: data.length, data, ts: new Date().toISOString() });
+        const result = query.apply(_scoped(req, dataset, data), spec);
+
+        const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+        const link    = query.buildLinkHeader(baseUrl, req.query, result.pagination);
+        if (link) res.setHeader('Link', link);
+        res.setHeader('X-Total-Count', String(result.pagination.total));
+        res.setHeader('X-Sync-Cursor', String(datastore.cursor()));   // assinatura WS a partir deste ponto
+        res.setHeader('ETag', _datasetETag(dataset, req));
+
+        // JSON corrompido em /data: os dados são a última versão boa do banco
+        const degraded = datastore.degradation(dataset);
+        if (degraded) res.setHeader('X-Dataset-Degraded', degraded.since);
+
+        res.json({
+            ok:         true,
+            dataset,
+            rows:       result.data.length,
+            total:      result.pagination.total,
+            data:       result.data,
+            pagination: result.pagination,
+            ...(degraded && { degraded }),
+            ts:         new Date().toISOString(),
+        });
 
     } catch (err) {
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
         logger.error('ROUTES/DATA', `Falha ao ler ${dataset}`, { error: err.message });
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
-// PUT /api/data/:dataset/:id — atualiza item
-router.put('/:dataset/:id', async (req, res) => {
+// GET /api/data/:dataset/:id — retorna um item
+router.get('/:dataset/:id', async (req, res) => {
+    const { dataset, id } = req.params;
+
+    try {
+        const item = await datastore.getItem(dataset, id);
+        if (!item || !registry.canAccessRow(req.user, dataset, item)) {
+            return res.status(404).json({ ok: false, error: `Item ${id} não encontrado em ${dataset}` });
+        }
+
+        const etag = _itemETag(item);
+        if (_isFresh(req, etag)) return res.status(304).end();
+
+        res.setHeader('ETag', etag);
+        res.json({ ok: true, dataset, item });
+
+    } catch (err) {
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
+        logger.error('ROUTES/DATA', `Falha ao ler ${dataset}/${id}`, { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// PUT /api/data/:dataset/:id — atualiza item (If-Match opcional)
+router.put('/:dataset/:id', requireRole('operador'), async (req, res) => {
     const { dataset, id } = req.params;
     const patch           = req.body;
 
@@ -64,46 +331,323 @@ router.put('/:dataset/:id', async (req, res) => {
         return res.status(400).json({ ok: false, error: 'Body deve ser um objeto JSON' });
     }
 
+    const expectedVersion = parseIfMatch(req);
+    if (expectedVersion === undefined) {
+        return res.status(400).json({ ok: false, error: 'If-Match inválido. Use o ETag recebido no GET (ex.: "v3")' });
+    }
+
     try {
-        const updated = await datastore.updateItem(dataset, id, patch);
+        let version = expectedVersion;
+        if (registry.isRowScoped(req.user, dataset)) {
+            // Linha de outra loja não existe para o usuário; mudar para uma loja alheia também não
+            const current = await datastore.getItem(dataset, id);
+            if (!current || !registry.canAccessRow(req.user, dataset, current)) {
+                return res.status(404).json({ ok: false, error: `Item ${id} não encontrado em ${dataset}` });
+            }
+            if (!registry.canAccessRow(req.user, dataset, { ...current, ...patch })) {
+                return res.status(403).json({ ok: false, error: 'Acesso negado — loja fora das lojas do usuário' });
+            }
+            version ??= current.version ?? 1;   // amarra à linha checada
+        }
+
+        const updated = await datastore.updateItem(dataset, id, patch, { expectedVersion: version, actor: requestActor(req) });
         if (!updated) {
             return res.status(404).json({ ok: false, error: `Item ${id} não encontrado em ${dataset}` });
         }
-        logger.info('ROUTES/DATA', `Item atualizado`, { dataset, id, fields: Object.keys(patch) });
+        logger.info('ROUTES/DATA', `Item atualizado`, { dataset, id, fields: Object.keys(patch), version: updated.version });
+        res.setHeader('ETag', _itemETag(updated));
         res.json({ ok: true, updated });
 
     } catch (err) {
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
         logger.error('ROUTES/DATA', `Falha ao atualizar ${dataset}/${id}`, { error: err.message });
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
+// POST /api/data/:dataset — cria item
+router.post('/:dataset', requireRole('operador'), async (req, res) => {
+    const { dataset } = req.params;
+    const item        = req.body;
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return res.status(400).json({ ok: false, error: 'Body deve ser um objeto JSON' });
+    }
+    if (!registry.canAccessRow(req.user, dataset, item)) {
+        return res.status(403).json({ ok: false, error: 'Acesso negado — loja fora das lojas do usuário' });
+    }
+
+    try {
+        const created = await datastore.insertItem(dataset, item, { actor: requestActor(req) });
+        logger.info('ROUTES/DATA', `Item criado`, { dataset, id: created.id });
+        res.setHeader('ETag', _itemETag(created));
+        res.status(201).json({ ok: true, created });
+
+    } catch (err) {
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
+        logger.error('ROUTES/DATA', `Falha ao criar item em ${dataset}`, { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/data/:dataset/bulk — upsert em lote
+// Body: [ {...}, {...} ]  ou  { items: [...] }
+router.post('/:dataset/bulk', requireRole('supervisor'), async (req, res) => {
+    const { dataset } = req.params;
+    const items       = Array.isArray(req.body) ? req.body : req.body?.items;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ ok: false, error: 'Body deve ser um array de itens ou { items: [...] }' });
+    }
+    if (registry.isRowScoped(req.user, dataset)) return _sendRowScopeDenied(res, dataset);
+
+    try {
+        const results = await datastore.bulkUpsert(dataset, items, { actor: requestActor(req) });
+        const summary = {
+            created: results.filter(r => r.status === 'created').length,
+            updated: results.filter(r => r.status === 'updated').length,
+            invalid: results.filter(r => r.status === 'invalid').length,
+            errors:  results.filter(r => r.status === 'error').length,
+        };
+        logger.info('ROUTES/DATA', `Upsert em lote`, { dataset, ...summary });
+        res.json({ ok: summary.errors + summary.invalid === 0, dataset, summary, results });
+
+    } catch (err) {
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
+        logger.error('ROUTES/DATA', `Falha no upsert em lote de ${dataset}`, { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/data/:dataset/import — planilha do ERP no corpo (CSV ou XLSX)
+// Query: format=csv|xlsx · mode=merge|replace · dryRun=1 · map[Coluna]=campo
+//        dropUnmapped=1 · sheet=<planilha> · delimiter=;
+router.post('/:dataset/import', requireRole('supervisor'), express.raw({ type: () => true, limit: IMPORT_LIMIT }), async (req, res) => {
+    const { dataset } = req.params;
+    const { format, sheet, delimiter, mode = 'merge' } = req.query;
+    const flag = value => value === '1' || value === 'true';
+
+    if (registry.isRowScoped(req.user, dataset)) return _sendRowScopeDenied(res, dataset);
+
+    if (format && !importer.FORMATS.includes(format)) {
+        return res.status(400).json({ ok: false, error: `"format" deve ser um de: ${importer.FORMATS.join(', ')}` });
+    }
+    if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json({ ok: false, error: '"mode" deve ser merge ou replace' });
+    }
+    const mapping = req.query.map ?? {};
+    if (typeof mapping !== 'object' || Array.isArray(mapping) || Object.values(mapping).some(v => typeof v !== 'string')) {
+        return res.status(400).json({ ok: false, error: 'Mapeamento inválido — use map[Coluna da planilha]=campo' });
+    }
+    if (delimiter !== undefined && ![',', ';', '\t', 'tab'].includes(delimiter)) {
+        return res.status(400).json({ ok: false, error: '"delimiter" deve ser , ; ou tab' });
+    }
+
+    try {
+        const result = await importer.importFile(dataset, req.body, {
+            format,
+            contentType:  req.headers['content-type'],
+            sheet,
+            delimiter:    delimiter === 'tab' ? '\t' : delimiter,
+            mapping,
+            dropUnmapped: flag(req.query.dropUnmapped),
+            mode,
+            dryRun:       flag(req.query.dryRun),
+            actor:        requestActor(req),
+        });
+        const status = result.dryRun || result.committed ? 200 : 422;
+        res.status(status).json({ ok: status === 200, ...result });
+
+    } catch (err) {
+        if (err instanceof SpreadsheetError) return res.status(err.status).json({ ok: false, error: err.message });
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
+        logger.error('ROUTES/DATA', `Falha na importação de ${dataset}`, { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// DELETE /api/data/:dataset/:id — remove item (If-Match opcional)
+router.delete('/:dataset/:id', requireRole('supervisor'), async (req, res) => {
+    const { dataset, id } = req.params;
+
+    const expectedVersion = parseIfMatch(req);
+    if (expectedVersion === undefined) {
+        return res.status(400).json({ ok: false, error: 'If-Match inválido. Use o ETag recebido no GET (ex.: "v3")' });
+    }
+
+    try {
+        let version = expectedVersion;
+        if (registry.isRowScoped(req.user, dataset)) {
+            const current = await datastore.getItem(dataset, id);
+            if (!current || !registry.canAccessRow(req.user, dataset, current)) {
+                return res.status(404).json({ ok: false, error: `Item ${id} não encontrado em ${dataset}` });
+            }
+            version ??= current.version ?? 1;
+        }
+
+        const removed = await datastore.deleteItem(dataset, id, { expectedVersion: version, actor: requestActor(req) });
+        if (!removed) {
+            return res.status(404).json({ ok: false, error: `Item ${id} não encontrado em ${dataset}` });
+        }
+        logger.info('ROUTES/DATA', `Item removido`, { dataset, id });
+        res.json({ ok: true, removed });
+
+    } catch (err) {
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
+        logger.error('ROUTES/DATA', `Falha ao remover ${dataset}/${id}`, { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/data/:dataset/:id/revert — reverte item
+// Body: { version: 3 }  ou  { seq: 120 } (entrada da trilha)
+router.post('/:dataset/:id/revert', requireRole('supervisor'), async (req, res) => {
+    const { dataset, id } = req.params;
+    const version = req.body?.version != null ? parseInt(req.body.version, 10) : null;
+    const seq     = req.body?.seq     != null ? parseInt(req.body.seq,     10) : null;
+
+    if (!Number.isInteger(version) && !Number.isInteger(seq)) {
+        return res.status(400).json({ ok: false, error: 'Informe "version" ou "seq" (inteiros) no body' });
+    }
+    if (registry.isRowScoped(req.user, dataset)) return _sendRowScopeDenied(res, dataset);
+
+    try {
+        const restored = await datastore.revertItem(dataset, id, { version, seq, actor: requestActor(req) });
+        if (!restored) {
+            return res.status(404).json({ ok: false, error: `Estado não encontrado na trilha para ${dataset}/${id}` });
+        }
+        res.setHeader('ETag', _itemETag(restored));
+        res.json({ ok: true, restored });
+
+    } catch (err) {
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
+        logger.error('ROUTES/DATA', `Falha ao reverter ${dataset}/${id}`, { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
 // POST /api/data/tarefas/:id/toggle — toggle done
-router.post('/tarefas/:id/toggle', async (req, res) => {
+// Atalho de /api/tasks/:id/status: mesmas regras de loja, transição e histórico
+router.post('/tarefas/:id/toggle', requireRole('operador'), (req, res, next) => requireDatasetAccess(req, res, next, 'tarefas'), async (req, res) => {
     const { id } = req.params;
 
+    const ifMatch = parseIfMatch(req);
+    if (ifMatch === undefined) {
+        return res.status(400).json({ ok: false, error: 'If-Match inválido. Use o ETag recebido no GET (ex.: "v3")' });
+    }
+
     try {
-        const tarefas = await datastore.get('tarefas', { bustCache: true });
-        const tarefa  = tarefas.find(t => String(t.id) === String(id));
+        const tarefa = await datastore.getItem('tarefas', id);
 
-        if (!tarefa) {
+        if (!tarefa || !registry.canAccessRow(req.user, 'tarefas', tarefa)) {
             return res.status(404).json({ ok: false, error: `Tarefa ${id} não encontrada` });
         }
 
-        const updated = await datastore.updateItem('tarefas', id, { done: !tarefa.done });
+        // Sem If-Match, amarra o toggle à versão lida — evita inverter duas vezes
+        const expectedVersion = ifMatch ?? (tarefa.version ?? 1);
+        const updated = await tasks.setStatus(req.user, id, {
+            status: tarefa.done ? 'aberta' : 'concluida', expectedVersion, actor: requestActor(req),
+        });
         logger.info('ROUTES/DATA', `Tarefa ${id} toggled`, { done: updated.done });
+        res.setHeader('ETag', _itemETag(updated));
         res.json({ ok: true, tarefa: updated });
 
     } catch (err) {
+        if (err instanceof tasks.TaskError) return res.status(err.status).json({ ok: false, error: err.message });
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
         logger.error('ROUTES/DATA', `Falha no toggle tarefa ${id}`, { error: err.message });
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
 // DELETE /api/data/cache — invalida cache
-router.delete('/cache', (req, res) => {
+router.delete('/cache', requireRole('supervisor'), (req, res) => {
     datastore.clearCache();
     res.json({ ok: true, message: 'Cache invalidado' });
 });
 
+// ── HELPERS ───────────────────────────────────────────────────
+function _sendRegistryError(res, err, message) {
+    if (err instanceof RegistryError) return res.status(err.status).json({ ok: false, error: err.message });
+    logger.error('ROUTES/DATA', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+function _sendStoreError(res, err) {
+    const body = { ok: false, error: err.message, code: err.code };
+    if (err.code === 'PRECONDITION_FAILED') {
+        res.setHeader('ETag', _itemETag(err.details.current));
+        Object.assign(body, err.details);
+    } else if (err.details) {
+        body.errors = err.details;
+    }
+    res.status(err.status).json(body);
+}
+
+/** Linhas do dataset que o usuário enxerga (escopo por linha do registro) */
+function _scoped(req, dataset, data) {
+    if (!Array.isArray(data) || !registry.isRowScoped(req.user, dataset)) return data;
+    return data.filter(row => registry.canAccessRow(req.user, dataset, row));
+}
+
+function _sendRowScopeDenied(res, dataset) {
+    return res.status(403).json({ ok: false, error: `"${dataset}" tem escopo por loja — bulk, importação e reversão exigem atuar em todas as lojas` });
+}
+
+/** ETag forte de um item: "v<versão>" */
+function _itemETag(item) {
+    return `"v${item.version ?? 1}"`;
+}
+
+/** ETag fraco da listagem: revisão do dataset + parâmetros da query */
+function _datasetETag(dataset, req, format = 'json') {
+    const { refresh, ...params } = req.query;
+    const key  = format === 'json' ? params : { ...params, format };
+    // escopo por linha: a mesma revisão rende listas diferentes por loja
+    if (registry.isRowScoped(req.user, dataset)) key.stores = req.user.stores;
+    const hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex').slice(0, 12);
+    return `W/"${dataset}-r${datastore.revision(dataset)}-${hash}"`;
+}
+
+/**
+ * Exportação em stream (CSV/XLSX/NDJSON). Erros de parâmetro saem
+ * antes do primeiro byte; uma falha no meio do stream só pode
+ * interromper a conexão.
+ */
+function _sendExport(req, res, dataset, format, { spec, columns }) {
+    let exported;
+    try {
+        exported = exporter.exportDataset(dataset, format, {
+            spec, columns, delimiter: req.query.delimiter ?? ',',
+            filter: registry.isRowScoped(req.user, dataset) ? row => registry.canAccessRow(req.user, dataset, row) : null,
+        });
+    } catch (err) {
+        if (err instanceof exporter.ExportError) return res.status(err.status).json({ ok: false, error: err.message });
+        if (err instanceof DataStoreError) return _sendStoreError(res, err);
+        throw err;
+    }
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.setHeader('X-Sync-Cursor', String(datastore.cursor()));
+    res.setHeader('ETag', _datasetETag(dataset, req, format));
+
+    const started = Date.now();
+    pipeline(Readable.from(exported.body), res, (err) => {
+        if (err) {
+            logger.error('ROUTES/DATA', `Exportação de ${dataset} interrompida`, { format, error: err.message });
+            return;
+        }
+        logger.info('ROUTES/DATA', `Exportado: ${dataset}`, { format, ms: Date.now() - started, user: req.user?.name });
+    });
+}
+
+/** If-None-Match bate com o ETag atual? */
+function _isFresh(req, etag) {
+    const header = req.headers['if-none-match'];
+    if (!header) return false;
+    const strip = t => t.trim().replace(/^W\//, '');
+    return header === '*' || header.split(',').map(strip).includes(strip(etag));
+}
+
 module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * K11 OMNI ELITE — INVENTORY ROUTES
+ * ═══════════════════════════════════
+ * Razão de estoque derivado do dataset movimento (services/ledger.js).
+ *
+ * POST /api/inventory/movements            → lança entrada/saida/transferencia/ajuste
+ * GET  /api/inventory/balance              → saldos por produto e loja (produtoId, loja)
+ * GET  /api/inventory/balance/:produtoId   → saldo do produto por loja + total
+ * GET  /api/inventory/history/:produtoId   → movimentos com saldo corrente (loja, from, to, limit)
+ * GET  /api/inventory/reconciliation       → estoque de produtos × movimentos (loja, all)
+ * POST /api/inventory/rebuild              → recalcula os saldos (admin)
+ *
+ * Acesso segue as permissões do dataset movimento no registro;
+ * saldos e movimentos ficam restritos às lojas da identidade.
+ */
+
+'use strict';
+
+const router = require('express').Router();
+const ledger = require('../services/ledger');
+const logger = require('../services/logger');
+const stores = require('../services/stores');
+const { DataStoreError } = require('../services/datastore');
+const { requireRole, requireDatasetAccess } = require('../middleware/auth');
+const { requestActor } = require('../middleware/request');
+
+// Leitura/escrita exigem as permissões de movimento (GET → read, demais → write)
+router.use((req, res, next) => requireDatasetAccess(req, res, next, 'movimento'));
+
+// ── POST /api/inventory/movements ─────────────────────────────
+router.post('/movements', requireRole('operador'), async (req, res) => {
+    try {
+        const result = await ledger.post(req.user, req.body, { actor: requestActor(req) });
+        res.status(201).json({ ok: true, ...result });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao lançar movimento');
+    }
+});
+
+// ── SALDOS ────────────────────────────────────────────────────
+router.get('/balance', async (req, res) => {
+    const { produtoId, loja } = req.query;
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    try {
+        const balances = await ledger.balances(req.user, { produtoId, loja });
+        res.json({ ok: true, total: balances.length, balances });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao ler saldos');
+    }
+});
+
+router.get('/balance/:produtoId', async (req, res) => {
+    try {
+        res.json({ ok: true, ...(await ledger.productBalance(req.user, req.params.produtoId)) });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao ler saldo');
+    }
+});
+
+// ── HISTÓRICO ─────────────────────────────────────────────────
+router.get('/history/:produtoId', async (req, res) => {
+    const { loja, from, to, limit } = req.query;
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    try {
+        res.json({ ok: true, ...(await ledger.history(req.user, req.params.produtoId, { loja, from, to, limit })) });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao ler histórico');
+    }
+});
+
+// ── CONCILIAÇÃO ───────────────────────────────────────────────
+// Query: loja · all=1 (inclui os produtos conferidos)
+router.get('/reconciliation', async (req, res) => {
+    const { loja } = req.query;
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    try {
+        const report = await ledger.reconcile(req.user, { loja, all: req.query.all === '1' || req.query.all === 'true' });
+        res.json({ ok: true, ...report });
+    } catch (err) {
+        _sendError(res, err, 'Falha na conciliação');
+    }
+});
+
+router.post('/rebuild', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await ledger.rebuild({ reason: `manual por ${req.user.name}` });
+        res.json({ ok: true, ...result });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao recalcular saldos');
+    }
+});
+
+// ── HELPERS ───────────────────────────────────────────────────
+function _sendError(res, err, message) {
+    if (err instanceof ledger.LedgerError) {
+        return res.status(err.status).json({ ok: false, error: err.message, ...(err.details && { details: err.details }) });
+    }
+    if (err instanceof DataStoreError) {
+        return res.status(err.status).json({ ok: false, error: err.message, code: err.code, ...(err.details && { errors: err.details }) });
+    }
+    logger.error('ROUTES/INVENTORY', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * K11 OMNI ELITE — NOTIFICATION ROUTES
+ * ══════════════════════════════════════
+ * GET  /api/notifications          → notificações das lojas/usuário (unread, type, since, limit)
+ * POST /api/notifications/read     → marca como lidas ({ ids } ou todas)
+ * GET  /api/notifications/stream   → SSE: evento "notification" em tempo real
+ *
+ * EventSource não envia headers: use ?_token=<token de sessão>.
+ */
+
+'use strict';
+
+const router        = require('express').Router();
+const notifications = require('../services/notifications');
+const logger        = require('../services/logger');
+
+// ── SSE ───────────────────────────────────────────────────────
+const _clients = new Set();   // { res, user }
+
+notifications.events.on('notification', (notification) => {
+    const msg = `event: notification\ndata: ${JSON.stringify(notification)}\n\n`;
+    _clients.forEach(client => {
+        if (!notifications.canSee(client.user, notification)) return;
+        try { client.res.write(msg); } catch (_) { _clients.delete(client); }
+    });
+});
+
+router.get('/stream', (req, res) => {
+    res.setHeader('Content-Type',  'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection',    'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Nginx: desativa buffer
+
+    res.write(`event: connected\ndata: ${JSON.stringify({ unread: notifications.unreadCount(req.user), ts: new Date().toISOString() })}\n\n`);
+
+    const client = { res, user: req.user };
+    _clients.add(client);
+    logger.debug('SSE', `Cliente de notificações conectado (total: ${_clients.size})`, { user: req.user?.name });
+
+    // Keepalive a cada 25s para evitar timeout
+    const keepalive = setInterval(() => {
+        try { res.write(': ping\n\n'); } catch (_) { clearInterval(keepalive); }
+    }, 25_000);
+
+    req.on('close', () => {
+        clearInterval(keepalive);
+        _clients.delete(client);
+    });
+});
+
+// ── GET /api/notifications ────────────────────────────────────
+router.get('/', (req, res) => {
+    const { type, since, limit } = req.query;
+    try {
+        const items = notifications.list(req.user, { unread: req.query.unread === '1' || req.query.unread === 'true', type, since, limit });
+        res.json({ ok: true, unread: notifications.unreadCount(req.user), total: items.length, notifications: items });
+    } catch (err) {
+        logger.error('ROUTES/NOTIFY', 'Falha ao listar notificações', { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// ── POST /api/notifications/read ──────────────────────────────
+// Body: { ids: ["..."] }  (sem ids → marca todas)
+router.post('/read', (req, res) => {
+    const ids = req.body?.ids;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+        return res.status(400).json({ ok: false, error: '"ids" deve ser um array de strings' });
+    }
+    try {
+        const marked = notifications.markRead(req.user, ids ?? null);
+        res.json({ ok: true, marked, unread: notifications.unreadCount(req.user) });
+    } catch (err) {
+        logger.error('ROUTES/NOTIFY', 'Falha ao marcar notificações', { error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+/**
+ * K11 OMNI ELITE — PURCHASE ROUTES
+ * ══════════════════════════════════
+ * GET   /api/purchases                    → pedidos das lojas do usuário (status, fornecedorId, loja, open=1)
+ * GET   /api/purchases/suppliers/metrics  → prazo real, pontualidade e fill rate por fornecedor (fornecedorId)
+ * GET   /api/purchases/:id                → pedido com linhas, recebimentos e histórico
+ * POST  /api/purchases                    → rascunho ({ fornecedorId, loja, lines, observacao? })
+ * POST  /api/purchases/from-suggestions   → rascunhos a partir da sugestão de compra (um por fornecedor/loja)
+ * PATCH /api/purchases/:id                → altera um rascunho ({ lines?, observacao? })
+ * POST  /api/purchases/:id/send           → envia ao fornecedor (supervisor)
+ * POST  /api/purchases/:id/receive        → recebe: entrada no estoque ({ lines?: [{ produtoId, quantidade }] })
+ * POST  /api/purchases/:id/close          → encerra com pendência (supervisor)
+ * POST  /api/purchases/:id/cancel         → cancela draft/sent (supervisor)
+ *
+ * Ciclo de vida e regras em services/purchases.js.
+ */
+
+'use strict';
+
+const router    = require('express').Router();
+const datastore = require('../services/datastore');
+const purchases = require('../services/purchases');
+const reorder   = require('../services/reorder');
+const logger    = require('../services/logger');
+const stores    = require('../services/stores');
+const { LedgerError } = require('../services/ledger');
+const { DataStoreError } = require('../services/datastore');
+const { requireRole } = require('../middleware/auth');
+const { requestActor } = require('../middleware/request');
+
+const registry = datastore.registry;
+
+// ── CONSULTA ──────────────────────────────────────────────────
+router.get('/', (req, res) => {
+    const { status, loja, fornecedorId } = req.query;
+    if (status && !purchases.STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: `"status" deve ser um de: ${purchases.STATUSES.join(', ')}` });
+    }
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    const list = purchases.list(req.user, { status, loja, fornecedorId, open: req.query.open === '1' || req.query.open === 'true' });
+    res.json({ ok: true, total: list.length, purchases: list });
+});
+
+router.get('/suppliers/metrics', async (req, res) => {
+    if (!registry.canRead(req.user, 'fornecedor')) {
+        return res.status(403).json({ ok: false, error: 'Acesso negado ao dataset "fornecedor"' });
+    }
+    try {
+        const suppliers = await purchases.supplierMetrics(req.user, { fornecedorId: req.query.fornecedorId });
+        res.json({ ok: true, total: suppliers.length, suppliers });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao calcular métricas de fornecedor');
+    }
+});
+
+router.get('/:id', (req, res) => {
+    try {
+        res.json({ ok: true, purchase: purchases.get(req.user, req.params.id) });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao ler pedido de compra');
+    }
+});
+
+// ── CICLO DE VIDA ─────────────────────────────────────────────
+router.post('/', requireRole('operador'), async (req, res) => {
+    try {
+        const purchase = await purchases.create(req.user, req.body, { actor: requestActor(req) });
+        res.status(201).json({ ok: true, purchase });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao criar pedido de compra');
+    }
+});
+
+/**
+ * Um rascunho por fornecedor × loja com as linhas sugeridas.
+ * Body: { loja?, fornecedorId?, days?, leadTimeDays?, safetyDays?, coverageDays? }
+ * Produtos sem fornecedor ficam de fora (vão em "skipped").
+ */
+router.post('/from-suggestions', requireRole('operador'), async (req, res) => {
+    const { loja, fornecedorId, ...params } = req.body || {};
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    const options = { loja, fornecedorId };
+    for (const key of Object.keys(reorder.DEFAULTS)) {
+        if (params[key] === undefined) continue;
+        if (!Number.isInteger(params[key]) || params[key] < 0 || params[key] > 365 || (key === 'days' && params[key] === 0)) {
+            return res.status(400).json({ ok: false, error: `"${key}" deve ser um inteiro entre ${key === 'days' ? 1 : 0} e 365` });
+        }
+        options[key] = params[key];
+    }
+
+    try {
+        const result  = await reorder.suggest(req.user, options);
+        const created = [];
+        const skipped = [];
+        for (const group of result.suppliers) {
+            if (group.fornecedorId === reorder.NO_SUPPLIER) {
+                skipped.push(...group.lines.map(l => ({ produtoId: l.produtoId, loja: l.loja, motivo: 'produto sem fornecedor' })));
+                continue;
+            }
+            for (const lojaId of [...new Set(group.lines.map(l => l.loja))]) {
+                const lines = group.lines
+                    .filter(l => l.loja === lojaId && l.sugestao > 0)
+                    .map(l => ({ produtoId: l.produtoId, quantidade: l.sugestao, custo: l.custo }));
+                if (!lines.length) continue;
+                created.push(await purchases.create(req.user, {
+                    fornecedorId: group.fornecedorId,
+                    loja:         lojaId,
+                    lines,
+                    observacao:   `Gerado pela sugestão de compra (${result.params.days} dias de venda)`,
+                }, { actor: requestActor(req) }));
+            }
+        }
+        res.status(201).json({ ok: true, total: created.length, purchases: created, skipped });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao gerar pedidos pela sugestão de compra');
+    }
+});
+
+router.patch('/:id', requireRole('operador'), async (req, res) => {
+    try {
+        const purchase = await purchases.update(req.user, req.params.id, { ...(req.body || {}), actor: requestActor(req) });
+        res.json({ ok: true, purchase });
+    } catch (err) {
+        _sendError(res, err, `Falha ao alterar pedido ${req.params.id}`);
+    }
+});
+
+for (const action of ['send', 'receive', 'close', 'cancel']) {
+    router.post(`/:id/${action}`, requireRole('operador'), async (req, res) => {
+        try {
+            const purchase = await purchases[action](req.user, req.params.id, { ...(req.body || {}), actor: requestActor(req) });
+            res.json({ ok: true, purchase });
+        } catch (err) {
+            _sendError(res, err, `Falha em ${action} do pedido ${req.params.id}`);
+        }
+    });
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+function _sendError(res, err, message) {
+    if (err instanceof purchases.PurchaseError) {
+        return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    if (err instanceof LedgerError) {
+        return res.status(err.status).json({ ok: false, error: err.message, ...(err.details && { details: err.details }) });
+    }
+    if (err instanceof DataStoreError) {
+        return res.status(err.status).json({ ok: false, error: err.message, code: err.code, ...(err.details && { errors: err.details }) });
+    }
+    logger.error('ROUTES/PURCHASES', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+module.exports = router;
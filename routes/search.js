@@ -0,0 +1,48 @@
+/**
+ * K11 OMNI ELITE — SEARCH ROUTES
+ * ════════════════════════════════
+ * GET /api/search?q=arroz tio     → produtos, fornecedores e tarefas que casam com a busca
+ *                                  (datasets=produtos,fornecedor · limit, máx. 100)
+ *
+ * Sem acento, tolera erro de digitação, acha por prefixo e por trecho de
+ * código/EAN. Só entram datasets que o usuário pode ler. Índice e ranking
+ * em services/search.js.
+ */
+
+'use strict';
+
+const router = require('express').Router();
+const search = require('../services/search');
+const logger = require('../services/logger');
+
+router.get('/', async (req, res) => {
+    const { q } = req.query;
+    if (typeof q !== 'string' || !search.tokenize(q).length) {
+        return res.status(400).json({ ok: false, error: '"q" deve ter ao menos uma letra ou dígito' });
+    }
+
+    const limit = parseInt(req.query.limit || '20', 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > search.MAX_LIMIT) {
+        return res.status(400).json({ ok: false, error: `"limit" deve ser um inteiro entre 1 e ${search.MAX_LIMIT}` });
+    }
+
+    let datasets = null;
+    if (req.query.datasets !== undefined) {
+        datasets = String(req.query.datasets).split(',').map(d => d.trim()).filter(Boolean);
+        const unknown = datasets.filter(d => !Object.hasOwn(search.SOURCES, d));
+        if (!datasets.length || unknown.length) {
+            return res.status(400).json({ ok: false, error: `"datasets" deve listar: ${Object.keys(search.SOURCES).join(', ')}` });
+        }
+    }
+
+    try {
+        const started = Date.now();
+        const result  = await search.search(req.user, q, { datasets, limit });
+        res.json({ ok: true, q, ...result, ms: Date.now() - started });
+    } catch (err) {
+        logger.error('ROUTES/SEARCH', 'Falha na busca', { q, error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+module.exports = router;
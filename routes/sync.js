@@ -0,0 +1,36 @@
+/**
+ * K11 OMNI ELITE — SYNC ROUTES
+ * ══════════════════════════════
+ * POST /api/sync → aplica o lote de mutações offline do tablet e
+ *                  devolve as mudanças do servidor desde o syncToken
+ *
+ * Body: { syncToken, policy?, datasets?, mutations: [...] }
+ * Protocolo e políticas de conflito em services/sync.js.
+ */
+
+'use strict';
+
+const router = require('express').Router();
+const sync   = require('../services/sync');
+const logger = require('../services/logger');
+const { DataStoreError } = require('../services/datastore');
+
+// ── POST /api/sync ────────────────────────────────────────────
+router.post('/', async (req, res) => {
+    try {
+        const result = await sync.sync(req.user, req.body || {}, { ip: req.ip });
+        res.setHeader('X-Sync-Cursor', String(result.syncToken));
+        res.json({ ok: true, ...result });
+    } catch (err) {
+        if (err instanceof sync.SyncError) {
+            return res.status(err.status).json({ ok: false, error: err.message });
+        }
+        if (err instanceof DataStoreError) {
+            return res.status(err.status).json({ ok: false, error: err.message, code: err.code, ...(err.details && { errors: err.details }) });
+        }
+        logger.error('ROUTES/SYNC', 'Falha na sincronização', { user: req.user?.name, error: err.message });
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+module.exports = router;
@@ -5,7 +5,7 @@
  * GET  /api/system/logs     → logs recentes (filtráveis)
  * GET  /api/system/stream   → SSE: stream de logs em tempo real
  * POST /api/system/log      → injeta log externo (do front-end)
- * DELETE /api/system/logs   → limpa arquivo de log
+ * DELETE /api/system/logs   → limpa arquivo de log (admin)
  */
 
 'use strict';
@@ -13,7 +13,11 @@
 const router         = require('express').Router();
 const logger         = require('../services/logger');
 const datastore      = require('../services/datastore');
+const realtime       = require('../services/realtime');
+const ledger         = require('../services/ledger');
+const search         = require('../services/search');
 const requestTracker = require('../middleware/request-tracker');
+const { requireRole } = require('../middleware/auth');
 const os             = require('os');
 
 // ── SSE CLIENTS ────────────────────────────────────────────────
@@ -61,6 +65,9 @@ router.get('/status', (req, res) => {
         logs:      logger.getStats(),
         datastore: datastore.getStats(),
         sseClients: _sseClients.size,
+        realtime:  realtime.getStats(),
+        ledger:    ledger.getStats(),
+        search:    search.getStats(),
         ts:        new Date().toISOString(),
     });
 });
@@ -119,7 +126,7 @@ router.post('/log', (req, res) => {
 });
 
 // ── DELETE /api/system/logs ───────────────────────────────────
-router.delete('/logs', (req, res) => {
+router.delete('/logs', requireRole('admin'), (req, res) => {
     logger.clearFile((err) => {
         if (err) return res.status(500).json({ ok: false, error: err.message });
         res.json({ ok: true, message: 'Log file limpo' });
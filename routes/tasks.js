@@ -0,0 +1,190 @@
+/**
+ * K11 OMNI ELITE — TASK ROUTES
+ * ══════════════════════════════
+ * GET    /api/tasks                      → tarefas visíveis (status, loja, responsavel=<id>|me,
+ *                                          prioridade, recorrencia, open=1, overdue=1)
+ * GET    /api/tasks/:id                  → tarefa com checklist, comentários e histórico
+ * POST   /api/tasks                      → cria ({ titulo, descricao?, prioridade?, loja?, prazo?, responsavel?, checklist? })
+ * PATCH  /api/tasks/:id                  → titulo, descricao, prioridade, prazo, checklist (If-Match opcional)
+ * POST   /api/tasks/:id/status           → { status, observacao? }
+ * POST   /api/tasks/:id/assign           → { responsavel?: id | "me" | null, loja? }
+ * POST   /api/tasks/:id/comments         → { texto }
+ *
+ * GET    /api/tasks/recurrences          → modelos de tarefa recorrente
+ * POST   /api/tasks/recurrences          → cria (supervisor) — ex.: checklist de abertura diário
+ * PATCH  /api/tasks/recurrences/:id      → altera (supervisor, If-Match opcional)
+ * DELETE /api/tasks/recurrences/:id      → remove (supervisor) — tarefas já geradas ficam
+ * POST   /api/tasks/recurrences/:id/run  → gera a ocorrência de hoje agora (supervisor)
+ *
+ * Permissões do dataset "tarefas" (registro) valem aqui também.
+ * Regras, recorrência e alertas de prazo em services/tasks.js.
+ */
+
+'use strict';
+
+const router    = require('express').Router();
+const tasks     = require('../services/tasks');
+const logger    = require('../services/logger');
+const stores    = require('../services/stores');
+const { DataStoreError } = require('../services/datastore');
+const { requireRole, requireDatasetAccess } = require('../middleware/auth');
+const { requestActor, parseIfMatch } = require('../middleware/request');
+
+router.use((req, res, next) => requireDatasetAccess(req, res, next, 'tarefas'));
+
+// ── RECORRÊNCIAS ──────────────────────────────────────────────
+router.get('/recurrences', (req, res) => {
+    const list = tasks.listRecurrences(req.user);
+    res.json({ ok: true, total: list.length, recurrences: list });
+});
+
+router.post('/recurrences', requireRole('supervisor'), (req, res) => {
+    try {
+        res.status(201).json({ ok: true, recurrence: tasks.createRecurrence(req.user, req.body, { actor: requestActor(req) }) });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao criar recorrência');
+    }
+});
+
+router.patch('/recurrences/:id', requireRole('supervisor'), (req, res) => {
+    const expectedVersion = parseIfMatch(req);
+    if (expectedVersion === undefined) {
+        return res.status(400).json({ ok: false, error: 'If-Match inválido. Use o ETag recebido no GET (ex.: "v3")' });
+    }
+    try {
+        const recurrence = tasks.updateRecurrence(req.user, req.params.id, req.body, { expectedVersion });
+        res.setHeader('ETag', `"v${recurrence.version}"`);
+        res.json({ ok: true, recurrence });
+    } catch (err) {
+        _sendError(res, err, `Falha ao alterar recorrência ${req.params.id}`);
+    }
+});
+
+router.delete('/recurrences/:id', requireRole('supervisor'), (req, res) => {
+    try {
+        res.json({ ok: true, deleted: tasks.deleteRecurrence(req.user, req.params.id) });
+    } catch (err) {
+        _sendError(res, err, `Falha ao remover recorrência ${req.params.id}`);
+    }
+});
+
+router.post('/recurrences/:id/run', requireRole('supervisor'), async (req, res) => {
+    try {
+        const result = await tasks.runRecurrence(req.user, req.params.id, { actor: requestActor(req) });
+        res.status(result.created.length ? 201 : 200).json({ ok: true, ...result });
+    } catch (err) {
+        _sendError(res, err, `Falha ao gerar recorrência ${req.params.id}`);
+    }
+});
+
+// ── CONSULTA ──────────────────────────────────────────────────
+router.get('/', async (req, res) => {
+    const { status, loja, prioridade } = req.query;
+    if (status && !tasks.STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: `"status" deve ser um de: ${tasks.STATUSES.join(', ')}` });
+    }
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    if (prioridade && !tasks.PRIORIDADES.includes(prioridade)) {
+        return res.status(400).json({ ok: false, error: `"prioridade" deve ser uma de: ${tasks.PRIORIDADES.join(', ')}` });
+    }
+    try {
+        const list = await tasks.list(req.user, {
+            status, loja, prioridade,
+            responsavel: req.query.responsavel,
+            recorrencia: req.query.recorrencia,
+            open:        _flag(req.query.open),
+            overdue:     _flag(req.query.overdue),
+        });
+        res.json({ ok: true, total: list.length, tasks: list });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao listar tarefas');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const task = await tasks.get(req.user, req.params.id);
+        res.setHeader('ETag', `"v${task.version ?? 1}"`);
+        res.json({ ok: true, task });
+    } catch (err) {
+        _sendError(res, err, `Falha ao ler tarefa ${req.params.id}`);
+    }
+});
+
+// ── CRIAÇÃO E EDIÇÃO ──────────────────────────────────────────
+router.post('/', requireRole('operador'), async (req, res) => {
+    try {
+        const task = await tasks.create(req.user, req.body, { actor: requestActor(req) });
+        res.setHeader('ETag', `"v${task.version}"`);
+        res.status(201).json({ ok: true, task });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao criar tarefa');
+    }
+});
+
+router.patch('/:id', requireRole('operador'), async (req, res) => {
+    const expectedVersion = parseIfMatch(req);
+    if (expectedVersion === undefined) {
+        return res.status(400).json({ ok: false, error: 'If-Match inválido. Use o ETag recebido no GET (ex.: "v3")' });
+    }
+    try {
+        const task = await tasks.update(req.user, req.params.id, req.body, { expectedVersion, actor: requestActor(req) });
+        res.setHeader('ETag', `"v${task.version}"`);
+        res.json({ ok: true, task });
+    } catch (err) {
+        _sendError(res, err, `Falha ao alterar tarefa ${req.params.id}`);
+    }
+});
+
+for (const [action, method] of [['status', 'setStatus'], ['assign', 'assign']]) {
+    router.post(`/:id/${action}`, requireRole('operador'), async (req, res) => {
+        const expectedVersion = parseIfMatch(req);
+        if (expectedVersion === undefined) {
+            return res.status(400).json({ ok: false, error: 'If-Match inválido. Use o ETag recebido no GET (ex.: "v3")' });
+        }
+        try {
+            const task = await tasks[method](req.user, req.params.id, { ...(req.body || {}), expectedVersion, actor: requestActor(req) });
+            res.setHeader('ETag', `"v${task.version}"`);
+            res.json({ ok: true, task });
+        } catch (err) {
+            _sendError(res, err, `Falha em ${action} da tarefa ${req.params.id}`);
+        }
+    });
+}
+
+router.post('/:id/comments', requireRole('operador'), async (req, res) => {
+    try {
+        const { task, comment } = await tasks.comment(req.user, req.params.id, { texto: req.body?.texto, actor: requestActor(req) });
+        res.setHeader('ETag', `"v${task.version}"`);
+        res.status(201).json({ ok: true, comment, task });
+    } catch (err) {
+        _sendError(res, err, `Falha ao comentar na tarefa ${req.params.id}`);
+    }
+});
+
+// ── HELPERS ───────────────────────────────────────────────────
+function _sendError(res, err, message) {
+    if (err instanceof tasks.TaskError) {
+        return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    if (err instanceof DataStoreError) {
+        const body = { ok: false, error: err.message, code: err.code };
+        if (err.code === 'PRECONDITION_FAILED') {
+            res.setHeader('ETag', `"v${err.details.version}"`);
+            Object.assign(body, err.details);
+        } else if (err.details) {
+            body.errors = err.details;
+        }
+        return res.status(err.status).json(body);
+    }
+    logger.error('ROUTES/TASKS', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+function _flag(value) {
+    return value === '1' || value === 'true';
+}
+
+module.exports = router;
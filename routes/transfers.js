@@ -0,0 +1,84 @@
+/**
+ * K11 OMNI ELITE — TRANSFER ROUTES
+ * ══════════════════════════════════
+ * GET  /api/transfers                → transferências das lojas do usuário (status, loja, open=1)
+ * GET  /api/transfers/:id            → transferência com linhas e histórico
+ * POST /api/transfers                → solicita ({ origem, destino, lines, observacao? })
+ * POST /api/transfers/:id/approve    → aprova (supervisor da origem)
+ * POST /api/transfers/:id/dispatch   → despacha: saida na origem ({ lines?: [{ produtoId, enviada }] })
+ * POST /api/transfers/:id/receive    → recebe: entrada no destino ({ lines?: [{ produtoId, recebida }] })
+ * POST /api/transfers/:id/resolve    → fecha divergência ({ resolution: "return"|"writeoff" })
+ * POST /api/transfers/:id/cancel     → cancela (requested/approved)
+ *
+ * Ciclo de vida e regras em services/transfers.js.
+ */
+
+'use strict';
+
+const router    = require('express').Router();
+const transfers = require('../services/transfers');
+const logger    = require('../services/logger');
+const stores    = require('../services/stores');
+const { LedgerError } = require('../services/ledger');
+const { DataStoreError } = require('../services/datastore');
+const { requireRole } = require('../middleware/auth');
+const { requestActor } = require('../middleware/request');
+
+// ── CONSULTA ──────────────────────────────────────────────────
+router.get('/', (req, res) => {
+    const { status, loja } = req.query;
+    if (status && !transfers.STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: `"status" deve ser um de: ${transfers.STATUSES.join(', ')}` });
+    }
+    if (loja && !stores.STORES.includes(loja)) {
+        return res.status(400).json({ ok: false, error: `"loja" deve ser uma de: ${stores.STORES.join(', ')}` });
+    }
+    const list = transfers.list(req.user, { status, loja, open: req.query.open === '1' || req.query.open === 'true' });
+    res.json({ ok: true, total: list.length, transfers: list });
+});
+
+router.get('/:id', (req, res) => {
+    try {
+        res.json({ ok: true, transfer: transfers.get(req.user, req.params.id) });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao ler transferência');
+    }
+});
+
+// ── CICLO DE VIDA ─────────────────────────────────────────────
+router.post('/', requireRole('operador'), async (req, res) => {
+    try {
+        const transfer = await transfers.request(req.user, req.body, { actor: requestActor(req) });
+        res.status(201).json({ ok: true, transfer });
+    } catch (err) {
+        _sendError(res, err, 'Falha ao solicitar transferência');
+    }
+});
+
+for (const action of ['approve', 'dispatch', 'receive', 'resolve', 'cancel']) {
+    router.post(`/:id/${action}`, requireRole('operador'), async (req, res) => {
+        try {
+            const transfer = await transfers[action](req.user, req.params.id, { ...(req.body || {}), actor: requestActor(req) });
+            res.json({ ok: true, transfer });
+        } catch (err) {
+            _sendError(res, err, `Falha em ${action} da transferência ${req.params.id}`);
+        }
+    });
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+function _sendError(res, err, message) {
+    if (err instanceof transfers.TransferError) {
+        return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    if (err instanceof LedgerError) {
+        return res.status(err.status).json({ ok: false, error: err.message, ...(err.details && { details: err.details }) });
+    }
+    if (err instanceof DataStoreError) {
+        return res.status(err.status).json({ ok: false, error: err.message, code: err.code, ...(err.details && { errors: err.details }) });
+    }
+    logger.error('ROUTES/TRANSFERS', message, { error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
+}
+
+module.exports = router;
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * K11 OMNI ELITE — CRIA USUÁRIO (bootstrap)
+ * ══════════════════════════════════════════
+ * Cria um usuário com uma chave de API direto no banco,
+ * sem precisar de um admin já existente.
+ *
+ *   npm run user:create -- <nome> [role]
+ *   npm run user:create -- gerente admin
+ */
+
+'use strict';
+
+require('dotenv').config();
+
+const users = require('../services/users');
+
+const [name, role = 'admin'] = process.argv.slice(2);
+
+if (!name) {
+    console.error(`Uso: npm run user:create -- <nome> [${users.ROLES.join('|')}]`);
+    process.exit(1);
+}
+
+try {
+    const user = users.createUser({ name, role });
+    const key  = users.createApiKey(user.id, { label: 'bootstrap' });
+    console.log(`\nUsuário: ${user.name} (${user.role})`);
+    console.log(`Chave:   ${key.key}`);
+    console.log('\nGuarde a chave agora — ela não será exibida novamente.\n');
+} catch (err) {
+    console.error(`Erro: ${err.message}`);
+    process.exit(1);
+}
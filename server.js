@@ -10,8 +10,30 @@
  *   GET  /health                  → status rápido (sem auth)
  *   GET  /api/status              → status público básico
  *   GET  /api/data/all            → todos os datasets
- *   GET  /api/data/:dataset       → dataset específico
+ *   GET  /api/data/:dataset       → dataset específico (where/sort/page/limit/fields)
+ *                                   CSV/XLSX/NDJSON em stream (Accept ou ?format=)
+ *   GET  /api/data/:dataset/:id   → item (ETag / If-None-Match)
+ *   POST /api/data/:dataset       → cria item
+ *   POST /api/data/:dataset/bulk  → upsert em lote
+ *   POST /api/data/:dataset/import → importa planilha CSV/XLSX (dryRun, merge/replace)
  *   PUT  /api/data/:dataset/:id   → atualiza item
+ *   DELETE /api/data/:dataset/:id → remove item
+ *   GET  /api/data/auditoria/trail → trilha de auditoria
+ *   WS   /api/data/ws              → sync em tempo real (deltas por linha + cursor)
+ *   POST /api/sync                 → sync offline em lote (conflitos + syncToken)
+ *   *    /api/inventory            → razão de estoque (movimentos, saldos, conciliação)
+ *   *    /api/transfers            → transferências entre lojas (solicitar → receber)
+ *   *    /api/purchases            → pedidos de compra (rascunho → recebimento) + métricas de fornecedor
+ *   *    /api/tasks                → tarefas: responsável, prazo, recorrência, comentários, alertas de SLA
+ *   GET  /api/notifications        → notificações das lojas/usuário (+ /stream SSE)
+ *   GET  /api/analytics/reorder    → sugestão de compra por fornecedor (JSON/CSV)
+ *   GET  /api/analytics/pdv/compare → PDV atual × período anterior (deltas, altas/quedas)
+ *   GET  /api/analytics/sales      → vendas consolidadas das lojas (group-by, participação)
+ *   *    /api/backups             → snapshots, backups completos e restauração (admin)
+ *   GET  /api/search?q=           → busca em produtos, fornecedor e tarefas (sem acento, tolera erro)
+ *   GET  /api/auth/me             → identidade da requisição
+ *   POST /api/auth/session        → token de sessão curto (browser / SSE)
+ *   *    /api/auth/users          → gestão de usuários e chaves (admin)
  *   GET  /api/system/status       → métricas completas do servidor
  *   GET  /api/system/logs         → logs recentes
  *   GET  /api/system/stream       → SSE: stream de logs em tempo real
@@ -38,15 +60,28 @@ const os           = require('os');
 const logger         = require('./services/logger');
 const datastore      = require('./services/datastore');
 const supervisor     = require('./services/ai-supervisor');
+const realtime       = require('./services/realtime');
+const backups        = require('./services/backups');
+const tasks          = require('./services/tasks');
 
 // ── MIDDLEWARE ────────────────────────────────────────────────
 const authMiddleware     = require('./middleware/auth');
 const requestTracker     = require('./middleware/request-tracker');
 
 // ── ROTAS ─────────────────────────────────────────────────────
-const dataRoutes   = require('./routes/data');
-const systemRoutes = require('./routes/system');
-const aiRoutes     = require('./routes/ai');
+const dataRoutes      = require('./routes/data');
+const systemRoutes    = require('./routes/system');
+const aiRoutes        = require('./routes/ai');
+const authRoutes      = require('./routes/auth');
+const syncRoutes      = require('./routes/sync');
+const inventoryRoutes = require('./routes/inventory');
+const transferRoutes  = require('./routes/transfers');
+const purchaseRoutes  = require('./routes/purchases');
+const taskRoutes      = require('./routes/tasks');
+const notifyRoutes    = require('./routes/notifications');
+const analyticsRoutes = require('./routes/analytics');
+const backupRoutes    = require('./routes/backups');
+const searchRoutes    = require('./routes/search');
 
 // ─────────────────────────────────────────────────────────────
 const app  = express();
@@ -79,8 +114,9 @@ app.use(cors({
         cb(null, true); // Permissivo por padrão — restrinja conforme necessário
     },
     credentials: true,
-    methods:     ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-K11-Token'],
+    methods:     ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-K11-Token', 'If-Match', 'If-None-Match'],
+    exposedHeaders: ['Link', 'X-Total-Count', 'ETag', 'X-Sync-Cursor', 'X-Dataset-Degraded'],
 }));
 
 // ── PERFORMANCE ───────────────────────────────────────────────
@@ -108,10 +144,10 @@ app.use(morgan((tokens, req, res) => {
     const status = tokens.status(req, res);
     const ms     = tokens['response-time'](req, res);
     const method = tokens.method(req, res);
-    const url    = tokens.url(req, res);
-    if (url?.includes('/api/system/stream')) return null; // não loga SSE keepalives
+    const url    = tokens.url(req, res)?.replace(/([?&]_token=)[^&]*/, '$1***');
+    if (url?.includes('/api/system/stream') || url?.includes('/api/data/events') || url?.includes('/api/notifications/stream')) return null; // não loga SSE keepalives
     const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'debug';
-    logger[level]('HTTP', `${method} ${url} → ${status} (${ms}ms)`);
+    logger[level]('HTTP', `${method} ${url} → ${status} (${ms}ms)`, req.user ? { user: req.user.name } : null);
     return null; // morgan não escreve nada, logger já fez
 }));
 
@@ -144,9 +180,19 @@ app.get('/api/status', (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // ROTAS PROTEGIDAS
 // ─────────────────────────────────────────────────────────────
-app.use('/api/data',   dataRoutes);
-app.use('/api/system', systemRoutes);
-app.use('/api/ai',     aiRoutes);
+app.use('/api/auth',          authRoutes);
+app.use('/api/data',          dataRoutes);
+app.use('/api/sync',          syncRoutes);
+app.use('/api/inventory',     inventoryRoutes);
+app.use('/api/transfers',     transferRoutes);
+app.use('/api/purchases',     purchaseRoutes);
+app.use('/api/tasks',         taskRoutes);
+app.use('/api/notifications', notifyRoutes);
+app.use('/api/analytics',     analyticsRoutes);
+app.use('/api/backups',       backupRoutes);
+app.use('/api/search',        searchRoutes);
+app.use('/api/system',        systemRoutes);
+app.use('/api/ai',            aiRoutes);
 
 // Serve arquivos estáticos do front-end (opcional)
 // Descomente se quiser servir o HTML pelo mesmo servidor:
@@ -162,8 +208,37 @@ app.use((req, res) => {
         routes:  [
             'GET  /health',
             'GET  /api/status',
+            'GET  /api/auth/me',
+            'POST /api/auth/session',
+            'GET  /api/auth/users',
             'GET  /api/data/all',
             'GET  /api/data/:dataset',
+            'GET  /api/data/:dataset/:id',
+            'POST /api/data/:dataset',
+            'POST /api/data/:dataset/bulk',
+            'POST /api/data/:dataset/import',
+            'PUT  /api/data/:dataset/:id',
+            'DELETE /api/data/:dataset/:id',
+            'POST /api/sync',
+            'POST /api/inventory/movements',
+            'GET  /api/inventory/balance',
+            'GET  /api/inventory/history/:produtoId',
+            'GET  /api/inventory/reconciliation',
+            'GET  /api/transfers',
+            'POST /api/transfers',
+            'GET  /api/purchases',
+            'POST /api/purchases',
+            'GET  /api/purchases/suppliers/metrics',
+            'GET  /api/tasks',
+            'POST /api/tasks',
+            'GET  /api/tasks/recurrences',
+            'GET  /api/notifications',
+            'GET  /api/analytics/reorder',
+            'GET  /api/analytics/pdv/compare',
+            'GET  /api/analytics/sales',
+            'GET  /api/backups',
+            'POST /api/backups/restore',
+            'GET  /api/search?q=',
             'GET  /api/system/status',
             'GET  /api/system/logs',
             'GET  /api/system/stream  (SSE)',
@@ -203,6 +278,15 @@ const server = app.listen(PORT, '0.0.0.0', async () => {
         .join(' | ');
     logger.info('BOOT', `Datasets carregados → ${totals}`);
 
+    // Recarrega JSONs alterados em /data e avisa os clientes (dataset:changed)
+    datastore.watch();
+
+    // Snapshots antes das escritas + backup completo agendado (data/backups)
+    backups.start();
+
+    // Tarefas recorrentes (checklists do dia) + alertas de prazo vencido
+    tasks.start();
+
     // Health check automático ao iniciar (se IA disponível)
     if (process.env.GROQ_API_KEY?.startsWith('gsk_')) {
         logger.info('BOOT', 'Executando análise inicial de saúde...');
@@ -220,9 +304,16 @@ const server = app.listen(PORT, '0.0.0.0', async () => {
     logger.info('BOOT', '✓ K11 OMNI ELITE SERVER PRONTO');
 });
 
+// WebSocket de sincronização (/api/data/ws) no mesmo servidor HTTP
+realtime.attach(server);
+
 // ── GRACEFUL SHUTDOWN ─────────────────────────────────────────
 function shutdown(signal) {
     logger.warn('BOOT', `Sinal ${signal} recebido. Encerrando servidor...`);
+    datastore.unwatch();
+    backups.stop();
+    tasks.stop();
+    realtime.close();
     server.close(() => {
         logger.info('BOOT', 'Servidor encerrado com sucesso.');
         process.exit(0);
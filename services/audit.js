@@ -0,0 +1,184 @@
+/**
+ * K11 OMNI ELITE — AUDIT TRAIL
+ * ══════════════════════════════
+ * Trilha de auditoria imutável de todas as mutações do DataStore.
+ * Vive no mesmo banco SQLite e é gravada DENTRO da transação da
+ * escrita — ou grava os dois, ou nenhum.
+ *
+ * A tabela é append-only: triggers abortam qualquer UPDATE/DELETE.
+ */
+
+'use strict';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS audit_log (
+        seq     INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts      TEXT NOT NULL,
+        actor   TEXT,
+        ip      TEXT,
+        action  TEXT NOT NULL,
+        dataset TEXT NOT NULL,
+        item_id TEXT,
+        version INTEGER,
+        before  TEXT,
+        after   TEXT,
+        diff    TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_item ON audit_log (dataset, item_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_audit_ts   ON audit_log (ts);
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log é append-only'); END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log é append-only'); END;
+`;
+
+// Campos que mudam em toda escrita e só poluiriam o diff
+const DIFF_IGNORE = ['updatedAt', 'version'];
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Cria a trilha sobre uma conexão better-sqlite3 já aberta.
+ */
+function createAuditLog(db) {
+    db.exec(SCHEMA);
+
+    const insert = db.prepare(`
+        INSERT INTO audit_log (ts, actor, ip, action, dataset, item_id, version, before, after, diff)
+        VALUES (@ts, @actor, @ip, @action, @dataset, @item_id, @version, @before, @after, @diff)
+    `);
+    const bySeq = db.prepare('SELECT * FROM audit_log WHERE seq = ?');
+    const byVersion = db.prepare(`
+        SELECT * FROM audit_log
+        WHERE dataset = ? AND item_id = ? AND version = ? AND after IS NOT NULL
+        ORDER BY seq DESC LIMIT 1
+    `);
+    const maxVersion = db.prepare('SELECT MAX(version) AS v FROM audit_log WHERE dataset = ? AND item_id = ?');
+    const maxSeq     = db.prepare('SELECT MAX(seq) AS s FROM audit_log');
+    const maxSeqAt   = db.prepare('SELECT MAX(seq) AS s FROM audit_log WHERE ts <= ?');
+
+    /**
+     * Registra uma mutação. Deve ser chamado dentro da transação da escrita.
+     * actor = { user, ip } (ambos opcionais).
+     */
+    function record({ action, dataset, id = null, before = null, after = null, actor = null }) {
+        const info = insert.run({
+            ts:      new Date().toISOString(),
+            actor:   actor?.user ?? null,
+            ip:      actor?.ip ?? null,
+            action,
+            dataset,
+            item_id: id == null ? null : String(id),
+            version: after?.version ?? before?.version ?? null,
+            before:  before ? JSON.stringify(before) : null,
+            after:   after  ? JSON.stringify(after)  : null,
+            diff:    JSON.stringify(diff(before, after)),
+        });
+        return Number(info.lastInsertRowid);
+    }
+
+    /**
+     * Consulta a trilha. Filtros: dataset, id, from, to (ISO), actor, action.
+     * Retorna { total, entries } — mais recentes primeiro.
+     */
+    function query({ dataset, id, from, to, actor, action, limit = 100, offset = 0 } = {}) {
+        const where  = [];
+        const params = {};
+        if (dataset) { where.push('dataset = @dataset'); params.dataset = dataset; }
+        if (id)      { where.push('item_id = @id');      params.id      = String(id); }
+        if (from)    { where.push('ts >= @from');        params.from    = from; }
+        if (to)      { where.push('ts <= @to');          params.to      = to; }
+        if (actor)   { where.push('actor = @actor');     params.actor   = actor; }
+        if (action)  { where.push('action = @action');   params.action  = action; }
+
+        const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const total  = db.prepare(`SELECT COUNT(*) AS n FROM audit_log ${clause}`).get(params).n;
+        const rows   = db.prepare(`SELECT * FROM audit_log ${clause} ORDER BY seq DESC LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit: Math.min(limit, MAX_LIMIT), offset });
+
+        return { total, entries: rows.map(_parse) };
+    }
+
+    /** Entrada por número de sequência */
+    function get(seq) {
+        const row = bySeq.get(seq);
+        return row ? _parse(row) : null;
+    }
+
+    /** Último estado gravado de um item numa versão específica */
+    function findVersion(dataset, id, version) {
+        const row = byVersion.get(dataset, String(id), version);
+        return row ? _parse(row) : null;
+    }
+
+    /** Maior versão já registrada para o item (0 se nunca auditado) */
+    function lastVersion(dataset, id) {
+        return maxVersion.get(dataset, String(id)).v ?? 0;
+    }
+
+    /** seq da entrada mais recente (0 com a trilha vazia) */
+    function lastSeq() {
+        return maxSeq.get().s ?? 0;
+    }
+
+    /** seq da última entrada gravada até "ts" (ISO) — 0 se nenhuma */
+    function lastSeqAt(ts) {
+        return maxSeqAt.get(ts).s ?? 0;
+    }
+
+    /**
+     * Entradas com seq > "seq", em ordem crescente — base do cursor
+     * de sincronização. datasets (opcional) restringe a busca.
+     */
+    function since(seq, { datasets = null, limit = MAX_LIMIT } = {}) {
+        const params = { seq, limit };
+        let clause = '';
+        if (datasets) {
+            datasets.forEach((d, i) => { params[`d${i}`] = d; });
+            clause = `AND dataset IN (${datasets.map((_, i) => `@d${i}`).join(', ') || 'NULL'})`;
+        }
+        return db.prepare(`SELECT * FROM audit_log WHERE seq > @seq ${clause} ORDER BY seq LIMIT @limit`)
+            .all(params)
+            .map(_parse);
+    }
+
+    return { record, query, get, findVersion, lastVersion, lastSeq, lastSeqAt, since };
+}
+
+/**
+ * Diff raso campo a campo: { campo: { from, to } }.
+ */
+function diff(before, after) {
+    const out  = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        if (DIFF_IGNORE.includes(key)) continue;
+        const from = before?.[key];
+        const to   = after?.[key];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            out[key] = { from: from ?? null, to: to ?? null };
+        }
+    }
+    return out;
+}
+
+function _parse(row) {
+    return {
+        seq:     row.seq,
+        ts:      row.ts,
+        actor:   row.actor,
+        ip:      row.ip,
+        action:  row.action,
+        dataset: row.dataset,
+        id:      row.item_id,
+        version: row.version,
+        before:  row.before ? JSON.parse(row.before) : null,
+        after:   row.after  ? JSON.parse(row.after)  : null,
+        diff:    row.diff   ? JSON.parse(row.diff)   : {},
+    };
+}
+
+module.exports = { createAuditLog, diff };
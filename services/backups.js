@@ -0,0 +1,465 @@
+/**
+ * K11 OMNI ELITE — BACKUPS (SNAPSHOTS E RESTAURAÇÃO)
+ * ════════════════════════════════════════════════════
+ * Cópias dos datasets em arquivos gzip fora do banco, em data/backups
+ * (K11_BACKUP_DIR), indexadas na tabela "backups":
+ *
+ *   snapshot → um dataset, tirado antes de toda escrita ("dataset:writing");
+ *              com SNAPSHOT_INTERVAL_MIN > 0, escritas de uma linha ficam
+ *              em no máximo um a cada intervalo (a trilha de auditoria
+ *              cobre o resto) — replace, import, bulk, reload e restore
+ *              sempre geram o seu
+ *   full     → todos os datasets: agendado (BACKUP_INTERVAL_HOURS) ou manual
+ *
+ * Retenção: snapshots por idade (SNAPSHOT_RETENTION_DAYS) e quantidade por
+ * dataset (SNAPSHOT_KEEP); backups completos por quantidade (BACKUP_KEEP).
+ *
+ * Restauração para um instante ("at"): parte do estado atual e desfaz, da
+ * mais nova para a mais antiga, as entradas da trilha depois do instante
+ * (o "before" de cada linha). Substituições inteiras (replace, reload,
+ * restore) não guardam as linhas na trilha — ali o estado vem do snapshot
+ * ou backup mais recente antes delas. O alcance é o da retenção.
+ */
+
+'use strict';
+
+const crypto    = require('crypto');
+const fs        = require('fs');
+const path      = require('path');
+const zlib      = require('zlib');
+const datastore = require('./datastore');
+const logger    = require('./logger');
+const { diff }  = require('./audit');
+const { writeFileAtomic } = require('./datastore');
+
+const BACKUP_DIR = process.env.K11_BACKUP_DIR || path.join(__dirname, '..', 'data', 'backups');
+const KINDS      = ['snapshot', 'full'];
+
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MIN || '0', 10) * 60_000;
+const SNAPSHOT_KEEP        = parseInt(process.env.SNAPSHOT_KEEP || '50', 10);
+const SNAPSHOT_MAX_AGE_MS  = parseInt(process.env.SNAPSHOT_RETENTION_DAYS || '7', 10) * 86_400_000;
+const BACKUP_INTERVAL_MS   = parseInt(process.env.BACKUP_INTERVAL_HOURS || '24', 10) * 3_600_000;
+const BACKUP_KEEP          = parseInt(process.env.BACKUP_KEEP || '14', 10);
+
+// escritas que trocam muitas linhas de uma vez → snapshot sempre
+const FORCED_ACTIONS = ['replace', 'import', 'bulk', 'reload', 'restore'];
+const MAX_REPLAY     = 100_000;   // entradas da trilha desfeitas por dataset numa restauração
+const DIFF_SAMPLE    = 100;
+const NO_ID          = '\u0000';   // prefixo das chaves de linhas sem id no diff
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS backups (
+        seq        INTEGER PRIMARY KEY AUTOINCREMENT,
+        id         TEXT NOT NULL UNIQUE,
+        kind       TEXT NOT NULL,
+        dataset    TEXT,
+        file       TEXT NOT NULL,
+        datasets   TEXT NOT NULL,
+        cursor     INTEGER NOT NULL,
+        reason     TEXT,
+        actor      TEXT,
+        bytes      INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_backups_dataset ON backups (dataset, seq);
+    CREATE INDEX IF NOT EXISTS idx_backups_cursor  ON backups (cursor);
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+
+const stmt = {
+    insert:     db.prepare(`
+        INSERT INTO backups (id, kind, dataset, file, datasets, cursor, reason, actor, bytes, created_at)
+        VALUES (@id, @kind, @dataset, @file, @datasets, @cursor, @reason, @actor, @bytes, @createdAt)
+    `),
+    byId:       db.prepare('SELECT * FROM backups WHERE id = ?'),
+    remove:     db.prepare('DELETE FROM backups WHERE id = ?'),
+    latest:     db.prepare(`SELECT * FROM backups WHERE kind = 'snapshot' AND dataset = ? ORDER BY seq DESC LIMIT 1`),
+    latestFull: db.prepare(`SELECT * FROM backups WHERE kind = 'full' ORDER BY seq DESC LIMIT 1`),
+    // bases possíveis para o estado antes de uma substituição inteira
+    basesBefore: db.prepare(`
+        SELECT * FROM backups WHERE cursor < ? AND (dataset = ? OR kind = 'full')
+        ORDER BY cursor DESC, seq DESC LIMIT 20
+    `),
+    expiredSnapshots: db.prepare(`
+        SELECT * FROM backups WHERE kind = 'snapshot' AND (
+            created_at < @before
+            OR seq NOT IN (SELECT b.seq FROM backups b WHERE b.kind = 'snapshot' AND b.dataset = backups.dataset
+                           ORDER BY b.seq DESC LIMIT @keep)
+        )
+    `),
+    expiredFull: db.prepare(`
+        SELECT * FROM backups WHERE kind = 'full'
+        AND seq NOT IN (SELECT seq FROM backups WHERE kind = 'full' ORDER BY seq DESC LIMIT @keep)
+    `),
+};
+
+class BackupError extends Error {
+    constructor(message, status = 400, details = null) {
+        super(message);
+        this.name    = 'BackupError';
+        this.status  = status;
+        this.details = details;
+    }
+}
+
+let _timer = null;
+
+// ── AGENDAMENTO ───────────────────────────────────────────────
+
+/**
+ * Liga os snapshots antes das escritas e o backup completo agendado.
+ * Chamado pelo server.js — scripts avulsos não geram snapshots.
+ */
+function start() {
+    if (_timer) return;
+    datastore.on('dataset:writing', _onWriting);
+    _timer = setInterval(_scheduled, BACKUP_INTERVAL_MS);
+
+    // servidor parado por mais que o intervalo → backup já na subida
+    const last = stmt.latestFull.get();
+    if (!last || Date.now() - Date.parse(last.created_at) >= BACKUP_INTERVAL_MS) _scheduled();
+    logger.info('BACKUPS', `Backups em ${BACKUP_DIR}`, { intervalHours: BACKUP_INTERVAL_MS / 3_600_000 });
+}
+
+function stop() {
+    clearInterval(_timer);
+    _timer = null;
+    datastore.off('dataset:writing', _onWriting);
+}
+
+function _scheduled() {
+    try {
+        backupAll({ reason: 'scheduled' });
+    } catch (err) {
+        logger.error('BACKUPS', 'Falha no backup agendado', { error: err.message });
+    }
+}
+
+/** Snapshot antes da escrita — falhar aqui não pode impedir a escrita */
+function _onWriting({ dataset, action }) {
+    try {
+        const last = stmt.latest.get(dataset);
+        if (!FORCED_ACTIONS.includes(action) && last && Date.now() - Date.parse(last.created_at) < SNAPSHOT_INTERVAL_MS) return;
+        snapshot(dataset, { reason: action });
+    } catch (err) {
+        logger.error('BACKUPS', `Falha no snapshot de ${dataset}`, { action, error: err.message });
+    }
+}
+
+// ── CRIAÇÃO ───────────────────────────────────────────────────
+
+/**
+ * Snapshot do estado atual de um dataset. Retorna null se o dataset
+ * nunca foi importado ou não mudou desde o último snapshot; dataset não
+ * registrado → BackupError 404.
+ */
+function snapshot(dataset, { reason = 'manual', actor = null } = {}) {
+    const name  = _resolve(dataset);
+    const state = datastore.state(name);
+    if (!state) return null;
+
+    const last = stmt.latest.get(name);
+    if (last && JSON.parse(last.datasets)[name]?.rev === state.rev) return null;
+
+    const meta = _write('snapshot', { [name]: state }, { dataset: name, cursor: state.cursor, reason, actor });
+    _prune();
+    return meta;
+}
+
+/** Backup completo de todos os datasets já importados */
+function backupAll({ reason = 'manual', actor = null } = {}) {
+    const states = {};
+    for (const name of datastore.registry.names()) {
+        const state = datastore.state(name);
+        if (state) states[name] = state;
+    }
+    const cursor = datastore.cursor();
+    const meta   = _write('full', states, { dataset: null, cursor, reason, actor });
+    _prune();
+    logger.info('BACKUPS', 'Backup completo gravado', { id: meta.id, datasets: Object.keys(states).length, bytes: meta.bytes, reason });
+    return meta;
+}
+
+/** Grava o arquivo (atômico: nunca fica um .gz pela metade) e a linha do índice */
+function _write(kind, states, { dataset, cursor, reason, actor }) {
+    const id        = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const stamp     = createdAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const file      = kind === 'full'
+        ? path.join('full', `${stamp}-${id.slice(0, 8)}.json.gz`)
+        : path.join('snapshots', dataset, `${stamp}-${id.slice(0, 8)}.json.gz`);
+
+    const content = { kind, createdAt, cursor, datasets: Object.fromEntries(Object.entries(states).map(([name, s]) => [name, { rev: s.rev, rows: s.rows }])) };
+    const gz      = zlib.gzipSync(JSON.stringify(content));
+    const target  = path.join(BACKUP_DIR, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    writeFileAtomic(target, gz);
+
+    const summary = Object.fromEntries(Object.entries(states).map(([name, s]) => [name, { rows: s.rows.length, rev: s.rev }]));
+    stmt.insert.run({
+        id, kind, dataset, file, cursor, reason,
+        datasets: JSON.stringify(summary),
+        actor:    actor?.user ?? null,
+        bytes:    gz.length,
+        createdAt,
+    });
+    return _format(stmt.byId.get(id));
+}
+
+/** Aplica a retenção: remove o arquivo e a linha do índice */
+function _prune() {
+    const expired = [
+        ...stmt.expiredSnapshots.all({ before: new Date(Date.now() - SNAPSHOT_MAX_AGE_MS).toISOString(), keep: SNAPSHOT_KEEP }),
+        ...stmt.expiredFull.all({ keep: BACKUP_KEEP }),
+    ];
+    for (const row of expired) {
+        try {
+            fs.rmSync(path.join(BACKUP_DIR, row.file), { force: true });
+        } catch (err) {
+            logger.warn('BACKUPS', `Falha ao remover ${row.file}`, { error: err.message });
+        }
+        stmt.remove.run(row.id);
+    }
+    if (expired.length) logger.debug('BACKUPS', 'Retenção aplicada', { removed: expired.length });
+}
+
+// ── CONSULTA ──────────────────────────────────────────────────
+
+/** Snapshots e backups, mais recentes primeiro. Filtros: kind, dataset */
+function list({ kind = null, dataset = null, limit = 100, offset = 0 } = {}) {
+    const where  = [];
+    const params = { limit, offset };
+    if (kind)    { where.push('kind = @kind'); params.kind = kind; }
+    if (dataset) {
+        params.dataset = datastore.registry.resolve(dataset);
+        if (!params.dataset) throw new BackupError(`Dataset "${dataset}" não registrado`);
+        where.push(`(dataset = @dataset OR (kind = 'full' AND EXISTS (SELECT 1 FROM json_each(datasets) WHERE key = @dataset)))`);
+    }
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const total  = db.prepare(`SELECT COUNT(*) AS n FROM backups ${clause}`).get(params).n;
+    const rows   = db.prepare(`SELECT * FROM backups ${clause} ORDER BY seq DESC LIMIT @limit OFFSET @offset`).all(params);
+    return { total, backups: rows.map(_format) };
+}
+
+function get(id) {
+    const row = stmt.byId.get(id);
+    if (!row) throw new BackupError(`Backup ${id} não encontrado`, 404);
+    return _format(row);
+}
+
+/**
+ * Diferença entre um snapshot (ou um dataset de um backup completo) e os
+ * dados atuais: o que entrou, saiu e mudou desde ele.
+ */
+function diffWithCurrent(id, dataset = null) {
+    const row  = stmt.byId.get(id);
+    if (!row) throw new BackupError(`Backup ${id} não encontrado`, 404);
+    const name = _datasetOf(row, dataset);
+
+    const saved   = _load(row).datasets[name].rows;
+    const current = datastore.state(name)?.rows ?? [];
+    return { dataset: name, backup: _format(row), ..._compare(saved, current, name) };
+}
+
+// ── RESTAURAÇÃO ───────────────────────────────────────────────
+
+/**
+ * Restaura um dataset (ou todos) para um instante (at, ISO) ou para o
+ * conteúdo de um snapshot/backup (snapshotId). Tudo é calculado antes da
+ * primeira gravação — um dataset sem estado alcançável aborta sem mudar nada.
+ * Cada dataset grava na própria transação: falha no meio de uma
+ * restauração de vários → BackupError com os já restaurados (ficam como
+ * estão), o que falhou e os que não foram tocados.
+ * dryRun → só o que mudaria em cada dataset.
+ */
+async function restore({ dataset = null, at = null, snapshotId = null, dryRun = false, actor = null } = {}) {
+    if ((at == null) === (snapshotId == null)) throw new BackupError('Informe "at" ou "snapshotId"');
+
+    let targets;
+    if (snapshotId != null) {
+        const row = stmt.byId.get(snapshotId);
+        if (!row) throw new BackupError(`Backup ${snapshotId} não encontrado`, 404);
+        const content = _load(row);
+        const names   = dataset ? [_datasetOf(row, dataset)] : Object.keys(content.datasets).filter(n => datastore.registry.resolve(n));
+        targets = names.map(name => ({ name, rows: content.datasets[name].rows }));
+    } else {
+        const ts = new Date(at);
+        if (Number.isNaN(ts.getTime())) throw new BackupError('"at" deve ser uma data ISO 8601');
+        if (ts.getTime() > Date.now()) throw new BackupError('"at" não pode estar no futuro');
+        const cursor = datastore.cursorAt(ts.toISOString());
+        const names  = dataset ? [_resolve(dataset)] : datastore.registry.names().filter(n => datastore.state(n));
+        targets = names.map(name => ({ name, rows: _rowsAt(name, cursor) }));
+    }
+
+    const results = [];
+    for (const [i, { name, rows }] of targets.entries()) {
+        const current = datastore.state(name)?.rows ?? [];
+        const { counts } = _compare(current, rows, name);
+        const changed = counts.added + counts.removed + counts.changed > 0;
+        try {
+            if (!dryRun && changed) await datastore.restore(name, rows, { actor });
+        } catch (err) {
+            const restored = results.filter(r => r.restored).map(r => r.dataset);
+            if (!restored.length) throw err;
+            logger.error('BACKUPS', 'Restauração parcial', { at, snapshotId, restored, failed: name, error: err.message, by: actor?.user });
+            throw new BackupError(
+                `Restauração parcial: falha em "${name}" (${err.message}) — já restaurados: ${restored.join(', ')}`,
+                err.status ?? 500,
+                { restored, failed: name, pending: targets.slice(i + 1).map(t => t.name) },
+            );
+        }
+        results.push({ dataset: name, rows: rows.length, restored: !dryRun && changed, changes: counts });
+    }
+
+    if (!dryRun) {
+        logger.warn('BACKUPS', 'Restauração executada', {
+            at, snapshotId, datasets: results.filter(r => r.restored).map(r => r.dataset), by: actor?.user,
+        });
+    }
+    return { at, snapshotId, dryRun, datasets: results };
+}
+
+/**
+ * Linhas do dataset no cursor: estado atual com as entradas posteriores
+ * desfeitas, da mais nova para a mais antiga.
+ */
+function _rowsAt(name, cursor) {
+    const { idField } = datastore.registry.get(name);
+    const state = datastore.state(name);
+    if (!state) return [];
+
+    const entries = datastore.changesSince(cursor, { datasets: [name], limit: MAX_REPLAY + 1 });
+    if (entries.length > MAX_REPLAY) {
+        throw new BackupError(`Mais de ${MAX_REPLAY} mutações em ${name} depois do instante — restaure por snapshotId`, 422);
+    }
+
+    let rows = _byId(state.rows, idField);
+    for (const entry of entries.reverse()) {
+        if (entry.id == null) {
+            rows = _byId(_stateBefore(name, entry), idField);
+            continue;
+        }
+        // mesmo id → volta no lugar; id trocado ou linha criada → sai
+        const key = entry.before ? _rowKey(entry.before, idField) : null;
+        if (key !== entry.id) rows.delete(entry.id);
+        if (entry.before) rows.set(key, entry.before);
+    }
+    return [...rows.values()];
+}
+
+/**
+ * Estado do dataset imediatamente antes de uma substituição inteira:
+ * o snapshot/backup mais recente sem nenhuma escrita do dataset entre
+ * ele e a entrada. A importação inicial do JSON parte do vazio.
+ */
+function _stateBefore(name, entry) {
+    for (const row of stmt.basesBefore.all(entry.seq, name)) {
+        if (!JSON.parse(row.datasets)[name]) continue;
+        const next = datastore.changesSince(row.cursor, { datasets: [name], limit: 1 })[0];
+        if (next && next.seq < entry.seq) break;   // escrita no meio sem snapshot: base inválida
+        return _load(row).datasets[name].rows;
+    }
+
+    const first = datastore.changesSince(0, { datasets: [name], limit: 1 })[0];
+    if (entry.action === 'import' && first?.seq === entry.seq) return [];
+
+    throw new BackupError(
+        `Sem snapshot de ${name} antes da entrada #${entry.seq} (${entry.action}, ${entry.ts}) — instante fora da retenção`, 422);
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+function _load(row) {
+    let raw;
+    try {
+        raw = fs.readFileSync(path.join(BACKUP_DIR, row.file));
+    } catch {
+        throw new BackupError(`Arquivo do backup ${row.id} não encontrado (${row.file})`, 410);
+    }
+    return JSON.parse(zlib.gunzipSync(raw));
+}
+
+/** Dataset pedido dentro do backup (o do snapshot quando omitido) */
+function _datasetOf(row, dataset) {
+    const names = Object.keys(JSON.parse(row.datasets));
+    if (!dataset) {
+        if (row.kind === 'snapshot') return row.dataset;
+        throw new BackupError(`Informe "dataset" — o backup ${row.id} tem ${names.length} datasets`);
+    }
+    const name = _resolve(dataset);
+    if (!names.includes(name)) throw new BackupError(`O backup ${row.id} não contém o dataset "${name}"`, 404);
+    return name;
+}
+
+function _resolve(dataset) {
+    const name = datastore.registry.resolve(dataset);
+    if (!name) throw new BackupError(`Dataset "${dataset}" não registrado`, 404);
+    return name;
+}
+
+/** De "from" para "to": linhas que entraram, saíram e mudaram (com amostras) */
+function _compare(from, to, name) {
+    const { idField } = datastore.registry.get(name);
+    const before  = _byContent(from, idField);
+    const after   = _byContent(to, idField);
+    const added   = [...after.keys()].filter(id => !before.has(id));
+    const removed = [...before.keys()].filter(id => !after.has(id));
+    const changed = [];
+    let unchanged = 0;
+    for (const [id, row] of after) {
+        if (!before.has(id)) continue;
+        const changes = diff(before.get(id), row);
+        if (Object.keys(changes).length) changed.push({ id, changes });
+        else unchanged++;
+    }
+    const ids = list => list.filter(id => !id.startsWith(NO_ID)).slice(0, DIFF_SAMPLE);
+    return {
+        counts:  { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+        added:   ids(added),
+        removed: ids(removed),
+        changed: changed.slice(0, DIFF_SAMPLE),
+    };
+}
+
+/** Como _byId, mas linhas sem id são casadas pelo conteúdo (repetidas contam uma a uma) */
+function _byContent(rows, idField) {
+    const seen = new Map();
+    return new Map(rows.map(row => {
+        if (row?.[idField] != null) return [String(row[idField]), row];
+        const json = JSON.stringify(row);
+        seen.set(json, (seen.get(json) ?? 0) + 1);
+        return [`${NO_ID}${seen.get(json)}:${json}`, row];
+    }));
+}
+
+/** id → linha; linhas sem id ganham uma chave própria (nunca colidem) */
+function _byId(rows, idField) {
+    return new Map(rows.map(row => [_rowKey(row, idField), row]));
+}
+
+function _rowKey(row, idField) {
+    return row?.[idField] != null ? String(row[idField]) : Symbol('sem-id');
+}
+
+function _format(row) {
+    return {
+        id:        row.id,
+        kind:      row.kind,
+        dataset:   row.dataset,
+        datasets:  JSON.parse(row.datasets),
+        cursor:    row.cursor,
+        reason:    row.reason,
+        actor:     row.actor,
+        bytes:     row.bytes,
+        file:      row.file,
+        createdAt: row.created_at,
+    };
+}
+
+module.exports = {
+    KINDS, BACKUP_DIR, BackupError,
+    start, stop, snapshot, backupAll, list, get, diffWithCurrent, restore,
+};
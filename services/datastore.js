@@ -1,37 +1,94 @@
 /**
  * K11 OMNI ELITE — DATA STORE SERVICE
  * ═════════════════════════════════════
- * Gerencia todos os JSONs como fonte de verdade.
+ * Persiste todos os datasets em SQLite (better-sqlite3).
+ * Os JSONs da pasta /data são importados uma única vez,
+ * na primeira leitura de cada dataset.
+ * Cada escrita roda dentro de uma transação e é validada
+ * contra o schema do dataset (services/schemas.js).
  * Cache em memória com TTL e invalidação.
- * Leitura segura com fallback para array vazio.
+ * watch() observa /data: um JSON alterado é recarregado numa única
+ * transação, e toda mudança (arquivo ou API) emite "dataset:changed".
+ * Só datasets do registro (services/registry.js) são aceitos —
+ * o registro define arquivo, idField, schema, loja, TTL e permissões.
+ *
+ * Escritas de um mesmo dataset passam por uma fila e terminam na ordem
+ * em que chegaram; cada commit faz fsync (synchronous = FULL). Um JSON
+ * corrompido em /data deixa o dataset "degradado" — nunca vira lista vazia.
  */
 
 'use strict';
 
-const fs     = require('fs');
-const path   = require('path');
-const logger = require('./logger');
-
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const CACHE_TTL_MS = 30_000; // 30s de cache
-
-// ── MAPA DE ARQUIVOS CONHECIDOS ────────────────────────────────
-const DATASETS = {
-    produtos:       'produtos.json',
-    pdv:            'pdv.json',
-    pdvAnterior:    'pdvAnterior.json',
-    pdvmesquita:    'pdvmesquita.json',
-    pdvjacarepagua: 'pdvjacarepagua.json',
-    pdvbenfica:     'pdvbenfica.json',
-    movimento:      'movimento.json',
-    auditoria:      'auditoria.json',
-    fornecedor:     'fornecedor.json',
-    tarefas:        'tarefas.json',
-};
-
-class DataStore {
+const fs       = require('fs');
+const path     = require('path');
+const crypto   = require('crypto');
+const { EventEmitter } = require('events');
+const Database = require('better-sqlite3');
+const { v4: uuidv4 } = require('uuid');
+const logger   = require('./logger');
+const schemas  = require('./schemas');
+const { createAuditLog } = require('./audit');
+const { createRegistry } = require('./registry');
+
+const DATA_DIR     = path.join(__dirname, '..', 'data');
+const DB_PATH      = process.env.K11_DB_PATH || path.join(DATA_DIR, 'k11.db');
+const MAX_BULK     = 5000;   // itens por upsert em lote
+const MAX_IMPORT   = 50000;  // linhas por importação de planilha
+const PREVIEW_ROWS = 20;     // amostra de cada operação no resultado da importação
+const STREAM_BATCH = 500;    // linhas por leitura na exportação em stream
+const WATCH_DEBOUNCE_MS = parseInt(process.env.WATCH_DEBOUNCE_MS || '500', 10);   // espera a cópia do arquivo terminar
+// FULL: fsync a cada commit — um crash ou queda de energia não perde escrita confirmada
+const DB_SYNCHRONOUS = ['OFF', 'NORMAL', 'FULL', 'EXTRA'].includes(String(process.env.K11_DB_SYNCHRONOUS).toUpperCase())
+    ? String(process.env.K11_DB_SYNCHRONOUS).toUpperCase()
+    : 'FULL';
+
+// ── SCHEMA SQLITE ──────────────────────────────────────────────
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS datasets (
+        name        TEXT PRIMARY KEY,
+        source      TEXT,
+        imported_at TEXT NOT NULL,
+        rows        INTEGER NOT NULL DEFAULT 0,
+        rev         INTEGER NOT NULL DEFAULT 0,
+        source_hash TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS items (
+        seq     INTEGER PRIMARY KEY AUTOINCREMENT,
+        dataset TEXT NOT NULL,
+        item_id TEXT,
+        data    TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_items_dataset ON items (dataset, seq);
+    CREATE INDEX IF NOT EXISTS idx_items_id      ON items (dataset, item_id);
+`;
+
+/** Erro de operação no DataStore, com status HTTP sugerido */
+class DataStoreError extends Error {
+    constructor(message, { status = 400, code = 'INVALID', details = null } = {}) {
+        super(message);
+        this.name    = 'DataStoreError';
+        this.status  = status;
+        this.code    = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Eventos:
+ *   "dataset:writing" → { dataset, action } — síncrono, logo antes da
+ *                       transação (services/backups.js tira o snapshot aqui)
+ *   "dataset:changed" → { dataset, rev, reason: "write"|"file", action, id?, ts }
+ */
+class DataStore extends EventEmitter {
     constructor() {
-        this._cache  = new Map();   // key → { data, ts }
+        super();
+        this._cache  = new Map();   // dataset → { data, ts }
+        this._watcher      = null;
+        this._reloadTimers = new Map();   // dataset → timeout do debounce
+        this._queues   = new Map();   // dataset → fim da fila de escrita
+        this._degraded = new Map();   // dataset → { file, error, lastGood, since, hash }
         this._writes = 0;
         this._reads  = 0;
         this._errors = 0;
@@ -42,7 +99,192 @@ class DataStore {
             logger.warn('DATASTORE', `Pasta /data criada. Coloque os JSONs em: ${DATA_DIR}`);
         }
 
-        logger.info('DATASTORE', 'DataStore inicializado', { dir: DATA_DIR, datasets: Object.keys(DATASETS).length });
+        this._db = new Database(DB_PATH);
+        this._db.pragma('journal_mode = WAL');
+        this._db.pragma(`synchronous = ${DB_SYNCHRONOUS}`);
+        this._db.exec(SCHEMA);
+        this._migrate();
+        this._audit = createAuditLog(this._db);
+        this._registry = createRegistry(this._db);
+
+        this._stmt = {
+            isImported:  this._db.prepare('SELECT 1 FROM datasets WHERE name = ?'),
+            markImported: this._db.prepare(`
+                INSERT INTO datasets (name, source, imported_at, rows, rev) VALUES (?, ?, ?, ?, 1)
+                ON CONFLICT(name) DO UPDATE SET rows = excluded.rows, rev = rev + 1
+            `),
+            revision:    this._db.prepare('SELECT rev FROM datasets WHERE name = ?'),
+            sourceState: this._db.prepare('SELECT source_hash FROM datasets WHERE name = ?'),
+            setSource:   this._db.prepare('UPDATE datasets SET source = ?, source_hash = ?, imported_at = ? WHERE name = ?'),
+            selectAll:   this._db.prepare('SELECT data FROM items WHERE dataset = ? ORDER BY seq'),
+            selectRows:  this._db.prepare('SELECT seq, item_id, data FROM items WHERE dataset = ? ORDER BY seq'),
+            selectBatch: this._db.prepare('SELECT seq, data FROM items WHERE dataset = ? AND seq > ? ORDER BY seq LIMIT ?'),
+            selectKeys:  this._db.prepare(`
+                SELECT j.key AS key FROM items, json_each(items.data) AS j
+                WHERE items.dataset = ?
+                GROUP BY j.key ORDER BY MIN(items.seq), MIN(j.id)
+            `),
+            selectOne:   this._db.prepare('SELECT seq, data FROM items WHERE dataset = ? AND item_id = ? ORDER BY seq LIMIT 1'),
+            insert:      this._db.prepare('INSERT INTO items (dataset, item_id, data) VALUES (?, ?, ?)'),
+            update:      this._db.prepare('UPDATE items SET item_id = ?, data = ? WHERE seq = ?'),
+            deleteOne:   this._db.prepare('DELETE FROM items WHERE seq = ?'),
+            deleteAll:   this._db.prepare('DELETE FROM items WHERE dataset = ?'),
+            touch:       this._db.prepare('UPDATE datasets SET rows = (SELECT COUNT(*) FROM items WHERE dataset = ?), rev = rev + 1 WHERE name = ?'),
+        };
+
+        // Transações síncronas — better-sqlite3 faz BEGIN/COMMIT/ROLLBACK.
+        // Toda linha carrega "version"; cada escrita incrementa a versão
+        // da linha e a revisão do dataset (base dos ETags), e grava a
+        // entrada de auditoria na mesma transação.
+        this._replaceTx = this._db.transaction((name, rows, { source = null, sourceHash = null, action = null, actor = null } = {}) => {
+            const { idField } = this._def(name);
+            const now = new Date().toISOString();
+            this._stmt.deleteAll.run(name);
+            for (const row of rows) {
+                const versioned = { ...row, version: row.version ?? 1 };
+                this._stmt.insert.run(name, _itemId(versioned, idField), JSON.stringify(versioned));
+            }
+            this._stmt.markImported.run(name, source, now, rows.length);
+            if (source) this._stmt.setSource.run(source, sourceHash, now, name);
+            this._audit.record({ action: action ?? (source ? 'import' : 'replace'), dataset: name, after: { rows: rows.length, source }, actor });
+        });
+
+        this._updateTx = this._db.transaction((name, id, patch, { expectedVersion = null, action = 'update', actor = null }) => {
+            const def     = this._def(name);
+            const current = this._stmt.selectOne.get(name, String(id));
+            if (!current) return null;
+            const before = JSON.parse(current.data);
+            _assertVersion(name, id, before, expectedVersion);
+            const merged = _merge(before, patch, new Date().toISOString());
+            _assertValid(def, merged);
+            const mergedId = _itemId(merged, def.idField);
+            if (mergedId !== String(id)) {
+                throw new DataStoreError(`O campo "${def.idField}" não pode ser alterado (${id} → ${mergedId})`, { code: 'ID_CHANGE' });
+            }
+            this._stmt.update.run(mergedId, JSON.stringify(merged), current.seq);
+            this._stmt.touch.run(name, name);
+            this._audit.record({ action, dataset: name, id: mergedId, before, after: merged, actor });
+            return merged;
+        });
+
+        this._insertTx = this._db.transaction((name, item, { actor = null, within = null }) => {
+            const def = this._def(name);
+            const id  = _itemId(item, def.idField);
+            if (this._stmt.selectOne.get(name, id)) {
+                throw new DataStoreError(`Item ${id} já existe em ${name}`, { status: 409, code: 'CONFLICT' });
+            }
+            _assertValid(def, item);
+            this._stmt.insert.run(name, id, JSON.stringify(item));
+            this._stmt.touch.run(name, name);
+            this._audit.record({ action: 'create', dataset: name, id, after: item, actor });
+            if (within) within(item);
+            return item;
+        });
+
+        // Vários inserts atômicos (nested → savepoints); within(itens) no fim
+        this._insertManyTx = this._db.transaction((name, items, { actor = null, within = null }) => {
+            const created = items.map(item => this._insertTx(name, item, { actor }));
+            if (within) within(created);
+            return created;
+        });
+
+        this._deleteTx = this._db.transaction((name, id, { expectedVersion = null, actor = null }) => {
+            const current = this._stmt.selectOne.get(name, String(id));
+            if (!current) return null;
+            const before = JSON.parse(current.data);
+            _assertVersion(name, id, before, expectedVersion);
+            this._stmt.deleteOne.run(current.seq);
+            this._stmt.touch.run(name, name);
+            this._audit.record({ action: 'delete', dataset: name, id: String(id), before, actor });
+            return before;
+        });
+
+        this._bulkTx = this._db.transaction((name, items, { actor = null }) => {
+            const { idField, schema } = this._def(name);
+            const now = new Date().toISOString();
+            const results = items.map((item, index) => {
+                if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                    return { index, status: 'error', error: 'Item deve ser um objeto JSON' };
+                }
+                const current = item[idField] != null ? this._stmt.selectOne.get(name, String(item[idField])) : null;
+                if (current) {
+                    const before = JSON.parse(current.data);
+                    const merged = _merge(before, item, now);
+                    const id     = _itemId(merged, idField);
+                    const errors = schemas.validate(schema, merged);
+                    if (errors.length) return { index, id, status: 'invalid', errors };
+                    this._stmt.update.run(id, JSON.stringify(merged), current.seq);
+                    this._audit.record({ action: 'update', dataset: name, id, before, after: merged, actor });
+                    return { index, id, status: 'updated', item: merged };
+                }
+                const created = _create(item, now, idField);
+                const id      = _itemId(created, idField);
+                const errors  = schemas.validate(schema, created);
+                if (errors.length) return { index, status: 'invalid', errors };
+                this._stmt.insert.run(name, id, JSON.stringify(created));
+                this._audit.record({ action: 'create', dataset: name, id, after: created, actor });
+                return { index, id, status: 'created', item: created };
+            });
+            this._stmt.touch.run(name, name);
+            return results;
+        });
+
+        // Importação: planeja tudo e só grava se nenhuma linha for inválida.
+        // merge → upsert (merge raso nas existentes) · replace → o dataset
+        // passa a ser exatamente as linhas importadas (as demais são removidas)
+        this._importTx = this._db.transaction((name, rows, { mode, dryRun, actor = null }) => {
+            const def  = this._def(name);
+            const plan = this._planImport(def, rows, mode);
+            if (dryRun || plan.invalid.length) return plan;
+
+            for (const op of plan.ops) {
+                if (op.type === 'insert') {
+                    this._stmt.insert.run(name, op.id, JSON.stringify(op.after));
+                    this._audit.record({ action: 'create', dataset: name, id: op.id, after: op.after, actor });
+                } else if (op.type === 'update') {
+                    this._stmt.update.run(op.id, JSON.stringify(op.after), op.seq);
+                    this._audit.record({ action: 'update', dataset: name, id: op.id, before: op.before, after: op.after, actor });
+                } else if (op.type === 'delete') {
+                    this._stmt.deleteOne.run(op.seq);
+                    this._audit.record({ action: 'delete', dataset: name, id: op.id, before: op.before, actor });
+                }
+            }
+            this._stmt.touch.run(name, name);
+            return plan;
+        });
+
+        // Volta o item para um estado auditado (recria se tiver sido removido)
+        this._revertTx = this._db.transaction((name, id, snapshot, { actor = null }) => {
+            const def     = this._def(name);
+            const now     = new Date().toISOString();
+            const current = this._stmt.selectOne.get(name, String(id));
+            const before  = current ? JSON.parse(current.data) : null;
+            const version = Math.max(before?.version ?? 0, this._audit.lastVersion(name, id)) + 1;
+            const restored = { ...snapshot, [def.idField]: snapshot[def.idField] ?? id, updatedAt: now, version };
+            _assertValid(def, restored);
+            const restoredId = _itemId(restored, def.idField);
+            if (current) this._stmt.update.run(restoredId, JSON.stringify(restored), current.seq);
+            else         this._stmt.insert.run(name, restoredId, JSON.stringify(restored));
+            this._stmt.touch.run(name, name);
+            this._audit.record({ action: 'revert', dataset: name, id: restoredId, before, after: restored, actor });
+            return restored;
+        });
+
+        logger.info('DATASTORE', 'DataStore inicializado', {
+            dir:      DATA_DIR,
+            db:       DB_PATH,
+            datasets: this._registry.names().length,
+        });
+    }
+
+    /** Conexão SQLite compartilhada com os outros serviços (users, etc.) */
+    get db() {
+        return this._db;
+    }
+
+    /** Registro de datasets (services/registry.js) */
+    get registry() {
+        return this._registry;
     }
 
     // ── LEITURA ───────────────────────────────────────────────
@@ -52,101 +294,451 @@ class DataStore {
      * Usa cache com TTL para performance.
      */
     async get(name, { bustCache = false } = {}) {
-        const filename = DATASETS[name] || (name.endsWith('.json') ? name : `${name}.json`);
-        const filepath = path.join(DATA_DIR, filename);
-        const cacheKey = filename;
+        const key = this._resolve(name);
 
-        // Verifica cache
-        if (!bustCache && this._cache.has(cacheKey)) {
-            const cached = this._cache.get(cacheKey);
-            if (Date.now() - cached.ts < CACHE_TTL_MS) {
-                logger.debug('DATASTORE', `Cache HIT: ${filename}`);
+        // Verifica cache (TTL definido no registro)
+        if (!bustCache && this._cache.has(key)) {
+            const cached = this._cache.get(key);
+            if (Date.now() - cached.ts < this._def(key).cacheTtlMs) {
+                logger.debug('DATASTORE', `Cache HIT: ${key}`);
                 return cached.data;
             }
         }
 
-        // Lê do disco
         try {
-            if (!fs.existsSync(filepath)) {
-                logger.warn('DATASTORE', `Arquivo não encontrado: ${filename}`, { path: filepath });
-                this._errors++;
-                return [];
-            }
+            if (!this._ensureImported(key)) return [];
 
-            const raw  = fs.readFileSync(filepath, 'utf8');
-            const data = JSON.parse(raw);
+            const result = this._stmt.selectAll.all(key).map(r => JSON.parse(r.data));
             this._reads++;
 
-            // Normaliza para array
-            const result = Array.isArray(data) ? data : (data?.data ?? Object.values(data));
-
             // Atualiza cache
-            this._cache.set(cacheKey, { data: result, ts: Date.now() });
+            this._cache.set(key, { data: result, ts: Date.now() });
 
-            logger.debug('DATASTORE', `Lido: ${filename}`, { rows: result.length });
+            logger.debug('DATASTORE', `Lido: ${key}`, { rows: result.length });
             return result;
 
         } catch (err) {
+            // falha de leitura é erro explícito — lista vazia pareceria dataset apagado
             this._errors++;
-            logger.error('DATASTORE', `Falha ao ler ${filename}`, { error: err.message });
-            return [];
+            if (err.code !== 'DEGRADED') logger.error('DATASTORE', `Falha ao ler ${key}`, { error: err.message });
+            throw err;
         }
     }
 
     /**
      * Carrega todos os datasets de uma vez.
-     * Retorna objeto com todos os dados.
+     * Retorna objeto com todos os dados; datasets que não puderam ser
+     * lidos (ex.: degradados) ficam de fora — ver listDegraded().
      */
     async getAll() {
-        const keys    = Object.keys(DATASETS);
-        const results = await Promise.all(keys.map(k => this.get(k)));
+        const keys    = this._registry.names();
+        const results = await Promise.allSettled(keys.map(k => this.get(k)));
         const map     = {};
-        keys.forEach((k, i) => { map[k] = results[i]; });
+        keys.forEach((k, i) => {
+            if (results[i].status === 'fulfilled') map[k] = results[i].value;
+        });
         logger.info('DATASTORE', 'Todos os datasets carregados', {
-            totals: Object.fromEntries(keys.map((k, i) => [k, results[i].length]))
+            totals: Object.fromEntries(Object.entries(map).map(([k, rows]) => [k, rows.length])),
+            ...(this._degraded.size && { degraded: [...this._degraded.keys()] }),
         });
         return map;
     }
 
     /**
-     * Salva/substitui um dataset (write-through cache).
+     * Linhas do dataset em lotes (sem cache, sem montar o array inteiro) —
+     * para exportações grandes. Cada lote é uma leitura curta pelo seq,
+     * então escritas concorrentes não ficam bloqueadas. Dataset degradado
+     * falha já aqui, antes do primeiro byte da resposta.
      */
-    async set(name, data) {
-        const filename = DATASETS[name] || `${name}.json`;
-        const filepath = path.join(DATA_DIR, filename);
+    rows(name, { batchSize = STREAM_BATCH } = {}) {
+        const key = this._resolve(name);
+        if (!this._ensureImported(key)) return (async function* () {})();
+        return this._batches(key, batchSize);
+    }
+
+    async *_batches(key, batchSize) {
+        let after = 0;
+        for (;;) {
+            const batch = this._stmt.selectBatch.all(key, after, batchSize);
+            for (const r of batch) yield JSON.parse(r.data);
+            if (batch.length < batchSize) return;
+            after = batch[batch.length - 1].seq;
+            // cede o event loop entre os lotes
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    /** Campos de primeiro nível presentes no dataset, na ordem em que aparecem */
+    fieldNames(name) {
+        const key = this._resolve(name);
+        if (!this._ensureImported(key)) return [];
+        return this._stmt.selectKeys.all(key).map(r => r.key);
+    }
+
+    /**
+     * Lê um único item por ID (sem passar pelo cache).
+     */
+    async getItem(name, id) {
+        const key = this._resolve(name);
+        if (!this._ensureImported(key)) return null;
+        const row = this._stmt.selectOne.get(key, String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Revisão atual do dataset — muda a cada escrita.
+     * Usada para montar o ETag das listagens.
+     */
+    revision(name) {
+        const key = this._registry.resolve(name);
+        return key ? this._stmt.revision.get(key)?.rev ?? 0 : 0;
+    }
+
+    // ── ESCRITA ───────────────────────────────────────────────
+
+    /**
+     * Salva/substitui um dataset inteiro numa única transação.
+     */
+    async set(name, data, { actor = null } = {}) {
+        const key  = this._resolve(name);
+        return this._enqueue(key, () => {
+            const rows = Array.isArray(data) ? data : [data];
+
+            try {
+                this._writing(key, 'replace');
+                this._replaceTx(key, rows, { actor });
+                this._writes++;
+                this._recover(key);
+
+                // Invalida cache e avisa os assinantes
+                this._changed(key, { action: 'replace', rows: rows.length });
+
+                logger.info('DATASTORE', `Escrito: ${key}`, { rows: rows.length });
+                return true;
+            } catch (err) {
+                this._errors++;
+                logger.error('DATASTORE', `Falha ao escrever ${key}`, { error: err.message });
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Atualiza um item de um array por ID.
+     * Leitura e escrita acontecem na mesma transação, então
+     * dois PUTs concorrentes não sobrescrevem um ao outro.
+     * Com expectedVersion, versão divergente → DataStoreError 412;
+     * patch que muda o campo de ID → DataStoreError 400.
+     * actor = { user, ip } vai para a trilha de auditoria; action
+     * distingue operações especiais (ex.: "toggle").
+     */
+    async updateItem(name, id, patch, { expectedVersion = null, actor = null, action = 'update' } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            if (!this._ensureImported(key)) {
+                logger.warn('DATASTORE', `Item não encontrado para update`, { dataset: key, id });
+                return null;
+            }
+
+            this._writing(key, action);
+            const updated = this._updateTx(key, id, patch, { expectedVersion, actor, action });
+            if (!updated) {
+                logger.warn('DATASTORE', `Item não encontrado para update`, { dataset: key, id });
+                return null;
+            }
+
+            this._writes++;
+            this._changed(key, { action, id: String(id) });
+            return updated;
+        });
+    }
+
+    /**
+     * Cria um item novo. O id é gerado no servidor (uuid v4)
+     * quando não vier no corpo; id repetido → DataStoreError 409.
+     * within(item) roda dentro da mesma transação — se lançar, o
+     * insert é desfeito (ex.: saldo do razão de estoque).
+     */
+    async insertItem(name, item, { actor = null, within = null } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            this._ensureImported(key, { create: true });
+
+            const { idField } = this._def(key);
+            this._writing(key, 'create');
+            const created = this._insertTx(key, _create(item, new Date().toISOString(), idField), { actor, within });
+
+            this._writes++;
+            this._changed(key, { action: 'create', id: _itemId(created, idField) });
+            return created;
+        });
+    }
+
+    /**
+     * Cria vários itens numa única transação — ou todos, ou nenhum.
+     * within(itens) roda dentro da mesma transação, como em insertItem.
+     */
+    async insertItems(name, items, { actor = null, within = null } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            if (items.length > MAX_BULK) {
+                throw new DataStoreError(`Máximo de ${MAX_BULK} itens por lote`, { status: 413, code: 'TOO_LARGE' });
+            }
+            this._ensureImported(key, { create: true });
+
+            const { idField } = this._def(key);
+            const now     = new Date().toISOString();
+            this._writing(key, 'create');
+            const created = this._insertManyTx(key, items.map(item => _create(item, now, idField)), { actor, within });
+
+            this._writes++;
+            this._changed(key, { action: 'create', count: created.length });
+            return created;
+        });
+    }
+
+    /**
+     * Remove um item por ID. Retorna o item removido ou null.
+     * Com expectedVersion, versão divergente → DataStoreError 412.
+     */
+    async deleteItem(name, id, { expectedVersion = null, actor = null } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            if (!this._ensureImported(key)) return null;
+
+            this._writing(key, 'delete');
+            const removed = this._deleteTx(key, id, { expectedVersion, actor });
+            if (!removed) {
+                logger.warn('DATASTORE', `Item não encontrado para delete`, { dataset: key, id });
+                return null;
+            }
 
-        try {
-            const payload = Array.isArray(data) ? data : data;
-            fs.writeFileSync(filepath, JSON.stringify(payload, null, 2), 'utf8');
             this._writes++;
+            this._changed(key, { action: 'delete', id: String(id) });
+            return removed;
+        });
+    }
 
-            // Invalida cache
-            this._cache.delete(filename);
+    /**
+     * Upsert em lote numa única transação.
+     * Itens com id existente recebem merge; os demais são criados.
+     * Retorna um resultado por item, na ordem recebida.
+     */
+    async bulkUpsert(name, items, { actor = null } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            if (items.length > MAX_BULK) {
+                throw new DataStoreError(`Máximo de ${MAX_BULK} itens por lote`, { status: 413, code: 'TOO_LARGE' });
+            }
+            this._ensureImported(key, { create: true });
+
+            this._writing(key, 'bulk');
+            const results = this._bulkTx(key, items, { actor });
 
-            logger.info('DATASTORE', `Escrito: ${filename}`, {
-                rows: Array.isArray(data) ? data.length : 1
+            this._writes++;
+            this._changed(key, { action: 'bulk', count: results.filter(r => r.status === 'created' || r.status === 'updated').length });
+            return results;
+        });
+    }
+
+    /**
+     * Importa linhas (já mapeadas) numa única transação.
+     * mode: "merge" (upsert) ou "replace" (remove o que não veio).
+     * dryRun → só o plano. Qualquer linha inválida → nada é gravado.
+     * Retorna contagens, amostras de cada operação e os erros por linha.
+     */
+    async importRows(name, rows, { mode = 'merge', dryRun = false, actor = null } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            if (!['merge', 'replace'].includes(mode)) {
+                throw new DataStoreError('"mode" deve ser merge ou replace', { code: 'INVALID_MODE' });
+            }
+            if (rows.length > MAX_IMPORT) {
+                throw new DataStoreError(`Máximo de ${MAX_IMPORT} linhas por importação`, { status: 413, code: 'TOO_LARGE' });
+            }
+            this._ensureImported(key, { create: true });
+
+            if (!dryRun) this._writing(key, 'import');
+            const plan      = this._importTx(key, rows, { mode, dryRun, actor });
+            const committed = !dryRun && plan.invalid.length === 0;
+            const result    = _importSummary(plan, { mode, dryRun, committed });
+
+            if (committed) {
+                this._writes++;
+                this._changed(key, { action: 'import', mode, count: plan.ops.filter(op => op.type !== 'unchanged').length });
+                logger.info('DATASTORE', `Importação em ${key}`, { mode, ...result.counts, by: actor?.user });
+            }
+            return result;
+        });
+    }
+
+    // ── AUDITORIA ─────────────────────────────────────────────
+
+    /**
+     * Consulta a trilha de auditoria.
+     * Filtros: dataset, id, from, to, actor, action, limit, offset.
+     */
+    getTrail(filters = {}) {
+        return this._audit.query({
+            ...filters,
+            dataset: filters.dataset ? (this._registry.resolve(filters.dataset) ?? filters.dataset) : undefined,
+        });
+    }
+
+    /**
+     * Estado de um item numa versão passada (da trilha), ou null.
+     * Usado como base do merge de três vias na sincronização.
+     * Linhas vindas do import não têm entrada própria; o "before" da
+     * versão seguinte guarda o mesmo estado.
+     */
+    getItemVersion(name, id, version) {
+        const key = this._resolve(name);
+        return this._audit.findVersion(key, id, version)?.after
+            ?? this._audit.findVersion(key, id, version + 1)?.before
+            ?? null;
+    }
+
+    /**
+     * Cursor de sincronização: seq da última mutação gravada.
+     * Um cliente que leu o dataset junto com o cursor recebe depois
+     * só o que veio após ele (ver changesSince).
+     */
+    cursor() {
+        return this._audit.lastSeq();
+    }
+
+    /** Cursor no instante "ts" (ISO): seq da última mutação gravada até ele */
+    cursorAt(ts) {
+        return this._audit.lastSeqAt(ts);
+    }
+
+    /**
+     * Mutações após o cursor, em ordem (entradas da trilha).
+     * limit evita replays gigantes — quem fica para trás recarrega tudo.
+     */
+    changesSince(cursor, { datasets = null, limit } = {}) {
+        return this._audit.since(cursor, { datasets, limit });
+    }
+
+    /**
+     * Reverte um item para um estado passado — por versão do item
+     * ou pelo seq de uma entrada da trilha. Gera uma nova versão
+     * (nada é apagado da trilha). Retorna null se o estado não existe.
+     */
+    async revertItem(name, id, { version = null, seq = null, actor = null } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            if (!this._ensureImported(key)) return null;
+
+            const entry = seq != null ? this._audit.get(seq) : this._audit.findVersion(key, id, version);
+            if (!entry || entry.dataset !== key || String(entry.id) !== String(id)) return null;
+            if (!entry.after) {
+                throw new DataStoreError(`A entrada ${entry.seq} (${entry.action}) não tem estado para restaurar`, { status: 422, code: 'NO_STATE' });
+            }
+
+            this._writing(key, 'revert');
+            const restored = this._revertTx(key, id, entry.after, { actor });
+
+            this._writes++;
+            this._changed(key, { action: 'revert', id: String(id) });
+            logger.info('DATASTORE', `Item revertido`, { dataset: key, id, toVersion: entry.version, seq: entry.seq });
+            return restored;
+        });
+    }
+
+    /**
+     * Substitui o dataset por um estado salvo (services/backups.js).
+     * Linhas que mudaram em relação ao atual ganham versão nova acima
+     * da atual e da trilha — versões nunca voltam, então um If-Match
+     * antigo não casa por acidente. Auditado como "restore".
+     */
+    async restore(name, rows, { actor = null } = {}) {
+        const key = this._resolve(name);
+        return this._enqueue(key, () => {
+            const { idField } = this._def(key);
+            // a restauração é a saída de um dataset degradado: não lê o JSON corrompido
+            if (!this._degraded.has(key)) this._ensureImported(key, { create: true });
+
+            const current = new Map(this._stmt.selectAll.all(key).map(r => {
+                const row = JSON.parse(r.data);
+                return [_itemId(row, idField), row];
+            }));
+            const now       = new Date().toISOString();
+            const versioned = rows.map(row => {
+                const id     = _itemId(row, idField);
+                const before = current.get(id);
+                if (before && !Object.keys(_diff(before, row)).length) return before;
+                const version = Math.max(row.version ?? 1, before?.version ?? 0, id ? this._audit.lastVersion(key, id) : 0) + 1;
+                return { ...row, updatedAt: now, version };
             });
-            return true;
-        } catch (err) {
-            this._errors++;
-            logger.error('DATASTORE', `Falha ao escrever ${filename}`, { error: err.message });
-            return false;
-        }
+
+            this._writing(key, 'restore');
+            this._replaceTx(key, versioned, { action: 'restore', actor });
+
+            this._writes++;
+            this._recover(key);
+            this._changed(key, { action: 'restore', rows: versioned.length });
+            logger.info('DATASTORE', `Restaurado: ${key}`, { rows: versioned.length, by: actor?.user });
+            return versioned.length;
+        });
     }
 
     /**
-     * Atualiza um item de um array por ID.
+     * Estado gravado do dataset, lido de uma vez: { rows, rev, cursor }
+     * (null se nunca foi importado). Síncrono — seguro dentro do
+     * "dataset:writing", antes da transação começar.
      */
-    async updateItem(name, id, patch) {
-        const data = await this.get(name, { bustCache: true });
-        const idx  = data.findIndex(item => String(item.id) === String(id));
-        if (idx === -1) {
-            logger.warn('DATASTORE', `Item não encontrado para update`, { dataset: name, id });
-            return null;
-        }
-        data[idx] = { ...data[idx], ...patch, updatedAt: new Date().toISOString() };
-        await this.set(name, data);
-        return data[idx];
+    state(name) {
+        const key = this._resolve(name);
+        if (!this._stmt.isImported.get(key)) return null;
+        return {
+            rows:   this._stmt.selectAll.all(key).map(r => JSON.parse(r.data)),
+            rev:    this.revision(key),
+            cursor: this._audit.lastSeq(),
+        };
+    }
+
+    /**
+     * Valida todas as linhas gravadas contra o schema do dataset.
+     * Retorna null quando o dataset não tem schema.
+     */
+    async validateDataset(name, { maxErrors = 20 } = {}) {
+        const key = this._resolve(name);
+        const { schema, idField } = this._def(key);
+        if (!schema) return null;
+
+        const rows    = await this.get(key);
+        const invalid = [];
+        rows.forEach((row, index) => {
+            const errors = schemas.validate(schema, row);
+            if (errors.length) invalid.push({ index, id: row?.[idField] ?? null, errors });
+        });
+
+        return {
+            schema,
+            checked:     rows.length,
+            invalidRows: invalid.length,
+            valid:       invalid.length === 0,
+            errors:      invalid.slice(0, maxErrors),
+        };
+    }
+
+    /**
+     * Estado degradado do dataset (JSON corrompido em /data) ou null.
+     * lastGood=true → o banco tem a última versão boa e segue servindo;
+     * false → o dataset nunca foi importado e as leituras falham com 503.
+     */
+    degradation(name) {
+        const key = this._registry.resolve(name);
+        const state = key ? this._degraded.get(key) : null;
+        if (!state) return null;
+        const { hash: _hash, ...info } = state;
+        return info;
+    }
+
+    /** Todos os datasets degradados */
+    listDegraded() {
+        return [...this._degraded.keys()].map(dataset => ({ dataset, ...this.degradation(dataset) }));
     }
 
     /** Invalida todo o cache */
@@ -158,34 +750,467 @@ class DataStore {
     /** Estatísticas do DataStore */
     getStats() {
         return {
+            backend:    'sqlite',
             reads:      this._reads,
             writes:     this._writes,
             errors:     this._errors,
             cacheSize:  this._cache.size,
-            cacheTTL:   CACHE_TTL_MS,
+            watching:   !!this._watcher,
+            queued:     this._queues.size,
+            degraded:   this.listDegraded(),
             dataDir:    DATA_DIR,
-            datasets:   Object.keys(DATASETS),
+            dbPath:     DB_PATH,
+            datasets:   this._registry.list().map(d => ({
+                name:        d.name,
+                source:      d.source,
+                store:       d.store,
+                schema:      d.schema,
+                cacheTtlMs:  d.cacheTtlMs,
+                permissions: d.permissions,
+                cached:      this._cache.has(d.name),
+            })),
         };
     }
 
-    /** Lista arquivos presentes na pasta /data */
+    /**
+     * Datasets do registro com o estado do arquivo em /data
+     * (size/modified null quando o arquivo não existe).
+     */
     listFiles() {
+        return this._registry.list().map(def => {
+            const stats = _stat(path.join(DATA_DIR, def.file));
+            return {
+                name:        def.file,
+                dataset:     def.name,
+                size:        stats?.size ?? null,
+                modified:    stats?.mtime.toISOString() ?? null,
+                loaded:      this._cache.has(def.name),
+                imported:    !!this._stmt.isImported.get(def.name),
+                degraded:    this.degradation(def.name),
+                idField:     def.idField,
+                schema:      def.schema,
+                store:       def.store,
+                cacheTtlMs:  def.cacheTtlMs,
+                permissions: def.permissions,
+                kind:        def.kind,
+                source:      def.source,
+            };
+        });
+    }
+
+    /** JSONs em /data que não pertencem a nenhum dataset registrado */
+    listUnregisteredFiles() {
         try {
-            return fs.readdirSync(DATA_DIR)
-                .filter(f => f.endsWith('.json'))
-                .map(f => {
-                    const stats = fs.statSync(path.join(DATA_DIR, f));
-                    return {
-                        name:     f,
-                        size:     stats.size,
-                        modified: stats.mtime.toISOString(),
-                        loaded:   this._cache.has(f),
-                    };
-                });
+            return fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.json') && !this._registry.resolve(f));
         } catch {
             return [];
         }
     }
+
+    // ── OBSERVAÇÃO DE /data ───────────────────────────────────
+
+    /**
+     * Passa a observar /data. Arquivos alterados com o servidor parado
+     * são recarregados já aqui; depois, a cada alteração (com debounce).
+     * Chamado pelo server.js — scripts avulsos não prendem o processo.
+     */
+    watch() {
+        if (this._watcher || process.env.K11_WATCH_DATA === '0') return;
+
+        this._syncFiles();
+        try {
+            this._watcher = fs.watch(DATA_DIR, (event, filename) => {
+                if (filename) this._scheduleReload(filename);
+            });
+        } catch (err) {
+            logger.error('DATASTORE', 'Falha ao observar /data — recarga automática desativada', { error: err.message });
+            return;
+        }
+        this._watcher.on('error', err => logger.error('DATASTORE', 'Erro no watcher de /data', { error: err.message }));
+        logger.info('DATASTORE', `Observando alterações em ${DATA_DIR}`);
+    }
+
+    unwatch() {
+        this._watcher?.close();
+        this._watcher = null;
+        this._reloadTimers.forEach(clearTimeout);
+        this._reloadTimers.clear();
+    }
+
+    _scheduleReload(filename) {
+        const name = this._registry.resolve(filename);
+        if (!name) return;
+        clearTimeout(this._reloadTimers.get(name));
+        this._reloadTimers.set(name, setTimeout(() => {
+            this._reloadTimers.delete(name);
+            this._reloadFile(name);
+        }, WATCH_DEBOUNCE_MS));
+    }
+
+    /**
+     * Recarrega o JSON do dataset se o conteúdo mudou desde a última
+     * importação. JSON inválido (cópia pela metade) mantém os dados atuais.
+     * Retorna true se recarregou.
+     */
+    _reloadFile(name) {
+        const def = this._def(name);
+        if (!def) return false;   // removido do registro no meio tempo
+
+        let raw;
+        try {
+            raw = fs.readFileSync(path.join(DATA_DIR, def.file), 'utf8');
+        } catch {
+            return false;   // arquivo removido: os dados ficam no banco
+        }
+
+        const hash = _hash(raw);
+        if (this._stmt.sourceState.get(name)?.source_hash === hash) {
+            this._recover(name);   // arquivo voltou ao conteúdo importado
+            return false;
+        }
+
+        // arquivo esvaziado (editor no meio da gravação, cópia truncada) não apaga o dataset
+        if (!raw.trim()) {
+            logger.warn('DATASTORE', `${def.file} vazio — mantendo dados atuais`);
+            return false;
+        }
+
+        let rows;
+        try {
+            rows = _parseRows(raw);
+        } catch (err) {
+            this._degrade(name, { file: def.file, error: err.message, hash });
+            return false;
+        }
+
+        try {
+            this._writing(name, 'reload');
+            this._replaceTx(name, rows, { source: def.file, sourceHash: hash, action: 'reload', actor: { user: 'file-watch', ip: null } });
+        } catch (err) {
+            this._errors++;
+            logger.error('DATASTORE', `Falha ao recarregar ${def.file}`, { error: err.message });
+            return false;
+        }
+
+        this._writes++;
+        this._recover(name);
+        this._changed(name, { reason: 'file', action: 'reload', rows: rows.length });
+        logger.info('DATASTORE', `Recarregado de ${def.file}`, { rows: rows.length });
+        return true;
+    }
+
+    /**
+     * Confere os arquivos dos datasets já importados. Bancos anteriores
+     * a esta versão não têm hash: o arquivo atual vira a referência.
+     */
+    _syncFiles() {
+        for (const def of this._registry.list()) {
+            const state = this._stmt.sourceState.get(def.name);
+            if (!state) continue;   // nunca importado: a 1ª leitura importa
+
+            if (state.source_hash == null) {
+                try {
+                    const raw = fs.readFileSync(path.join(DATA_DIR, def.file), 'utf8');
+                    this._stmt.setSource.run(def.file, _hash(raw), new Date().toISOString(), def.name);
+                } catch { /* sem arquivo — nada a comparar */ }
+                continue;
+            }
+            this._reloadFile(def.name);
+        }
+    }
+
+    /**
+     * Fila de escrita do dataset: a tarefa só começa depois que a anterior
+     * terminou (com sucesso ou erro) — snapshot, transação e evento de uma
+     * escrita nunca se intercalam com os de outra. A tarefa é síncrona;
+     * nunca enfileire de dentro dela uma escrita no mesmo dataset.
+     */
+    _enqueue(name, task) {
+        const previous = this._queues.get(name) ?? Promise.resolve();
+        const result   = previous.then(task);
+        const tail     = result.catch(() => {});
+        this._queues.set(name, tail);
+        tail.then(() => {
+            if (this._queues.get(name) === tail) this._queues.delete(name);
+        });
+        return result;
+    }
+
+    /**
+     * Marca o dataset como degradado (JSON corrompido). Com dados no banco
+     * continua servindo a última versão boa; sem, as leituras dão 503.
+     * O mesmo arquivo corrompido só é registrado uma vez.
+     */
+    _degrade(name, { file, error, hash }) {
+        if (this._degraded.get(name)?.hash === hash) return;
+        const lastGood = !!this._stmt.isImported.get(name);
+        this._degraded.set(name, { file, error, lastGood, since: new Date().toISOString(), hash });
+        const message = lastGood
+            ? `JSON corrompido em ${file} — dataset degradado, servindo a última versão boa`
+            : `JSON corrompido em ${file} — dataset degradado e indisponível`;
+        logger.error('DATASTORE', message, { dataset: name, error });
+    }
+
+    /** Sai do estado degradado (arquivo corrigido, recarregado ou restaurado) */
+    _recover(name) {
+        if (!this._degraded.delete(name)) return;
+        logger.info('DATASTORE', `Dataset ${name} recuperado`);
+    }
+
+    /** Avisa (síncrono) que uma escrita vai começar — ver "dataset:writing" */
+    _writing(name, action) {
+        this.emit('dataset:writing', { dataset: name, action });
+    }
+
+    /** Invalida o cache do dataset e emite "dataset:changed" */
+    _changed(name, { reason = 'write', ...info } = {}) {
+        this._cache.delete(name);
+        this.emit('dataset:changed', {
+            dataset: name,
+            rev:     this.revision(name),
+            reason,
+            ...info,
+            ts:      new Date().toISOString(),
+        });
+    }
+
+    // ── MIGRAÇÕES ─────────────────────────────────────────────
+
+    /** Acrescenta colunas novas em bancos criados por versões anteriores */
+    _migrate() {
+        const cols = this._db.prepare('PRAGMA table_info(datasets)').all().map(c => c.name);
+        if (!cols.includes('rev')) {
+            this._db.exec('ALTER TABLE datasets ADD COLUMN rev INTEGER NOT NULL DEFAULT 0');
+        }
+        if (!cols.includes('source_hash')) {
+            this._db.exec('ALTER TABLE datasets ADD COLUMN source_hash TEXT');
+        }
+    }
+
+    // ── REGISTRO ──────────────────────────────────────────────
+
+    /** Nome canônico do dataset — DataStoreError 404 se não registrado */
+    _resolve(name) {
+        const key = this._registry.resolve(name);
+        if (!key) {
+            throw new DataStoreError(`Dataset "${name}" não registrado`, { status: 404, code: 'UNKNOWN_DATASET' });
+        }
+        return key;
+    }
+
+    _def(name) {
+        return this._registry.get(name);
+    }
+
+    /**
+     * Plano da importação (só leitura): uma operação por linha recebida
+     * (insert, update ou unchanged) e, no replace, um delete por linha
+     * existente que não veio. Linhas repetidas ou inválidas vão para invalid.
+     */
+    _planImport(def, rows, mode) {
+        const { name, idField, schema } = def;
+        const now     = new Date().toISOString();
+        const ops     = [];
+        const invalid = [];
+        const seen    = new Set();
+
+        rows.forEach((row, index) => {
+            const current = row[idField] != null ? this._stmt.selectOne.get(name, String(row[idField])) : null;
+            const id      = _itemId(row, idField);
+            if (id != null && seen.has(id)) {
+                invalid.push({ row: index, id, errors: [{ path: idField, message: `id ${id} repetido na importação` }] });
+                return;
+            }
+            if (id != null) seen.add(id);
+
+            if (current) {
+                const before = JSON.parse(current.data);
+                const base   = mode === 'replace'
+                    ? { [idField]: before[idField], createdAt: before.createdAt, version: before.version }
+                    : before;
+                const after  = _merge(base, row, now);
+                const errors = schemas.validate(schema, after);
+                if (errors.length) return invalid.push({ row: index, id, errors });
+
+                const changes = _diff(before, after);
+                ops.push(Object.keys(changes).length
+                    ? { type: 'update', row: index, id, seq: current.seq, before, after, changes }
+                    : { type: 'unchanged', row: index, id });
+                return;
+            }
+
+            const created = _create(row, now, idField);
+            const errors  = schemas.validate(schema, created);
+            if (errors.length) return invalid.push({ row: index, id, errors });
+            seen.add(_itemId(created, idField));
+            ops.push({ type: 'insert', row: index, id: _itemId(created, idField), after: created });
+        });
+
+        if (mode === 'replace') {
+            for (const r of this._stmt.selectRows.all(name)) {
+                if (!seen.has(r.item_id)) ops.push({ type: 'delete', id: r.item_id, seq: r.seq, before: JSON.parse(r.data) });
+            }
+        }
+        return { ops, invalid };
+    }
+
+    // ── IMPORTAÇÃO ÚNICA DOS JSONs ────────────────────────────
+
+    /**
+     * Garante que o dataset já foi importado do JSON para o SQLite.
+     * Retorna false se ainda não existe nem no banco nem em disco;
+     * com create=true, registra o dataset vazio para receber inserts.
+     */
+    _ensureImported(name, { create = false } = {}) {
+        if (this._stmt.isImported.get(name)) return true;
+
+        const filename = this._def(name).file;
+        const filepath = path.join(DATA_DIR, filename);
+
+        if (!fs.existsSync(filepath)) {
+            if (create) {
+                this._stmt.markImported.run(name, null, new Date().toISOString(), 0);
+                return true;
+            }
+            logger.warn('DATASTORE', `Arquivo não encontrado: ${filename}`, { path: filepath });
+            this._errors++;
+            return false;
+        }
+
+        const raw  = fs.readFileSync(filepath, 'utf8');
+        const hash = _hash(raw);
+        let rows;
+        try {
+            rows = _parseRows(raw);
+        } catch (err) {
+            this._degrade(name, { file: filename, error: err.message, hash });
+            throw new DataStoreError(
+                `Arquivo ${filename} corrompido — dataset "${name}" indisponível até o arquivo ser corrigido ou restaurado (/api/backups)`,
+                { status: 503, code: 'DEGRADED', details: [this.degradation(name)] });
+        }
+
+        this._replaceTx(name, rows, { source: filename, sourceHash: hash });
+        this._recover(name);
+        logger.info('DATASTORE', `Importado para SQLite: ${filename}`, { rows: rows.length });
+        return true;
+    }
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/** Item novo: id (no idField do dataset) gerado no servidor (uuid v4) e versão 1 */
+function _create(item, now, idField = 'id') {
+    return { ...item, [idField]: item[idField] ?? uuidv4(), createdAt: now, updatedAt: now, version: 1 };
+}
+
+/** Merge raso; "version" é controlada pelo servidor e nunca vem do patch */
+function _merge(current, patch, now) {
+    const { version: _ignored, ...rest } = patch;
+    return { ...current, ...rest, updatedAt: now, version: (current.version ?? 1) + 1 };
+}
+
+/** Lança DataStoreError 412 (com o item atual) se a versão não bater */
+function _assertVersion(name, id, current, expectedVersion) {
+    if (expectedVersion == null) return;
+    const version = current.version ?? 1;
+    if (version !== expectedVersion) {
+        throw new DataStoreError(`Versão desatualizada de ${name}/${id}: esperada ${expectedVersion}, atual ${version}`, {
+            status: 412, code: 'PRECONDITION_FAILED', details: { version, current },
+        });
+    }
+}
+
+/** Lança DataStoreError 422 com os erros por campo */
+function _assertValid(def, row) {
+    const errors = schemas.validate(def.schema, row);
+    if (errors.length) {
+        throw new DataStoreError(`Item inválido para o schema de ${def.name}`, { status: 422, code: 'VALIDATION', details: errors });
+    }
+}
+
+/** Campos alterados entre duas versões (ignora os controlados pelo servidor) */
+function _diff(before, after) {
+    const changes = {};
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (['updatedAt', 'version'].includes(field)) continue;
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    return changes;
+}
+
+/** Resultado da importação: contagens + amostras + erros por linha */
+function _importSummary({ ops, invalid }, { mode, dryRun, committed }) {
+    const of = type => ops.filter(op => op.type === type);
+    return {
+        mode,
+        dryRun,
+        committed,
+        counts: {
+            inserts:   of('insert').length,
+            updates:   of('update').length,
+            unchanged: of('unchanged').length,
+            deletes:   of('delete').length,
+            invalid:   invalid.length,
+        },
+        preview: {
+            inserts: of('insert').slice(0, PREVIEW_ROWS).map(op => ({ row: op.row, id: op.id, item: op.after })),
+            updates: of('update').slice(0, PREVIEW_ROWS).map(op => ({ row: op.row, id: op.id, changes: op.changes })),
+            deletes: of('delete').slice(0, PREVIEW_ROWS).map(op => ({ id: op.id })),
+        },
+        errors: invalid.slice(0, 100),
+    };
+}
+
+function _itemId(row, idField = 'id') {
+    return row && row[idField] != null ? String(row[idField]) : null;
+}
+
+/** Conteúdo do JSON → linhas; arquivo em branco é um dataset vazio */
+function _parseRows(raw) {
+    if (!raw.trim()) return [];
+    const data = JSON.parse(raw);
+    return Array.isArray(data) ? data : (data?.data ?? Object.values(data));
+}
+
+/**
+ * Grava o arquivo sem nunca deixar metade dele no lugar: temporário na
+ * mesma pasta, fsync, rename por cima e fsync da pasta (o rename em si).
+ */
+function writeFileAtomic(filepath, data) {
+    const tmp = `${filepath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeFileSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, filepath);
+    } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
+    }
+    try {
+        const dir = fs.openSync(path.dirname(filepath), 'r');
+        try { fs.fsyncSync(dir); } finally { fs.closeSync(dir); }
+    } catch { /* fsync de pasta não existe em todo sistema (Windows) */ }
+}
+
+function _hash(raw) {
+    return crypto.createHash('sha1').update(raw).digest('hex');
+}
+
+function _stat(filepath) {
+    try {
+        return fs.statSync(filepath);
+    } catch {
+        return null;
+    }
 }
 
 module.exports = new DataStore();
+module.exports.DataStoreError = DataStoreError;
+module.exports.writeFileAtomic = writeFileAtomic;
@@ -0,0 +1,137 @@
+/**
+ * K11 OMNI ELITE — EXPORTER (CSV / XLSX / NDJSON)
+ * ═════════════════════════════════════════════════
+ * Exportação dos datasets em stream, linha a linha:
+ *
+ *   csv    → text/csv (UTF-8 com BOM, para o Excel abrir acentos)
+ *   xlsx   → planilha única "Dados"
+ *   ndjson → um objeto JSON por linha
+ *
+ * O formato vem de ?format= ou do header Accept (sem nenhum dos dois,
+ * ou com um Accept desconhecido, a resposta continua JSON). Filtros,
+ * ordenação, paginação e fields do services/query.js valem igual.
+ *
+ * Ordem das colunas (CSV/XLSX): ?columns= → fields → exportColumns do
+ * registro → idField, campos do schema e demais campos na ordem em que
+ * aparecem; createdAt/updatedAt/version por último.
+ */
+
+'use strict';
+
+const datastore   = require('./datastore');
+const query       = require('./query');
+const schemas     = require('./schemas');
+const spreadsheet = require('./spreadsheet');
+
+const FORMATS = {
+    json:   'application/json',
+    csv:    'text/csv',
+    xlsx:   spreadsheet.XLSX_MIME,
+    ndjson: 'application/x-ndjson',
+};
+
+const TRAILING_FIELDS = ['createdAt', 'updatedAt', 'version'];
+const CSV_DELIMITERS  = { ',': ',', ';': ';', tab: '\t' };
+
+class ExportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'ExportError';
+        this.status = status;
+    }
+}
+
+/** Formato pedido: ?format= (validado) ou negociação pelo Accept; padrão json */
+function negotiate(req) {
+    const { format } = req.query;
+    if (format !== undefined) {
+        if (!Object.hasOwn(FORMATS, format)) {
+            throw new ExportError(`"format" deve ser um de: ${Object.keys(FORMATS).join(', ')}`);
+        }
+        return format;
+    }
+    const type = req.accepts(Object.values(FORMATS));
+    return Object.keys(FORMATS).find(f => FORMATS[f] === type) ?? 'json';
+}
+
+/**
+ * Exportação do dataset no formato (csv | xlsx | ndjson).
+ * Opções: spec (query.parse), columns (lista), delimiter (, ; tab),
+ * filter (linha → boolean, ex.: escopo de loja do usuário).
+ * Retorna { contentType, filename, columns, body } — body é um iterável
+ * assíncrono de chunks para enviar em stream.
+ */
+function exportDataset(dataset, format, { spec, columns = null, delimiter = ',', filter = null } = {}) {
+    const def = datastore.registry.get(dataset);
+    if (!Object.hasOwn(FORMATS, format) || format === 'json') throw new ExportError(`Formato de exportação inválido: ${format}`);
+    if (!Object.hasOwn(CSV_DELIMITERS, delimiter)) throw new ExportError('"delimiter" deve ser , ; ou tab');
+
+    const source   = datastore.rows(def.name);
+    const rows     = query.iterate(filter ? _only(source, filter) : source, spec);
+    const date     = new Date().toISOString().slice(0, 10);
+    const filename = `${def.name}-${date}.${format}`;
+
+    if (format === 'ndjson') {
+        return {
+            contentType: `${FORMATS.ndjson}; charset=utf-8`,
+            filename,
+            columns,
+            body:        _ndjson(rows, columns),
+        };
+    }
+
+    const cols   = columns ?? spec.fields ?? def.exportColumns ?? _defaultColumns(def);
+    const values = _values(rows, cols);
+    return {
+        contentType: format === 'csv' ? `${FORMATS.csv}; charset=utf-8` : FORMATS.xlsx,
+        filename,
+        columns:     cols,
+        body:        format === 'csv'
+            ? _csv(cols, values, CSV_DELIMITERS[delimiter])
+            : spreadsheet.xlsxStream(cols, values),
+    };
+}
+
+/** "nome,id,preco" → lista validada (ou null) */
+function parseColumns(value) {
+    if (value === undefined) return null;
+    const columns = String(value).split(',').map(c => c.trim()).filter(Boolean);
+    if (!columns.length) throw new ExportError('"columns" deve listar ao menos um campo');
+    if (new Set(columns).size !== columns.length) throw new ExportError('"columns" tem campos repetidos');
+    return columns;
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+function _defaultColumns(def) {
+    const present    = datastore.fieldNames(def.name);
+    const fromSchema = Object.keys(schemas.get(def.schema)?.properties ?? {}).filter(f => present.includes(f));
+    const ordered    = [...new Set([def.idField, ...fromSchema, ...present])].filter(f => present.includes(f));
+    return [...ordered.filter(f => !TRAILING_FIELDS.includes(f)), ...TRAILING_FIELDS.filter(f => present.includes(f))];
+}
+
+async function* _only(rows, filter) {
+    for await (const row of rows) if (filter(row)) yield row;
+}
+
+async function* _values(rows, columns) {
+    for await (const row of rows) yield columns.map(c => _getPath(row, c));
+}
+
+async function* _csv(columns, values, delimiter) {
+    yield '\uFEFF' + spreadsheet.csvLine(columns, delimiter);
+    for await (const line of values) yield spreadsheet.csvLine(line, delimiter);
+}
+
+async function* _ndjson(rows, columns) {
+    for await (const row of rows) {
+        yield JSON.stringify(columns ? Object.fromEntries(columns.map(c => [c, _getPath(row, c) ?? null])) : row) + '\n';
+    }
+}
+
+function _getPath(obj, field) {
+    if (!field.includes('.')) return obj?.[field];
+    return field.split('.').reduce((acc, k) => (acc == null ? undefined : acc[k]), obj);
+}
+
+module.exports = { FORMATS, ExportError, negotiate, exportDataset, parseColumns };
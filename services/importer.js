@@ -0,0 +1,162 @@
+/**
+ * K11 OMNI ELITE — IMPORTER (PLANILHAS → DATASET)
+ * ═════════════════════════════════════════════════
+ * Importa CSV/XLSX exportados pelo ERP para um dataset do registro:
+ *
+ *   1. lê a planilha (services/spreadsheet.js)
+ *   2. aplica o mapeamento coluna → campo (map[Coluna ERP]=campo;
+ *      campo vazio descarta a coluna; dropUnmapped descarta as demais)
+ *   3. converte os valores pelos tipos do schema do dataset
+ *      ("1.234,56" → número, "sim"/"não" → booleano, "19/10/2026" ou
+ *      serial do Excel → data)
+ *   4. grava pelo DataStore numa transação (merge ou replace) —
+ *      ou, em dryRun, só devolve o plano com inserts, updates e erros
+ *
+ * Os erros e amostras trazem "linha": a linha da planilha (cabeçalho = 1).
+ */
+
+'use strict';
+
+const datastore   = require('./datastore');
+const schemas     = require('./schemas');
+const spreadsheet = require('./spreadsheet');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    'text/csv':                 'csv',
+    'text/plain':               'csv',
+    'application/csv':          'csv',
+    'application/vnd.ms-excel': 'csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+};
+
+const TRUE_VALUES  = ['true', 'sim', 's', 'yes', 'y', '1', 'x'];
+const FALSE_VALUES = ['false', 'nao', 'não', 'n', 'no', '0', ''];
+
+/**
+ * Importa o arquivo. Opções:
+ *   format (csv | xlsx — padrão: pelo content-type ou assinatura ZIP),
+ *   contentType, sheet, delimiter, mapping { coluna: campo }, dropUnmapped,
+ *   mode (merge | replace), dryRun, actor.
+ */
+async function importFile(dataset, buffer, options = {}) {
+    const { mapping = {}, dropUnmapped = false, mode = 'merge', dryRun = false, actor = null } = options;
+    const def   = datastore.registry.get(dataset);
+    const table = parse(buffer, options);
+
+    const unknown = Object.keys(mapping).filter(col => !table.headers.includes(col));
+    if (unknown.length) {
+        throw new spreadsheet.SpreadsheetError(`Colunas do mapeamento não encontradas na planilha: ${unknown.join(', ')}`);
+    }
+
+    const columns = table.headers.map(header => {
+        const field = Object.hasOwn(mapping, header) ? mapping[header] : (dropUnmapped ? null : header);
+        return field ? String(field).trim() : null;
+    });
+    const properties = schemas.get(def.schema)?.properties ?? {};
+    const rows = table.rows.map(values => {
+        const row = {};
+        columns.forEach((field, i) => {
+            if (!field) return;
+            const value = _coerce(values[i], properties[field]);
+            if (value !== undefined) row[field] = value;
+        });
+        return row;
+    });
+
+    const result = await datastore.importRows(def.name, rows, { mode, dryRun, actor });
+    return {
+        dataset: def.name,
+        format:  table.format,
+        rows:    rows.length,
+        columns: table.headers.map((header, i) => ({ coluna: header, campo: columns[i] })),
+        ..._withLines(result),
+    };
+}
+
+/** Planilha como { format, headers, rows } */
+function parse(buffer, { format = null, contentType = null, sheet = null, delimiter = null } = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        throw new spreadsheet.SpreadsheetError('Envie o arquivo CSV ou XLSX no corpo da requisição');
+    }
+    const type = format
+        ?? CONTENT_TYPES[String(contentType ?? '').split(';')[0].trim().toLowerCase()]
+        ?? (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50 ? 'xlsx' : 'csv');
+    if (!FORMATS.includes(type)) throw new spreadsheet.SpreadsheetError(`"format" deve ser um de: ${FORMATS.join(', ')}`);
+
+    try {
+        const table = type === 'xlsx'
+            ? spreadsheet.readXlsx(buffer, { sheet })
+            : spreadsheet.parseCsv(buffer.toString('utf8'), { delimiter });
+        return { format: type, ...table };
+    } catch (err) {
+        // offsets fora do buffer num ZIP truncado
+        if (err instanceof RangeError) throw new spreadsheet.SpreadsheetError('XLSX inválido ou truncado');
+        throw err;
+    }
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/**
+ * Valor da célula no tipo do campo do schema. Sem schema (ou sem
+ * conversão possível) o valor segue como veio — o schema acusa o erro.
+ * Célula vazia → campo omitido.
+ */
+function _coerce(value, property) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value === 'string' && value.trim() === '') return undefined;
+
+    const types = [].concat(property?.type ?? []);
+    const text  = String(value).trim();
+
+    // "0012" em campo que aceita texto é código — mantém os zeros
+    if (types.includes('integer') && /^-?\d+$/.test(text) && !(types.includes('string') && /^-?0\d/.test(text))) {
+        return Number(text);
+    }
+    if (types.includes('number') || types.includes('integer')) {
+        const n = typeof value === 'number' ? value : _number(text);
+        if (n !== null && (types.includes('number') || Number.isInteger(n))) return n;
+    }
+    if (types.includes('boolean')) {
+        if (typeof value === 'boolean') return value;
+        const lower = text.toLowerCase();
+        if (TRUE_VALUES.includes(lower))  return true;
+        if (FALSE_VALUES.includes(lower)) return false;
+    }
+    if (types.includes('string')) {
+        if (typeof value === 'number' && ['date', 'date-time'].includes(property.format)) {
+            const iso = spreadsheet.excelDate(value);
+            return property.format === 'date' ? iso.slice(0, 10) : iso;
+        }
+        if (typeof value !== 'string') return String(value);
+        const br = ['date', 'date-time'].includes(property.format) && text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        if (br) return property.format === 'date' ? `${br[3]}-${br[2]}-${br[1]}` : `${br[3]}-${br[2]}-${br[1]}T00:00:00.000Z`;
+        return text;
+    }
+    return typeof value === 'string' ? text : value;
+}
+
+/** "1.234,56" (pt-BR) ou "1234.56" → número; null se não for número */
+function _number(text) {
+    const normalized = text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text;
+    if (!/^-?\d+(\.\d+)?$/.test(normalized)) return null;
+    return Number(normalized);
+}
+
+/** row (índice 0 das linhas de dados) → linha da planilha (cabeçalho = 1) */
+function _withLines(result) {
+    const line = ({ row, ...rest }) => (row === undefined ? rest : { linha: row + 2, ...rest });
+    return {
+        ...result,
+        preview: {
+            inserts: result.preview.inserts.map(line),
+            updates: result.preview.updates.map(line),
+            deletes: result.preview.deletes,
+        },
+        errors: result.errors.map(line),
+    };
+}
+
+module.exports = { FORMATS, CONTENT_TYPES, importFile, parse };
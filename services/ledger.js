@@ -0,0 +1,455 @@
+/**
+ * K11 OMNI ELITE — STOCK LEDGER (RAZÃO DE ESTOQUE)
+ * ══════════════════════════════════════════════════
+ * O estoque de cada produto em cada loja é derivado do dataset
+ * movimento. Lançar um movimento grava a linha em movimento e
+ * atualiza o saldo (stock_balances) na MESMA transação:
+ *
+ *   entrada       → +quantidade na loja
+ *   saida         → -quantidade na loja
+ *   transferencia → -quantidade na loja, +quantidade na lojaDestino
+ *   ajuste        → quantidade com sinal (+/-) na loja
+ *
+ * stock_balances é uma projeção: se movimento mudar por fora do
+ * razão (PUT/bulk em /api/data/movimento, reload do arquivo), a
+ * revisão do dataset deixa de bater e a projeção é refeita na
+ * próxima leitura.
+ *
+ * A conciliação compara a projeção com o campo "estoque" de produtos.
+ */
+
+'use strict';
+
+const datastore = require('./datastore');
+const logger    = require('./logger');
+const stores    = require('./stores');
+const { hasRole } = require('./roles');
+
+const MOVEMENTS_DATASET = 'movimento';
+const PRODUCTS_DATASET  = 'produtos';
+
+const TYPES    = ['entrada', 'saida', 'transferencia', 'ajuste'];
+const EPSILON  = 1e-9;
+const MAX_HISTORY = 1000;
+const MAX_RETRIES = 3;   // movimento alterado entre a checagem e o lançamento → refaz e tenta de novo
+const STALE       = Symbol('ledger:stale');   // sinal interno: projeção atrás da revisão de antes do lançamento
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS stock_balances (
+        produto_id       TEXT NOT NULL,
+        loja             TEXT NOT NULL,
+        quantidade       REAL NOT NULL DEFAULT 0,
+        movimentos       INTEGER NOT NULL DEFAULT 0,
+        ultimo_movimento TEXT,
+        updated_at       TEXT NOT NULL,
+        PRIMARY KEY (produto_id, loja)
+    );
+
+    CREATE TABLE IF NOT EXISTS ledger_state (
+        id            INTEGER PRIMARY KEY CHECK (id = 1),
+        movimento_rev INTEGER NOT NULL,
+        rebuilt_at    TEXT
+    );
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+
+const stmt = {
+    balance:    db.prepare('SELECT * FROM stock_balances WHERE produto_id = ? AND loja = ?'),
+    byProduct:  db.prepare('SELECT * FROM stock_balances WHERE produto_id = ? ORDER BY loja'),
+    all:        db.prepare('SELECT * FROM stock_balances ORDER BY produto_id, loja'),
+    apply:      db.prepare(`
+        INSERT INTO stock_balances (produto_id, loja, quantidade, movimentos, ultimo_movimento, updated_at)
+        VALUES (@produtoId, @loja, @delta, 1, @movimentoId, @now)
+        ON CONFLICT(produto_id, loja) DO UPDATE SET
+            quantidade       = quantidade + excluded.quantidade,
+            movimentos       = movimentos + 1,
+            ultimo_movimento = excluded.ultimo_movimento,
+            updated_at       = excluded.updated_at
+    `),
+    clear:      db.prepare('DELETE FROM stock_balances'),
+    state:      db.prepare('SELECT * FROM ledger_state WHERE id = 1'),
+    setState:   db.prepare(`
+        INSERT INTO ledger_state (id, movimento_rev, rebuilt_at) VALUES (1, @rev, @rebuiltAt)
+        ON CONFLICT(id) DO UPDATE SET movimento_rev = excluded.movimento_rev,
+                                      rebuilt_at    = COALESCE(excluded.rebuilt_at, rebuilt_at)
+    `),
+};
+
+class LedgerError extends Error {
+    constructor(message, status = 400, details = null) {
+        super(message);
+        this.name    = 'LedgerError';
+        this.status  = status;
+        this.details = details;
+    }
+}
+
+// Refaz a projeção inteira a partir das linhas de movimento
+const _rebuildTx = db.transaction((rows) => {
+    const now = new Date().toISOString();
+    let applied = 0;
+    let skipped = 0;
+
+    stmt.clear.run();
+    for (const row of rows) {
+        const effects = _effects(row);
+        if (!effects) { skipped++; continue; }
+        effects.forEach(e => stmt.apply.run({ produtoId: String(row.produtoId), loja: e.loja, delta: e.delta, movimentoId: String(row.id), now }));
+        applied++;
+    }
+    stmt.setState.run({ rev: datastore.revision(MOVEMENTS_DATASET), rebuiltAt: now });
+    return { applied, skipped };
+});
+
+// ── LANÇAMENTO ────────────────────────────────────────────────
+
+/**
+ * Lança um movimento para a identidade (req.user).
+ * Body: { produtoId, tipo, quantidade, loja, lojaDestino?, data?, referencia?, observacao? }
+ * Retorna { movement, balances } — saldos já atualizados das lojas tocadas.
+ * Saldo que ficaria negativo → LedgerError 409 (nada é gravado).
+ */
+async function post(user, input, { actor = null } = {}) {
+    const { movements, balances } = await postMany(user, [input], { actor });
+    return { movement: movements[0], balances };
+}
+
+/**
+ * Lança vários movimentos numa única transação — ou todos, ou nenhum.
+ * within(movimentos) roda na mesma transação (ex.: mudar o status de
+ * uma transferência junto com os lançamentos).
+ */
+async function postMany(user, inputs, { actor = null, within = null } = {}) {
+    if (!datastore.registry.canWrite(user, MOVEMENTS_DATASET)) {
+        throw new LedgerError('Sem permissão para lançar movimentos', 403);
+    }
+    const movements = inputs.map(_validate);
+
+    for (const movement of movements) {
+        if (movement.tipo === 'ajuste' && !hasRole(user?.role, 'supervisor')) {
+            throw new LedgerError('Ajuste de estoque exige papel supervisor', 403);
+        }
+        for (const loja of [movement.loja, movement.lojaDestino].filter(Boolean)) {
+            if (!stores.canAccessStore(user, loja)) throw new LedgerError(`Acesso negado à loja ${loja}`, 403);
+        }
+    }
+    for (const produtoId of new Set(movements.map(m => m.produtoId))) {
+        if (!await datastore.getItem(PRODUCTS_DATASET, produtoId)) {
+            throw new LedgerError(`Produto ${produtoId} não encontrado`, 404);
+        }
+    }
+
+    await _ensureFresh();
+
+    let created;
+    for (let attempt = 1; !created; attempt++) {
+        try {
+            created = await _insert(movements, { actor, within });
+        } catch (err) {
+            if (err !== STALE) throw err;
+            if (attempt >= MAX_RETRIES) throw new LedgerError('Movimentos alterados durante o lançamento — tente novamente', 503);
+            await rebuild({ reason: 'movimento alterado durante o lançamento' });
+        }
+    }
+
+    created.forEach(m => logger.info('LEDGER', `Movimento lançado: ${m.tipo}`, {
+        id: m.id, produtoId: m.produtoId, quantidade: m.quantidade,
+        loja: m.loja, lojaDestino: m.lojaDestino, referencia: m.referencia, by: actor?.user,
+    }));
+
+    const touched = new Map();
+    created.forEach(m => _effects(m).forEach(e => touched.set(`${m.produtoId}|${e.loja}`, [String(m.produtoId), e.loja])));
+    return {
+        movements: created,
+        balances:  [...touched.values()].map(([produtoId, loja]) => _format(stmt.balance.get(produtoId, loja))),
+    };
+}
+
+/**
+ * Grava os movimentos e aplica os saldos na transação do datastore.
+ * A escrita anterior na fila de movimento pode ter mudado o dataset
+ * depois do _ensureFresh(): a revisão de antes das inserções (cada
+ * linha inserida soma 1) precisa ser a da projeção — senão desfaz
+ * tudo com STALE e o chamador refaz a projeção.
+ */
+function _insert(movements, { actor, within }) {
+    return datastore.insertItems(MOVEMENTS_DATASET, movements, {
+        actor,
+        within: (rows) => {
+            const rev = datastore.revision(MOVEMENTS_DATASET);
+            if (stmt.state.get()?.movimento_rev !== rev - rows.length) throw STALE;
+
+            const now = new Date().toISOString();
+            for (const row of rows) {
+                for (const { loja, delta } of _effects(row)) {
+                    const current = stmt.balance.get(String(row.produtoId), loja)?.quantidade ?? 0;
+                    if (current + delta < -EPSILON) {
+                        throw new LedgerError(`Estoque insuficiente de ${row.produtoId} em ${loja}: saldo ${current}, movimento ${delta}`, 409, {
+                            produtoId: row.produtoId, loja, saldo: current, quantidade: delta,
+                        });
+                    }
+                    stmt.apply.run({ produtoId: String(row.produtoId), loja, delta, movimentoId: String(row.id), now });
+                }
+            }
+            stmt.setState.run({ rev, rebuiltAt: null });
+            if (within) within(rows);
+        },
+    });
+}
+
+// ── CONSULTA ──────────────────────────────────────────────────
+
+/**
+ * Saldos visíveis à identidade. Filtros: produtoId, loja.
+ */
+async function balances(user, { produtoId = null, loja = null } = {}) {
+    await _ensureFresh();
+    const rows = produtoId != null ? stmt.byProduct.all(String(produtoId)) : stmt.all.all();
+    return rows
+        .filter(r => (!loja || r.loja === loja) && stores.canAccessStore(user, r.loja))
+        .map(_format);
+}
+
+/**
+ * Saldo de um produto por loja + total das lojas visíveis.
+ */
+async function productBalance(user, produtoId) {
+    const lojas = await balances(user, { produtoId });
+    return {
+        produtoId: String(produtoId),
+        total:     _round(lojas.reduce((sum, b) => sum + b.quantidade, 0)),
+        lojas,
+    };
+}
+
+/**
+ * Movimentos de um produto em ordem cronológica, com o saldo após
+ * cada um (da loja filtrada ou o total das lojas visíveis).
+ * Filtros: loja, from, to (ISO), limit (os mais recentes).
+ */
+async function history(user, produtoId, { loja = null, from = null, to = null, limit = 200 } = {}) {
+    const rows = (await datastore.get(MOVEMENTS_DATASET))
+        .filter(r => String(r.produtoId) === String(produtoId))
+        .sort((a, b) => _when(a).localeCompare(_when(b)));
+
+    let saldo = 0;
+    const entries = [];
+    for (const row of rows) {
+        const effects = (_effects(row) || [])
+            .filter(e => stores.canAccessStore(user, e.loja) && (!loja || e.loja === loja));
+        if (!effects.length) continue;
+
+        const delta = effects.reduce((sum, e) => sum + e.delta, 0);
+        saldo = _round(saldo + delta);
+
+        const when = _when(row);
+        if ((from && when < from) || (to && when > to)) continue;
+        entries.push({
+            id:          row.id,
+            data:        when,
+            tipo:        row.tipo,
+            quantidade:  row.quantidade,
+            loja:        row.loja ?? null,
+            lojaDestino: row.lojaDestino ?? null,
+            efeito:      _round(delta),
+            saldo,
+            referencia:  row.referencia ?? null,
+            observacao:  row.observacao ?? null,
+        });
+    }
+
+    const size = Math.min(Math.max(parseInt(limit, 10) || 200, 1), MAX_HISTORY);
+    return {
+        produtoId: String(produtoId),
+        loja,
+        saldo,
+        total:     entries.length,
+        movements: entries.slice(-size),
+    };
+}
+
+/**
+ * Conciliação: estoque de produtos × soma dos movimentos.
+ * Produto com "loja" compara com o saldo daquela loja; sem loja,
+ * com o total das lojas. all=false → só as divergências.
+ */
+async function reconcile(user, { loja = null, all = false } = {}) {
+    await _ensureFresh();
+    const produtos = await datastore.get(PRODUCTS_DATASET);
+    const { idField } = datastore.registry.get(PRODUCTS_DATASET);
+
+    const byProduct = new Map();
+    for (const b of stmt.all.all()) {
+        if (!stores.canAccessStore(user, b.loja)) continue;
+        if (!byProduct.has(b.produto_id)) byProduct.set(b.produto_id, []);
+        byProduct.get(b.produto_id).push(b);
+    }
+
+    const report = [];
+    const seen   = new Set();
+    for (const produto of produtos) {
+        const id = String(produto[idField]);
+        seen.add(id);
+
+        const lojaProduto = produto.loja ?? null;
+        if (lojaProduto && !stores.canAccessStore(user, lojaProduto)) continue;
+        if (loja && lojaProduto && lojaProduto !== loja) continue;
+
+        const saldos = (byProduct.get(id) || []).filter(b => (lojaProduto ? b.loja === lojaProduto : (!loja || b.loja === loja)));
+        const ledger = _round(saldos.reduce((sum, b) => sum + b.quantidade, 0));
+        const estoque = typeof produto.estoque === 'number' ? produto.estoque : null;
+
+        let status = 'ok';
+        if (estoque === null)                              status = 'sem-estoque';
+        else if (Math.abs(estoque - ledger) > EPSILON)     status = 'divergente';
+        if (saldos.some(b => b.quantidade < -EPSILON))     status = 'negativo';
+
+        report.push({
+            produtoId:  id,
+            nome:       produto.nome ?? null,
+            loja:       lojaProduto ?? loja,
+            estoque,
+            saldo:      ledger,
+            diferenca:  estoque === null ? null : _round(estoque - ledger),
+            status,
+        });
+    }
+
+    // Movimentos de produtos que não existem no catálogo
+    for (const [id, saldos] of byProduct) {
+        if (seen.has(id)) continue;
+        const visiveis = saldos.filter(b => !loja || b.loja === loja);
+        if (!visiveis.length) continue;
+        report.push({
+            produtoId: id,
+            nome:      null,
+            loja,
+            estoque:   null,
+            saldo:     _round(visiveis.reduce((sum, b) => sum + b.quantidade, 0)),
+            diferenca: null,
+            status:    'sem-produto',
+        });
+    }
+
+    const summary = { produtos: report.length, ok: 0, divergente: 0, negativo: 0, 'sem-estoque': 0, 'sem-produto': 0 };
+    report.forEach(r => { summary[r.status]++; });
+
+    return {
+        summary,
+        items: all ? report : report.filter(r => r.status !== 'ok'),
+        ts:    new Date().toISOString(),
+    };
+}
+
+/**
+ * Refaz a projeção a partir do dataset movimento (admin / startup).
+ */
+async function rebuild({ reason = 'manual' } = {}) {
+    const rows = await datastore.get(MOVEMENTS_DATASET, { bustCache: true });
+    const result = _rebuildTx(rows);
+    logger.info('LEDGER', `Saldos recalculados (${reason})`, { movimentos: rows.length, ...result });
+    if (result.skipped) {
+        logger.warn('LEDGER', `${result.skipped} movimento(s) sem loja/tipo/quantidade válidos ficaram fora dos saldos`);
+    }
+    return { movimentos: rows.length, ...result };
+}
+
+function getStats() {
+    const state = stmt.state.get();
+    return {
+        balances:     db.prepare('SELECT COUNT(*) AS n FROM stock_balances').get().n,
+        movimentoRev: state?.movimento_rev ?? null,
+        rebuiltAt:    state?.rebuilt_at ?? null,
+        stale:        !state || state.movimento_rev !== datastore.revision(MOVEMENTS_DATASET),
+    };
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/** Projeção desatualizada (movimento mudou fora do razão) → refaz */
+async function _ensureFresh() {
+    await datastore.get(MOVEMENTS_DATASET);   // garante o import do JSON
+    const state = stmt.state.get();
+    if (state && state.movimento_rev === datastore.revision(MOVEMENTS_DATASET)) return;
+    await rebuild({ reason: state ? 'movimento alterado fora do razão' : 'primeira carga' });
+}
+
+/** Efeito do movimento nos saldos: [{ loja, delta }], ou null se inválido */
+function _effects(row) {
+    const q = row?.quantidade;
+    if (typeof q !== 'number' || !Number.isFinite(q) || !stores.STORES.includes(row.loja)) return null;
+    switch (row.tipo) {
+        case 'entrada':       return [{ loja: row.loja, delta: Math.abs(q) }];
+        case 'saida':         return [{ loja: row.loja, delta: -Math.abs(q) }];
+        case 'ajuste':        return [{ loja: row.loja, delta: q }];
+        case 'transferencia':
+            if (!stores.STORES.includes(row.lojaDestino)) return null;
+            return [{ loja: row.loja, delta: -Math.abs(q) }, { loja: row.lojaDestino, delta: Math.abs(q) }];
+        default:              return null;
+    }
+}
+
+function _validate(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new LedgerError('Body deve ser um objeto JSON');
+    }
+    const { produtoId, tipo, quantidade, loja, lojaDestino, data, referencia, observacao } = input;
+
+    if (produtoId === undefined || produtoId === null || produtoId === '') throw new LedgerError('"produtoId" é obrigatório');
+    if (!TYPES.includes(tipo)) throw new LedgerError(`"tipo" deve ser um de: ${TYPES.join(', ')}`);
+    if (typeof quantidade !== 'number' || !Number.isFinite(quantidade) || quantidade === 0) {
+        throw new LedgerError('"quantidade" deve ser um número diferente de zero');
+    }
+    if (tipo !== 'ajuste' && quantidade < 0) {
+        throw new LedgerError('"quantidade" deve ser positiva — o tipo define o sentido (use "ajuste" para correções)');
+    }
+    if (!stores.STORES.includes(loja)) throw new LedgerError(`"loja" deve ser uma de: ${stores.STORES.join(', ')}`);
+    if (tipo === 'transferencia') {
+        if (!stores.STORES.includes(lojaDestino)) throw new LedgerError(`"lojaDestino" deve ser uma de: ${stores.STORES.join(', ')}`);
+        if (lojaDestino === loja) throw new LedgerError('"lojaDestino" deve ser diferente de "loja"');
+    } else if (lojaDestino !== undefined) {
+        throw new LedgerError('"lojaDestino" só vale para transferencia');
+    }
+    if (data !== undefined && Number.isNaN(Date.parse(data))) throw new LedgerError('"data" deve ser uma data ISO 8601');
+
+    const movement = { produtoId, tipo, quantidade, loja, data: data ?? new Date().toISOString() };
+    if (lojaDestino !== undefined) movement.lojaDestino = lojaDestino;
+    if (referencia !== undefined)  movement.referencia  = referencia;
+    if (observacao !== undefined)  movement.observacao  = observacao;
+    return movement;
+}
+
+function _format(row) {
+    return {
+        produtoId:       row.produto_id,
+        loja:            row.loja,
+        quantidade:      _round(row.quantidade),
+        movimentos:      row.movimentos,
+        ultimoMovimento: row.ultimo_movimento,
+        updatedAt:       row.updated_at,
+    };
+}
+
+function _when(row) {
+    return String(row.data ?? row.createdAt ?? '');
+}
+
+/** Evita resíduos de ponto flutuante (0.1 + 0.2) nos saldos */
+function _round(n) {
+    return Math.round(n * 1e6) / 1e6;
+}
+
+module.exports = {
+    TYPES,
+    LedgerError,
+    post,
+    postMany,
+    balances,
+    productBalance,
+    history,
+    reconcile,
+    rebuild,
+    getStats,
+};
@@ -0,0 +1,180 @@
+/**
+ * K11 OMNI ELITE — NOTIFICATIONS
+ * ════════════════════════════════
+ * Caixa de notificações da operação. Cada notificação vai para uma
+ * loja (todos os usuários que atuam nela), para um usuário, ou para
+ * todos (store e user nulos). Leitura é marcada por usuário.
+ *
+ * Quem produz: transferências entre lojas, compras, tarefas.
+ * Entrega: GET /api/notifications e, em tempo real,
+ * GET /api/notifications/stream (SSE — evento "notification").
+ */
+
+'use strict';
+
+const crypto       = require('crypto');
+const EventEmitter = require('events');
+const datastore    = require('./datastore');
+const logger       = require('./logger');
+const stores       = require('./stores');
+
+const MAX_LIMIT = 200;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS notifications (
+        seq        INTEGER PRIMARY KEY AUTOINCREMENT,
+        id         TEXT NOT NULL UNIQUE,
+        store      TEXT,
+        user_id    TEXT,
+        type       TEXT NOT NULL,
+        title      TEXT NOT NULL,
+        message    TEXT,
+        data       TEXT,
+        actor      TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_reads (
+        notification_id TEXT NOT NULL,
+        user_id         TEXT NOT NULL,
+        read_at         TEXT NOT NULL,
+        PRIMARY KEY (notification_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_notifications_store ON notifications (store);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user  ON notifications (user_id);
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+
+const stmt = {
+    insert:   db.prepare(`
+        INSERT INTO notifications (id, store, user_id, type, title, message, data, actor, created_at)
+        VALUES (@id, @store, @userId, @type, @title, @message, @data, @actor, @now)
+    `),
+    byId:     db.prepare('SELECT * FROM notifications WHERE id = ?'),
+    markRead: db.prepare('INSERT OR IGNORE INTO notification_reads (notification_id, user_id, read_at) VALUES (?, ?, ?)'),
+};
+
+// "notification" → notificação recém-criada (routes/notifications.js repassa via SSE)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Cria notificações — uma por loja em "stores" (ou uma para "userId",
+ * ou uma para todos). Retorna as notificações criadas.
+ */
+function notify({ stores: targets = [], userId = null, type, title, message = null, data = null, actor = null }) {
+    const now  = new Date().toISOString();
+    const list = targets.length ? [...new Set(targets)].map(store => ({ store, userId })) : [{ store: null, userId }];
+
+    const created = db.transaction(() => list.map(target => {
+        const id = crypto.randomUUID();
+        stmt.insert.run({
+            id,
+            store:   target.store,
+            userId:  target.userId,
+            type,
+            title,
+            message,
+            data:    data ? JSON.stringify(data) : null,
+            actor,
+            now,
+        });
+        return _format(stmt.byId.get(id));
+    }))();
+
+    created.forEach(n => events.emit('notification', n));
+    logger.info('NOTIFY', title, { type, stores: targets, userId });
+    return created;
+}
+
+/**
+ * Notificações visíveis à identidade, mais recentes primeiro.
+ * Filtros: unread, type, since (ISO), limit.
+ */
+function list(user, { unread = false, type = null, since = null, limit = 50 } = {}) {
+    const where  = ['(n.user_id IS NULL OR n.user_id = @userId)'];
+    const params = { userId: user.id, limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT) };
+
+    const scope = _storeScope(user, params);
+    if (scope) where.push(scope);
+    if (unread) where.push('r.read_at IS NULL');
+    if (type)   { where.push('n.type = @type');         params.type  = type; }
+    if (since)  { where.push('n.created_at >= @since'); params.since = since; }
+
+    const rows = db.prepare(`
+        SELECT n.*, r.read_at FROM notifications n
+        LEFT JOIN notification_reads r ON r.notification_id = n.id AND r.user_id = @userId
+        WHERE ${where.join(' AND ')}
+        ORDER BY n.seq DESC LIMIT @limit
+    `).all(params);
+
+    return rows.map(_format);
+}
+
+function unreadCount(user) {
+    const params = { userId: user.id };
+    const scope  = _storeScope(user, params);
+    return db.prepare(`
+        SELECT COUNT(*) AS n FROM notifications n
+        LEFT JOIN notification_reads r ON r.notification_id = n.id AND r.user_id = @userId
+        WHERE (n.user_id IS NULL OR n.user_id = @userId) ${scope ? `AND ${scope}` : ''} AND r.read_at IS NULL
+    `).get(params).n;
+}
+
+/**
+ * Marca como lidas para o usuário. Sem ids → todas as visíveis.
+ * Retorna quantas foram marcadas agora.
+ */
+function markRead(user, ids = null) {
+    const targets = ids ?? list(user, { unread: true, limit: MAX_LIMIT }).map(n => n.id);
+    const now = new Date().toISOString();
+    return db.transaction(() => targets.reduce((count, id) => {
+        const n = stmt.byId.get(id);
+        if (!n || !canSee(user, n)) return count;
+        return count + stmt.markRead.run(id, user.id, now).changes;
+    }, 0))();
+}
+
+/** true se a notificação é para a identidade */
+function canSee(user, notification) {
+    const userId = notification.user_id ?? notification.userId ?? null;
+    if (userId && userId !== user.id) return false;
+    return !notification.store || stores.canAccessStore(user, notification.store);
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/** Cláusula SQL das lojas da identidade (null = todas) */
+function _storeScope(user, params) {
+    if (stores.hasAllStores(user.stores)) return null;
+    const list = user.stores || [];
+    list.forEach((s, i) => { params[`s${i}`] = s; });
+    return `(n.store IS NULL OR n.store IN (${list.map((_, i) => `@s${i}`).join(', ') || 'NULL'}))`;
+}
+
+function _format(row) {
+    return {
+        id:        row.id,
+        store:     row.store,
+        userId:    row.user_id,
+        type:      row.type,
+        title:     row.title,
+        message:   row.message,
+        data:      row.data ? JSON.parse(row.data) : null,
+        actor:     row.actor,
+        createdAt: row.created_at,
+        readAt:    row.read_at ?? null,
+    };
+}
+
+module.exports = {
+    events,
+    notify,
+    list,
+    unreadCount,
+    markRead,
+    canSee,
+};
@@ -0,0 +1,88 @@
+/**
+ * K11 OMNI ELITE — PDV (VENDAS)
+ * ═══════════════════════════════
+ * Leitura normalizada das vendas dos datasets de PDV (kind "pdv" no
+ * registro). Os JSONs vêm do sistema de caixa de cada loja e os nomes
+ * de campo variam; aqui cada linha vira:
+ *
+ *   { produtoId, quantidade, valor, data, loja, categoria, raw }
+ *
+ * Aliases aceitos por campo em PDV_FIELDS — o primeiro presente vale.
+ */
+
+'use strict';
+
+const datastore = require('./datastore');
+const stores    = require('./stores');
+
+const PDV_KIND = 'pdv';
+
+const PDV_FIELDS = {
+    produtoId:  ['produtoId', 'codigo', 'codProduto', 'idProduto', 'sku', 'ean'],
+    quantidade: ['quantidade', 'qtd', 'qtde', 'quantity'],
+    valor:      ['valor', 'total', 'valorTotal', 'value'],
+    data:       ['data', 'dataVenda', 'date', 'createdAt'],
+    loja:       ['loja', 'store'],
+    categoria:  ['categoria', 'category'],
+};
+
+const registry = datastore.registry;
+
+/** Datasets de PDV por loja (store de uma loja só) visíveis à identidade */
+function storeDatasets(user) {
+    return registry.byKind(PDV_KIND)
+        .filter(def => stores.STORES.includes(def.store) && registry.canRead(user, def.name));
+}
+
+/**
+ * Vendas normalizadas de um dataset de PDV. A loja vem da linha
+ * ou, sem ela, do store do dataset. from/to (ISO) filtram por data.
+ */
+async function sales(dataset, { from = null, to = null } = {}) {
+    const def  = registry.get(dataset);
+    const rows = await datastore.get(def.name);
+    const out  = [];
+    for (const row of rows) {
+        const sale = normalize(row, def);
+        if (from && (!sale.data || sale.data < from)) continue;
+        if (to && (!sale.data || sale.data > to)) continue;
+        out.push(sale);
+    }
+    return out;
+}
+
+/** Uma linha do PDV no formato comum */
+function normalize(row, def = null) {
+    const quantidade = _number(_pick(row, 'quantidade'));
+    const valor      = _number(_pick(row, 'valor'));
+    const produtoId  = _pick(row, 'produtoId');
+    const data       = _pick(row, 'data');
+    const loja       = _pick(row, 'loja') ?? (stores.STORES.includes(def?.store) ? def.store : null);
+
+    return {
+        produtoId:  produtoId == null ? null : String(produtoId),
+        quantidade: quantidade ?? (produtoId != null ? 1 : null),
+        valor,
+        data:       data == null ? null : String(data),
+        loja:       loja == null ? null : String(loja).toLowerCase(),
+        categoria:  _pick(row, 'categoria') ?? null,
+        raw:        row,
+    };
+}
+
+function _pick(row, field) {
+    for (const key of PDV_FIELDS[field]) {
+        if (row?.[key] !== undefined && row[key] !== null && row[key] !== '') return row[key];
+    }
+    return null;
+}
+
+function _number(value) {
+    if (value === null || value === undefined) return null;
+    // "1.234,56" (formato do caixa) ou "1234.56"
+    const text = String(value).trim();
+    const n = typeof value === 'number' ? value : Number(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+    return Number.isFinite(n) ? n : null;
+}
+
+module.exports = { PDV_KIND, PDV_FIELDS, storeDatasets, sales, normalize };
@@ -0,0 +1,463 @@
+/**
+ * K11 OMNI ELITE — PURCHASES (PEDIDOS DE COMPRA)
+ * ════════════════════════════════════════════════
+ * Pedidos de compra por fornecedor, com linhas que apontam para ids de
+ * produtos e uma loja de entrega:
+ *
+ *   draft → sent → partially_received → closed
+ *   draft / sent (sem recebimento) → cancelled
+ *
+ *   send     → supervisor; grava sentAt e a previsão (prazoEntregaDias)
+ *   receive  → entrada no movimento da loja (razão de estoque), na mesma
+ *              transação da mudança de status; tudo recebido → closed
+ *   close    → encerra com saldo pendente (o fornecedor não vai entregar)
+ *
+ * Métricas por fornecedor: prazo real (envio → recebimentos), pontualidade
+ * frente à previsão e fill rate (recebido ÷ pedido nos pedidos encerrados).
+ */
+
+'use strict';
+
+const crypto    = require('crypto');
+const datastore = require('./datastore');
+const ledger    = require('./ledger');
+const logger    = require('./logger');
+const notifications = require('./notifications');
+const stores    = require('./stores');
+const { hasRole } = require('./roles');
+
+const STATUSES      = ['draft', 'sent', 'partially_received', 'closed', 'cancelled'];
+const OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+const MAX_LINES     = 500;
+const DAY_MS        = 86_400_000;
+const EPSILON       = 1e-9;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+        seq           INTEGER PRIMARY KEY AUTOINCREMENT,
+        id            TEXT NOT NULL UNIQUE,
+        fornecedor_id TEXT NOT NULL,
+        loja          TEXT NOT NULL,
+        status        TEXT NOT NULL,
+        lines         TEXT NOT NULL,
+        receipts      TEXT NOT NULL DEFAULT '[]',
+        history       TEXT NOT NULL,
+        observacao    TEXT,
+        created_by    TEXT,
+        created_at    TEXT NOT NULL,
+        updated_at    TEXT NOT NULL,
+        sent_at       TEXT,
+        expected_at   TEXT,
+        closed_at     TEXT,
+        version       INTEGER NOT NULL DEFAULT 1
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders (fornecedor_id);
+    CREATE INDEX IF NOT EXISTS idx_purchase_orders_status   ON purchase_orders (status);
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+
+const stmt = {
+    insert: db.prepare(`
+        INSERT INTO purchase_orders (id, fornecedor_id, loja, status, lines, history, observacao, created_by, created_at, updated_at)
+        VALUES (@id, @fornecedorId, @loja, 'draft', @lines, @history, @observacao, @createdBy, @now, @now)
+    `),
+    byId:   db.prepare('SELECT * FROM purchase_orders WHERE id = ?'),
+    update: db.prepare(`
+        UPDATE purchase_orders SET status = @status, lines = @lines, receipts = @receipts, history = @history,
+                                   observacao = @observacao, sent_at = @sentAt, expected_at = @expectedAt,
+                                   closed_at = @closedAt, updated_at = @now, version = version + 1
+        WHERE id = @id AND version = @version
+    `),
+    open:   db.prepare(`SELECT * FROM purchase_orders WHERE status IN ('sent', 'partially_received')`),
+};
+
+class PurchaseError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'PurchaseError';
+        this.status = status;
+    }
+}
+
+// ── CONSULTA ──────────────────────────────────────────────────
+
+/**
+ * Pedidos das lojas da identidade. Filtros: status, fornecedorId, loja, open.
+ */
+function list(user, { status = null, fornecedorId = null, loja = null, open = false } = {}) {
+    const where  = [];
+    const params = {};
+
+    if (!stores.hasAllStores(user.stores)) {
+        const mine = user.stores || [];
+        mine.forEach((s, i) => { params[`s${i}`] = s; });
+        where.push(`loja IN (${mine.map((_, i) => `@s${i}`).join(', ') || 'NULL'})`);
+    }
+    if (loja)         { where.push('loja = @loja');                 params.loja = loja; }
+    if (status)       { where.push('status = @status');             params.status = status; }
+    if (fornecedorId) { where.push('fornecedor_id = @fornecedorId'); params.fornecedorId = String(fornecedorId); }
+    if (open)         where.push(`status IN (${OPEN_STATUSES.map(s => `'${s}'`).join(', ')})`);
+
+    return db.prepare(`SELECT * FROM purchase_orders ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY seq DESC`)
+        .all(params)
+        .map(_format);
+}
+
+/** Pedido por id — PurchaseError 404 se não existe ou é de outra loja */
+function get(user, id) {
+    const row = stmt.byId.get(id);
+    if (!row || !stores.canAccessStore(user, row.loja)) throw new PurchaseError(`Pedido ${id} não encontrado`, 404);
+    return _format(row);
+}
+
+/**
+ * Quantidade pendente de entrega por produto|loja nos pedidos enviados —
+ * a sugestão de compra desconta o que já está a caminho.
+ */
+function onOrder() {
+    const pending = new Map();
+    for (const row of stmt.open.all()) {
+        for (const line of JSON.parse(row.lines)) {
+            const key = `${line.produtoId}|${row.loja}`;
+            pending.set(key, (pending.get(key) ?? 0) + Math.max(line.quantidade - line.recebida, 0));
+        }
+    }
+    return pending;
+}
+
+// ── CICLO DE VIDA ─────────────────────────────────────────────
+
+/**
+ * Cria um rascunho.
+ * Body: { fornecedorId, loja, lines: [{ produtoId, quantidade, custo? }], observacao? }
+ */
+async function create(user, input, { actor = null } = {}) {
+    const { fornecedorId, loja, lines, observacao } = input || {};
+    const supplier = await _supplier(fornecedorId);
+    if (!stores.STORES.includes(loja)) throw new PurchaseError(`"loja" deve ser uma de: ${stores.STORES.join(', ')}`);
+    _assertStore(user, loja);
+    if (observacao !== undefined && typeof observacao !== 'string') throw new PurchaseError('"observacao" deve ser texto');
+
+    const parsed = await _parseLines(lines);
+    const id     = crypto.randomUUID();
+    const now    = new Date().toISOString();
+
+    stmt.insert.run({
+        id,
+        fornecedorId: String(fornecedorId),
+        loja,
+        lines:        JSON.stringify(parsed),
+        history:      JSON.stringify([_step('draft', actor, now)]),
+        observacao:   observacao ?? null,
+        createdBy:    actor?.user ?? user.name,
+        now,
+    });
+
+    logger.info('PURCHASES', `Pedido criado para ${supplier.nome ?? fornecedorId}`, { id, loja, linhas: parsed.length, by: actor?.user });
+    return _format(stmt.byId.get(id));
+}
+
+/** Altera linhas/observação de um rascunho */
+async function update(user, id, { lines, observacao, actor = null } = {}) {
+    const order = get(user, id);
+    if (order.status !== 'draft') throw new PurchaseError(`Só rascunhos podem ser alterados (status: ${order.status})`, 409);
+    if (observacao !== undefined && observacao !== null && typeof observacao !== 'string') {
+        throw new PurchaseError('"observacao" deve ser texto');
+    }
+
+    return _save(order, {
+        lines:      lines !== undefined ? await _parseLines(lines) : order.lines,
+        observacao: observacao !== undefined ? observacao : order.observacao,
+    }, { actor, step: 'edited' });
+}
+
+/** draft → sent (supervisor). Previsão = envio + prazoEntregaDias do fornecedor */
+async function send(user, id, { observacao, actor = null } = {}) {
+    const order = get(user, id);
+    _assertRole(user, 'supervisor', 'enviar');
+    if (order.status !== 'draft') throw _invalidTransition(order, 'sent');
+
+    const supplier = await _supplier(order.fornecedorId);
+    const now      = new Date();
+    const expected = supplier.prazoEntregaDias != null ? new Date(now.getTime() + supplier.prazoEntregaDias * DAY_MS).toISOString() : null;
+
+    const sent = _save(order, { status: 'sent', sentAt: now.toISOString(), expectedAt: expected }, { actor, step: 'sent', observacao });
+    notifications.notify({
+        stores:  [order.loja],
+        type:    'purchase.sent',
+        title:   `Pedido de compra #${order.numero} enviado a ${supplier.nome ?? order.fornecedorId}`,
+        message: expected ? `Previsão de entrega: ${expected.slice(0, 10)}` : null,
+        data:    { purchaseId: order.id, numero: order.numero },
+        actor:   actor?.user ?? null,
+    });
+    return sent;
+}
+
+/**
+ * Recebe mercadoria: entrada no movimento da loja do pedido.
+ * Body: { lines: [{ produtoId, quantidade }], observacao? } — sem lines, recebe todo o pendente.
+ */
+async function receive(user, id, { lines, observacao, actor = null } = {}) {
+    const order = get(user, id);
+    _assertRole(user, 'operador', 'receber');
+    if (!['sent', 'partially_received'].includes(order.status)) throw _invalidTransition(order, 'partially_received');
+
+    const received = _receivedQuantities(order, lines);
+    if (!received.length) throw new PurchaseError('Nada a receber');
+
+    const now   = new Date().toISOString();
+    const next  = order.lines.map(l => {
+        const r = received.find(x => String(x.produtoId) === String(l.produtoId));
+        return r ? { ...l, recebida: _round(l.recebida + r.quantidade) } : l;
+    });
+    const complete = next.every(l => l.recebida >= l.quantidade - EPSILON);
+    const status   = complete ? 'closed' : 'partially_received';
+
+    let updated;
+    await ledger.postMany(user, received.map(r => ({
+        produtoId:  r.produtoId,
+        tipo:       'entrada',
+        quantidade: r.quantidade,
+        loja:       order.loja,
+        referencia: `compra:${order.id}`,
+        observacao: `Pedido de compra #${order.numero}`,
+    })), {
+        actor,
+        within: (movements) => {
+            updated = _save(order, {
+                status,
+                lines:    next,
+                receipts: [...order.receipts, {
+                    ts:     now,
+                    by:     actor?.user ?? null,
+                    lines:  received,
+                    movimentos: movements.map(m => m.id),
+                    ...(observacao && { observacao }),
+                }],
+                closedAt: complete ? now : null,
+            }, { actor, step: status });
+        },
+    });
+
+    notifications.notify({
+        stores:  [order.loja],
+        type:    `purchase.${status}`,
+        title:   complete ? `Pedido de compra #${order.numero} recebido por completo` : `Pedido de compra #${order.numero} recebido em parte`,
+        message: `${received.length} item(ns) lançados no estoque`,
+        data:    { purchaseId: order.id, numero: order.numero, status },
+        actor:   actor?.user ?? null,
+    });
+    return updated;
+}
+
+/** partially_received → closed: encerra com saldo pendente (supervisor) */
+async function close(user, id, { observacao, actor = null } = {}) {
+    const order = get(user, id);
+    _assertRole(user, 'supervisor', 'encerrar');
+    if (order.status !== 'partially_received') throw _invalidTransition(order, 'closed');
+    return _save(order, { status: 'closed', closedAt: new Date().toISOString() }, { actor, step: 'closed', observacao });
+}
+
+/** draft / sent → cancelled (supervisor) */
+async function cancel(user, id, { observacao, actor = null } = {}) {
+    const order = get(user, id);
+    _assertRole(user, 'supervisor', 'cancelar');
+    if (!['draft', 'sent'].includes(order.status)) throw _invalidTransition(order, 'cancelled');
+    return _save(order, { status: 'cancelled', closedAt: new Date().toISOString() }, { actor, step: 'cancelled', observacao });
+}
+
+// ── MÉTRICAS ──────────────────────────────────────────────────
+
+/**
+ * Desempenho por fornecedor nos pedidos das lojas da identidade.
+ *   prazoMedioDias → envio → último recebimento (pedidos encerrados com entrega)
+ *   pontualidade   → fração dos recebimentos até a previsão
+ *   fillRate       → recebido ÷ pedido nos pedidos encerrados
+ */
+async function supplierMetrics(user, { fornecedorId = null } = {}) {
+    const orders    = list(user, { fornecedorId }).filter(o => o.status !== 'cancelled' && o.sentAt);
+    const suppliers = await datastore.get('fornecedor');
+    const { idField } = datastore.registry.get('fornecedor');
+    const byId = new Map(suppliers.map(s => [String(s[idField]), s]));
+
+    const groups = new Map();
+    for (const order of orders) {
+        if (!groups.has(order.fornecedorId)) groups.set(order.fornecedorId, []);
+        groups.get(order.fornecedorId).push(order);
+    }
+
+    return [...groups.entries()].map(([id, list]) => {
+        const closed    = list.filter(o => o.status === 'closed');
+        const delivered = closed.filter(o => o.receipts.length);
+        const leadTimes = delivered.map(o => (Date.parse(o.receipts.at(-1).ts) - Date.parse(o.sentAt)) / DAY_MS);
+        const receipts  = list.flatMap(o => o.receipts.map(r => ({ ts: r.ts, expectedAt: o.expectedAt })));
+        const timed     = receipts.filter(r => r.expectedAt);
+        const ordered   = closed.reduce((sum, o) => sum + o.lines.reduce((s, l) => s + l.quantidade, 0), 0);
+        const received  = closed.reduce((sum, o) => sum + o.lines.reduce((s, l) => s + Math.min(l.recebida, l.quantidade), 0), 0);
+
+        return {
+            fornecedorId:     id,
+            fornecedor:       byId.get(id)?.nome ?? null,
+            prazoPrometido:   byId.get(id)?.prazoEntregaDias ?? null,
+            pedidos:          list.length,
+            encerrados:       closed.length,
+            emAberto:         list.filter(o => o.open).length,
+            prazoMedioDias:   leadTimes.length ? _round(leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length, 1) : null,
+            pontualidade:     timed.length ? _round(timed.filter(r => r.ts <= r.expectedAt).length / timed.length, 3) : null,
+            fillRate:         ordered ? _round(received / ordered, 3) : null,
+            valorPedido:      _round(list.reduce((sum, o) => sum + o.total, 0)),
+        };
+    }).sort((a, b) => b.pedidos - a.pedidos);
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/** Grava a nova versão do pedido (o version confere que ninguém mudou antes) */
+function _save(order, patch, { actor, step, observacao } = {}) {
+    const now  = new Date().toISOString();
+    const next = { ...order, ...patch };
+    const info = stmt.update.run({
+        id:         order.id,
+        version:    order.version,
+        status:     next.status,
+        lines:      JSON.stringify(next.lines),
+        receipts:   JSON.stringify(next.receipts),
+        history:    JSON.stringify([...order.history, _step(step, actor, now, observacao)]),
+        observacao: next.observacao ?? null,
+        sentAt:     next.sentAt ?? null,
+        expectedAt: next.expectedAt ?? null,
+        closedAt:   next.closedAt ?? null,
+        now,
+    });
+    if (!info.changes) throw new PurchaseError(`Pedido ${order.id} foi alterado por outra requisição — recarregue`, 409);
+
+    if (order.status !== next.status) {
+        logger.info('PURCHASES', `Pedido #${order.numero}: ${order.status} → ${next.status}`, { id: order.id, by: actor?.user });
+    }
+    return _format(stmt.byId.get(order.id));
+}
+
+function _invalidTransition(order, to) {
+    return new PurchaseError(`Pedido em "${order.status}" não pode ir para "${to}"`, 409);
+}
+
+async function _supplier(fornecedorId) {
+    if (fornecedorId === undefined || fornecedorId === null || fornecedorId === '') {
+        throw new PurchaseError('"fornecedorId" é obrigatório');
+    }
+    const supplier = await datastore.getItem('fornecedor', fornecedorId);
+    if (!supplier) throw new PurchaseError(`Fornecedor ${fornecedorId} não encontrado`, 404);
+    return supplier;
+}
+
+async function _parseLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) throw new PurchaseError('"lines" deve ser um array não vazio');
+    if (lines.length > MAX_LINES) throw new PurchaseError(`Máximo de ${MAX_LINES} linhas por pedido`, 413);
+
+    const seen   = new Set();
+    const parsed = [];
+    for (const [i, line] of lines.entries()) {
+        const produtoId = line?.produtoId;
+        if (produtoId === undefined || produtoId === null || produtoId === '') throw new PurchaseError(`lines[${i}]: "produtoId" é obrigatório`);
+        if (typeof line.quantidade !== 'number' || !(line.quantidade > 0)) throw new PurchaseError(`lines[${i}]: "quantidade" deve ser positiva`);
+        if (line.custo !== undefined && line.custo !== null && (typeof line.custo !== 'number' || line.custo < 0)) {
+            throw new PurchaseError(`lines[${i}]: "custo" deve ser um número >= 0`);
+        }
+        if (seen.has(String(produtoId))) throw new PurchaseError(`lines[${i}]: produto ${produtoId} repetido`);
+
+        const produto = await datastore.getItem('produtos', produtoId);
+        if (!produto) throw new PurchaseError(`lines[${i}]: produto ${produtoId} não encontrado`, 404);
+        seen.add(String(produtoId));
+        parsed.push({
+            produtoId,
+            produto:    produto.nome ?? null,
+            quantidade: line.quantidade,
+            custo:      line.custo ?? produto.custo ?? null,
+            recebida:   0,
+        });
+    }
+    return parsed;
+}
+
+/** Quantidades a receber agora (sem lines → todo o pendente) */
+function _receivedQuantities(order, input) {
+    const pending = l => _round(l.quantidade - l.recebida);
+    if (input === undefined) {
+        return order.lines.filter(l => pending(l) > 0).map(l => ({ produtoId: l.produtoId, quantidade: pending(l) }));
+    }
+    if (!Array.isArray(input)) throw new PurchaseError('"lines" deve ser um array');
+
+    // valida com o índice original (mensagens batem com o body); quantidade 0 = nada a receber
+    const seen = new Set();
+    return input.map((line, i) => {
+        const match = order.lines.find(l => String(l.produtoId) === String(line?.produtoId));
+        if (!match) throw new PurchaseError(`lines[${i}]: produto ${line?.produtoId} não está no pedido`);
+        if (seen.has(String(match.produtoId))) throw new PurchaseError(`lines[${i}]: produto ${match.produtoId} repetido`);
+        if (typeof line.quantidade !== 'number' || !(line.quantidade >= 0)) throw new PurchaseError(`lines[${i}]: "quantidade" deve ser um número >= 0`);
+        if (line.quantidade > pending(match) + EPSILON) {
+            throw new PurchaseError(`lines[${i}]: recebendo ${line.quantidade}, mas só ${pending(match)} pendente(s) de ${match.produtoId}`);
+        }
+        seen.add(String(match.produtoId));
+        return { produtoId: match.produtoId, quantidade: line.quantidade };
+    }).filter(l => l.quantidade > 0);
+}
+
+function _step(status, actor, ts, observacao) {
+    return { status, by: actor?.user ?? null, ts, ...(observacao && { observacao }) };
+}
+
+function _assertRole(user, role, action) {
+    if (!hasRole(user?.role, role)) throw new PurchaseError(`Papel "${role}" necessário para ${action} o pedido`, 403);
+}
+
+function _assertStore(user, loja) {
+    if (!stores.canAccessStore(user, loja)) throw new PurchaseError(`Acesso negado à loja ${loja}`, 403);
+}
+
+function _format(row) {
+    const lines = JSON.parse(row.lines);
+    return {
+        id:           row.id,
+        numero:       row.seq,
+        fornecedorId: row.fornecedor_id,
+        loja:         row.loja,
+        status:       row.status,
+        open:         OPEN_STATUSES.includes(row.status),
+        lines,
+        total:        _round(lines.reduce((sum, l) => sum + (l.custo ?? 0) * l.quantidade, 0)),
+        receipts:     JSON.parse(row.receipts),
+        history:      JSON.parse(row.history),
+        observacao:   row.observacao,
+        createdBy:    row.created_by,
+        createdAt:    row.created_at,
+        updatedAt:    row.updated_at,
+        sentAt:       row.sent_at,
+        expectedAt:   row.expected_at,
+        closedAt:     row.closed_at,
+        version:      row.version,
+    };
+}
+
+function _round(n, digits = 2) {
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+module.exports = {
+    STATUSES,
+    OPEN_STATUSES,
+    PurchaseError,
+    list,
+    get,
+    onOrder,
+    create,
+    update,
+    send,
+    receive,
+    close,
+    cancel,
+    supplierMetrics,
+};
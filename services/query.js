@@ -0,0 +1,276 @@
+/**
+ * K11 OMNI ELITE — QUERY SERVICE
+ * ════════════════════════════════
+ * Filtro, ordenação, paginação e projeção de campos
+ * aplicados no servidor sobre qualquer dataset.
+ *
+ * Parâmetros aceitos (query string):
+ *   where[campo]=valor            → igualdade
+ *   where[campo][op]=valor        → op: eq | ne | gt | gte | lt | lte | in | nin | like | exists
+ *   sort=-estoque,nome            → "-" = decrescente
+ *   page=2&limit=50               → paginação (1-based)
+ *   fields=id,nome,estoque        → projeção
+ *
+ * apply() trabalha sobre um array; iterate() sobre um iterável de
+ * linhas (exportação em stream) — só a ordenação precisa guardar as
+ * linhas filtradas em memória.
+ */
+
+'use strict';
+
+const MAX_LIMIT = 1000;
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'like', 'exists'];
+
+// Segmentos de caminho que levariam ao protótipo do objeto (fields=__proto__.x)
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name   = 'QueryError';
+        this.status = 400;
+    }
+}
+
+// ── PARSE ─────────────────────────────────────────────────────
+
+/**
+ * Converte req.query numa especificação normalizada.
+ * Lança QueryError para parâmetros inválidos.
+ */
+function parse(query = {}) {
+    const spec = { filters: [], sort: [], page: 1, limit: null, fields: null };
+
+    // where[campo]=x  |  where[campo][op]=x
+    const where = query.where || {};
+    if (typeof where !== 'object' || Array.isArray(where)) {
+        throw new QueryError('Parâmetro "where" deve ser where[campo]=valor');
+    }
+    for (const [field, cond] of Object.entries(where)) {
+        _assertField(field, 'where');
+        if (cond !== null && typeof cond === 'object' && !Array.isArray(cond)) {
+            for (const [op, value] of Object.entries(cond)) {
+                if (!OPERATORS.includes(op)) {
+                    throw new QueryError(`Operador inválido "${op}" em where[${field}] (use: ${OPERATORS.join(', ')})`);
+                }
+                spec.filters.push({ field, op, value });
+            }
+        } else {
+            spec.filters.push({ field, op: Array.isArray(cond) ? 'in' : 'eq', value: cond });
+        }
+    }
+
+    // sort=-estoque,nome
+    if (query.sort) {
+        spec.sort = String(query.sort).split(',').map(s => s.trim()).filter(Boolean).map(s => (
+            s.startsWith('-') ? { field: s.slice(1), dir: -1 } : { field: s.replace(/^\+/, ''), dir: 1 }
+        ));
+        spec.sort.forEach(s => _assertField(s.field, 'sort'));
+    }
+
+    // page / limit
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) throw new QueryError('"limit" deve ser um inteiro positivo');
+        spec.limit = Math.min(limit, MAX_LIMIT);
+    }
+    if (query.page !== undefined) {
+        const page = parseInt(query.page, 10);
+        if (!Number.isInteger(page) || page < 1) throw new QueryError('"page" deve ser um inteiro positivo');
+        spec.page = page;
+        if (spec.limit === null) spec.limit = 100;
+    }
+
+    // fields=id,nome
+    if (query.fields) {
+        spec.fields = String(query.fields).split(',').map(s => s.trim()).filter(Boolean);
+        spec.fields.forEach(f => _assertField(f, 'fields'));
+    }
+
+    return spec;
+}
+
+// ── APPLY ─────────────────────────────────────────────────────
+
+/**
+ * Aplica a especificação sobre um array de linhas.
+ * Sem page/limit, retorna todas as linhas (compatível com o front-end atual).
+ */
+function apply(rows, spec) {
+    let result = rows;
+
+    if (spec.filters.length) {
+        result = result.filter(row => spec.filters.every(f => _match(_getPath(row, f.field), f.op, f.value)));
+    }
+
+    if (spec.sort.length) {
+        result = _sortRows([...result], spec.sort);
+    }
+
+    const total = result.length;
+    const limit = spec.limit ?? Math.max(total, 1);
+    const pages = Math.max(Math.ceil(total / limit), 1);
+    const page  = spec.page;
+
+    if (spec.limit !== null) {
+        result = result.slice((page - 1) * limit, page * limit);
+    }
+
+    if (spec.fields) {
+        result = result.map(row => project(row, spec.fields));
+    }
+
+    return {
+        data:       result,
+        pagination: { page, limit, total, pages, hasNext: page < pages, hasPrev: page > 1 },
+    };
+}
+
+/**
+ * Mesma especificação de apply(), linha a linha sobre um iterável
+ * (síncrono ou assíncrono). Sem sort, nada fica em memória; com sort,
+ * as linhas filtradas são ordenadas antes de sair.
+ */
+async function* iterate(rows, spec) {
+    const matches = row => spec.filters.every(f => _match(_getPath(row, f.field), f.op, f.value));
+    const start   = spec.limit !== null ? (spec.page - 1) * spec.limit : 0;
+    const end     = spec.limit !== null ? start + spec.limit : Infinity;
+
+    let source = rows;
+    if (spec.sort.length) {
+        const buffered = [];
+        for await (const row of rows) if (matches(row)) buffered.push(row);
+        source = _sortRows(buffered, spec.sort);
+    }
+
+    let index = 0;
+    for await (const row of source) {
+        if (!spec.sort.length && !matches(row)) continue;
+        if (index >= end) break;
+        if (index++ < start) continue;
+        yield spec.fields ? project(row, spec.fields) : row;
+    }
+}
+
+/** Mantém apenas os campos pedidos (aceita caminhos "a.b") */
+function project(row, fields) {
+    const out = {};
+    for (const field of fields) {
+        const value = _getPath(row, field);
+        if (value !== undefined) _setPath(out, field, value);
+    }
+    return out;
+}
+
+/**
+ * Monta o header Link (RFC 8288) para navegação entre páginas.
+ * Retorna null quando não há paginação.
+ */
+function buildLinkHeader(baseUrl, query, pagination) {
+    if (pagination.pages <= 1 && pagination.page === 1) return null;
+
+    const link = (page, rel) => {
+        const params = new URLSearchParams();
+        for (const [k, v] of _flattenQuery(query)) params.append(k, v);
+        params.set('page', String(page));
+        params.set('limit', String(pagination.limit));
+        return `<${baseUrl}?${params.toString()}>; rel="${rel}"`;
+    };
+
+    const links = [link(1, 'first')];
+    if (pagination.hasPrev) links.push(link(pagination.page - 1, 'prev'));
+    if (pagination.hasNext) links.push(link(pagination.page + 1, 'next'));
+    links.push(link(pagination.pages, 'last'));
+    return links.join(', ');
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+function _getPath(obj, field) {
+    if (!field.includes('.')) return obj?.[field];
+    return field.split('.').reduce((acc, k) => (acc == null ? undefined : acc[k]), obj);
+}
+
+function _assertField(field, param) {
+    const bad = field.split('.').find(k => FORBIDDEN_KEYS.includes(k));
+    if (bad) throw new QueryError(`Campo inválido "${field}" em ${param}: "${bad}" não é permitido`);
+}
+
+function _setPath(obj, field, value) {
+    _assertField(field, 'fields');
+    const keys = field.split('.');
+    let node   = obj;
+    keys.slice(0, -1).forEach(k => { node = node[k] ??= {}; });
+    node[keys[keys.length - 1]] = value;
+}
+
+/** Converte o valor da query string para o tipo do valor da linha */
+function _coerce(raw, sample) {
+    if (typeof sample === 'number') {
+        const n = Number(raw);
+        return Number.isNaN(n) ? raw : n;
+    }
+    if (typeof sample === 'boolean') {
+        if (raw === 'true')  return true;
+        if (raw === 'false') return false;
+    }
+    if (sample === null && raw === 'null') return null;
+    return raw;
+}
+
+function _toList(value) {
+    return Array.isArray(value) ? value : String(value).split(',');
+}
+
+function _match(actual, op, raw) {
+    switch (op) {
+        case 'eq':     return _compare(actual, _coerce(raw, actual)) === 0;
+        case 'ne':     return _compare(actual, _coerce(raw, actual)) !== 0;
+        case 'gt':     return actual != null && _compare(actual, _coerce(raw, actual)) > 0;
+        case 'gte':    return actual != null && _compare(actual, _coerce(raw, actual)) >= 0;
+        case 'lt':     return actual != null && _compare(actual, _coerce(raw, actual)) < 0;
+        case 'lte':    return actual != null && _compare(actual, _coerce(raw, actual)) <= 0;
+        case 'in':     return _toList(raw).some(v => _compare(actual, _coerce(v, actual)) === 0);
+        case 'nin':    return !_toList(raw).some(v => _compare(actual, _coerce(v, actual)) === 0);
+        case 'like':   return actual != null && String(actual).toLowerCase().includes(String(raw).toLowerCase());
+        case 'exists': return (raw === 'false' || raw === '0') ? actual === undefined : actual !== undefined;
+        default:       return false;
+    }
+}
+
+/** Ordena no lugar pelos critérios de sort */
+function _sortRows(rows, sort) {
+    return rows.sort((a, b) => {
+        for (const { field, dir } of sort) {
+            const cmp = _compare(_getPath(a, field), _getPath(b, field));
+            if (cmp !== 0) return cmp * dir;
+        }
+        return 0;
+    });
+}
+
+/** Comparação estável: null/undefined por último, números numericamente, resto como texto */
+function _compare(a, b) {
+    if (a == null && b == null) return 0;
+    if (a == null) return 1;
+    if (b == null) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    return String(a).localeCompare(String(b), 'pt-BR', { numeric: true });
+}
+
+/** where[campo][op]=x → [['where[campo][op]', 'x']] para reconstruir URLs (arrays viram chaves repetidas) */
+function _flattenQuery(query, prefix = '') {
+    const out = [];
+    for (const [k, v] of Object.entries(query)) {
+        const key = prefix ? `${prefix}[${k}]` : k;
+        if (v !== null && typeof v === 'object' && !Array.isArray(v)) out.push(..._flattenQuery(v, key));
+        // chave repetida por elemento: juntar com vírgula trocaria "in" por "eq" a partir da página 2
+        else if (Array.isArray(v)) v.forEach(item => out.push([key, item]));
+        else out.push([key, v]);
+    }
+    return out;
+}
+
+module.exports = { parse, apply, iterate, project, buildLinkHeader, QueryError, MAX_LIMIT };
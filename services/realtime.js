@@ -0,0 +1,254 @@
+/**
+ * K11 OMNI ELITE — REALTIME SYNC (WebSocket)
+ * ════════════════════════════════════════════
+ * Canal de sincronização do front-end em /api/data/ws.
+ * Autentica como a API REST (Authorization: Bearer ou, no browser,
+ * ?_token=<token de sessão com escopo "stream">).
+ *
+ * Cliente → servidor:
+ *   { type: "subscribe",   datasets: ["produtos"], cursor?: 120 }
+ *   { type: "unsubscribe", datasets: ["produtos"] }
+ *   { type: "ping" }
+ *
+ * Servidor → cliente:
+ *   { type: "hello",      user, cursor }
+ *   { type: "subscribed", datasets, cursor }
+ *   { type: "delta",  cursor, dataset, op: "create"|"update"|"delete", id, version, row?, actor, ts }
+ *   { type: "reset",  cursor, dataset, reason }   → recarregue o dataset inteiro
+ *   { type: "error",  error }
+ *
+ * O cursor é o seq da trilha de auditoria: o GET /api/data/:dataset
+ * devolve X-Sync-Cursor; um tablet que ficou offline assina com o
+ * último cursor visto e recebe as mudanças perdidas antes das novas.
+ */
+
+'use strict';
+
+const { WebSocketServer } = require('ws');
+const logger    = require('./logger');
+const datastore = require('./datastore');
+const { authenticate } = require('../middleware/auth');
+const { changeFor }    = require('./sync');
+
+const WS_PATH          = '/api/data/ws';
+const REPLAY_LIMIT     = 2000;      // mais que isso → reset em vez de replay
+const HEARTBEAT_MS     = 30_000;
+const REAUTH_MS        = 60_000;    // revalida a credencial (sessão expirada/revogada)
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const registry = datastore.registry;
+
+let _wss       = null;
+let _lastSeq   = 0;
+let _timers    = [];
+const _clients = new Set();   // { ws, user, auth, datasets: Set, cursor, alive }
+
+/**
+ * Liga o canal ao servidor HTTP (evento "upgrade").
+ */
+function attach(server) {
+    if (_wss) return _wss;
+
+    _wss     = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+    _lastSeq = datastore.cursor();
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== WS_PATH) return socket.destroy();
+
+        const auth   = _authRequest(req, url);
+        const result = authenticate(auth);
+        if (result.error) {
+            socket.write(`HTTP/1.1 ${result.status} ${result.status === 403 ? 'Forbidden' : 'Unauthorized'}\r\n\r\n`);
+            return socket.destroy();
+        }
+
+        _wss.handleUpgrade(req, socket, head, ws => _onConnection(ws, result.user, auth));
+    });
+
+    datastore.on('dataset:changed', _broadcast);
+
+    _timers = [
+        setInterval(_heartbeat, HEARTBEAT_MS),
+        setInterval(_reauthenticate, REAUTH_MS),
+    ];
+
+    logger.info('REALTIME', `WebSocket de sincronização em ${WS_PATH}`);
+    return _wss;
+}
+
+function close() {
+    _timers.forEach(clearInterval);
+    _timers = [];
+    datastore.off('dataset:changed', _broadcast);
+    _clients.forEach(c => c.ws.close(1001, 'Servidor encerrando'));
+    _clients.clear();
+    _wss?.close();
+    _wss = null;
+}
+
+function getStats() {
+    return {
+        clients: _clients.size,
+        cursor:  _lastSeq,
+    };
+}
+
+// ── CONEXÕES ──────────────────────────────────────────────────
+
+function _onConnection(ws, user, auth) {
+    const client = { ws, user, auth, datasets: new Set(), cursor: _lastSeq, alive: true };
+    _clients.add(client);
+    logger.info('REALTIME', `Cliente conectado: ${user.name} (total: ${_clients.size})`);
+
+    ws.on('pong', () => { client.alive = true; });
+    ws.on('message', raw => _onMessage(client, raw));
+    ws.on('close', () => {
+        _clients.delete(client);
+        logger.debug('REALTIME', `Cliente desconectado: ${user.name} (total: ${_clients.size})`);
+    });
+    ws.on('error', err => logger.warn('REALTIME', 'Erro no WebSocket', { user: user.name, error: err.message }));
+
+    _send(client, { type: 'hello', user: { name: user.name, role: user.role, stores: user.stores }, cursor: _lastSeq });
+}
+
+function _onMessage(client, raw) {
+    let msg;
+    try {
+        msg = JSON.parse(raw);
+    } catch {
+        return _send(client, { type: 'error', error: 'Mensagem deve ser JSON' });
+    }
+
+    switch (msg?.type) {
+        case 'subscribe':   return _subscribe(client, msg);
+        case 'unsubscribe': return _unsubscribe(client, msg);
+        case 'ping':        return _send(client, { type: 'pong', cursor: _lastSeq });
+        default:            return _send(client, { type: 'error', error: `Tipo desconhecido: ${msg?.type}` });
+    }
+}
+
+/**
+ * Assina datasets. Com cursor, reenvia as mudanças posteriores a ele
+ * (ou "reset" se ficou para trás demais) antes de seguir ao vivo.
+ */
+function _subscribe(client, { datasets, cursor }) {
+    const names = _datasetList(client, datasets);
+    if (!names) return;
+    if (cursor !== undefined && (!Number.isInteger(cursor) || cursor < 0)) {
+        return _send(client, { type: 'error', error: '"cursor" deve ser um inteiro >= 0 (X-Sync-Cursor)' });
+    }
+
+    names.forEach(n => client.datasets.add(n));
+
+    if (cursor !== undefined && cursor < _lastSeq) {
+        const missed = datastore.changesSince(cursor, { datasets: names, limit: REPLAY_LIMIT + 1 })
+            .filter(e => e.seq <= _lastSeq);   // o resto chega pelo broadcast
+
+        if (missed.length > REPLAY_LIMIT) {
+            names.forEach(dataset => _send(client, { type: 'reset', cursor: _lastSeq, dataset, reason: 'cursor-too-old' }));
+        } else {
+            missed.map(entry => changeFor(client.user, entry)).filter(Boolean).forEach(msg => _send(client, msg));
+        }
+    }
+
+    client.cursor = _lastSeq;
+    _send(client, { type: 'subscribed', datasets: [...client.datasets], cursor: _lastSeq });
+}
+
+function _unsubscribe(client, { datasets }) {
+    const names = _datasetList(client, datasets, { checkAccess: false });
+    if (!names) return;
+    names.forEach(n => client.datasets.delete(n));
+    _send(client, { type: 'subscribed', datasets: [...client.datasets], cursor: _lastSeq });
+}
+
+/** Valida a lista pedida; responde erro e retorna null se inválida */
+function _datasetList(client, datasets, { checkAccess = true } = {}) {
+    if (!Array.isArray(datasets) || datasets.length === 0) {
+        _send(client, { type: 'error', error: '"datasets" deve ser um array não vazio' });
+        return null;
+    }
+    const unknown = datasets.filter(d => !registry.get(d));
+    if (unknown.length) {
+        _send(client, { type: 'error', error: `Datasets não registrados: ${unknown.join(', ')}` });
+        return null;
+    }
+    const denied = checkAccess ? datasets.filter(d => !registry.canRead(client.user, d)) : [];
+    if (denied.length) {
+        _send(client, { type: 'error', error: `Acesso negado aos datasets: ${denied.join(', ')}` });
+        return null;
+    }
+    return datasets.map(d => registry.resolve(d));
+}
+
+// ── DISTRIBUIÇÃO ──────────────────────────────────────────────
+
+/**
+ * A cada dataset:changed, lê da trilha tudo o que veio depois do
+ * último seq distribuído — assim nenhuma mudança fica de fora, nem
+ * as de escritas em lote.
+ */
+function _broadcast() {
+    if (_clients.size === 0) {
+        _lastSeq = datastore.cursor();
+        return;
+    }
+
+    let entries;
+    do {
+        entries = datastore.changesSince(_lastSeq, { limit: REPLAY_LIMIT });
+        for (const entry of entries) {
+            _clients.forEach(client => {
+                if (!client.datasets.has(entry.dataset) || client.cursor >= entry.seq) return;
+                if (!registry.canRead(client.user, entry.dataset)) return;
+                const msg = changeFor(client.user, entry);   // escopo por linha (tarefas.loja)
+                if (msg) _send(client, msg);
+            });
+            _lastSeq = entry.seq;
+        }
+    } while (entries.length === REPLAY_LIMIT);
+
+    _clients.forEach(client => { client.cursor = Math.max(client.cursor, _lastSeq); });
+}
+
+function _send(client, msg) {
+    if (client.ws.readyState !== client.ws.OPEN) return;
+    try { client.ws.send(JSON.stringify(msg)); } catch (_) { _clients.delete(client); }
+}
+
+// ── MANUTENÇÃO ────────────────────────────────────────────────
+
+function _heartbeat() {
+    _clients.forEach(client => {
+        if (!client.alive) return client.ws.terminate();
+        client.alive = false;
+        client.ws.ping();
+    });
+}
+
+/** Sessão expirada/revogada ou chave revogada derruba a conexão */
+function _reauthenticate() {
+    _clients.forEach(client => {
+        const result = authenticate(client.auth);
+        if (result.error) {
+            _send(client, { type: 'error', error: result.error });
+            client.ws.close(4401, 'Credencial expirada ou revogada');
+            return;
+        }
+        client.user = result.user;
+    });
+}
+
+/** Requisição de upgrade no formato que authenticate() espera */
+function _authRequest(req, url) {
+    return {
+        headers: req.headers,
+        path:    url.pathname,
+        query:   Object.fromEntries(url.searchParams),
+        method:  'GET',
+        ip:      req.socket.remoteAddress,
+    };
+}
+
+module.exports = { WS_PATH, attach, close, getStats };
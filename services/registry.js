@@ -0,0 +1,337 @@
+/**
+ * K11 OMNI ELITE — DATASET REGISTRY
+ * ═══════════════════════════════════
+ * Fonte única dos datasets que o servidor conhece. Cada dataset
+ * declara:
+ *   file        → JSON em /data importado na primeira leitura
+ *   idField     → campo que identifica a linha (padrão "id")
+ *   schema      → JSON Schema em /schemas (null = sem validação)
+ *   store       → loja dona ("mesquita"…), "*" = consolidado, null = sem escopo
+ *   storeField  → campo da linha com a loja dona (escopo por linha, ex.: tarefas.loja)
+ *   cacheTtlMs  → TTL do cache em memória
+ *   permissions → { read, write } — papel mínimo para ler / escrever
+ *   syncPolicy  → resolução de conflitos do POST /api/sync
+ *   kind        → tipo de conteúdo ("pdv" = vendas) — usado pelas análises
+ *   exportColumns → ordem das colunas na exportação CSV/XLSX (null = schema)
+ *
+ * Declarados em config/datasets.json (ou K11_DATASETS_CONFIG) e,
+ * em tempo de execução, por um admin (POST /api/data/registry) —
+ * estes ficam na tabela dataset_registry do SQLite.
+ * Nome fora do registro é rejeitado em todo o sistema.
+ */
+
+'use strict';
+
+const fs      = require('fs');
+const path    = require('path');
+const logger  = require('./logger');
+const schemas = require('./schemas');
+const stores  = require('./stores');
+const { ROLES, hasRole } = require('./roles');
+
+const CONFIG_PATH = process.env.K11_DATASETS_CONFIG || path.join(__dirname, '..', 'config', 'datasets.json');
+
+// Segmentos de /api/data que não podem virar nome de dataset
+const RESERVED = ['all', 'files', 'cache', 'registry', 'events', 'ws'];
+
+// Políticas de conflito da sincronização offline (services/sync.js)
+const SYNC_POLICIES = ['server-wins', 'client-wins', 'last-write-wins', 'merge'];
+
+const BUILTIN_DEFAULTS = {
+    idField:     'id',
+    cacheTtlMs:  30_000,
+    permissions: { read: 'viewer', write: 'operador' },
+    syncPolicy:  'server-wins',
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS dataset_registry (
+        name       TEXT PRIMARY KEY,
+        definition TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+`;
+
+class RegistryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'RegistryError';
+        this.status = status;
+    }
+}
+
+/**
+ * Cria o registro sobre a conexão do DataStore.
+ */
+function createRegistry(db) {
+    db.exec(SCHEMA);
+
+    const stmt = {
+        all:    db.prepare('SELECT * FROM dataset_registry ORDER BY name'),
+        insert: db.prepare('INSERT INTO dataset_registry (name, definition, created_by, created_at, updated_at) VALUES (@name, @definition, @createdBy, @now, @now)'),
+        update: db.prepare('UPDATE dataset_registry SET definition = @definition, updated_at = @now WHERE name = @name'),
+        remove: db.prepare('DELETE FROM dataset_registry WHERE name = ?'),
+    };
+
+    const { defaults, datasets: declared } = _loadConfig();
+    const _defs = new Map();   // nome → definição completa
+
+    for (const [name, def] of Object.entries(declared)) {
+        try {
+            _defs.set(name, _normalize(name, def, defaults, 'config'));
+        } catch (err) {
+            logger.error('REGISTRY', `Dataset inválido em config: ${name}`, { error: err.message });
+        }
+    }
+    for (const row of stmt.all.all()) {
+        if (_defs.has(row.name)) {
+            logger.warn('REGISTRY', `Dataset ${row.name} do banco ignorado — já declarado em config`);
+            continue;
+        }
+        try {
+            _defs.set(row.name, _normalize(row.name, JSON.parse(row.definition), defaults, 'api'));
+        } catch (err) {
+            logger.error('REGISTRY', `Dataset inválido no banco: ${row.name}`, { error: err.message });
+        }
+    }
+
+    logger.info('REGISTRY', 'Datasets registrados', { datasets: [..._defs.keys()] });
+
+    // ── CONSULTA ──────────────────────────────────────────────
+
+    /** Definição do dataset (aceita "x" ou o arquivo "x.json"), ou null */
+    function get(nameOrFile) {
+        const name = resolve(nameOrFile);
+        return name ? _defs.get(name) : null;
+    }
+
+    /** Nome canônico do dataset, ou null se não registrado */
+    function resolve(nameOrFile) {
+        const key = String(nameOrFile ?? '');
+        if (_defs.has(key)) return key;
+        for (const def of _defs.values()) {
+            if (def.file === key) return def.name;
+        }
+        return null;
+    }
+
+    function names() {
+        return [..._defs.keys()];
+    }
+
+    function list() {
+        return [..._defs.values()];
+    }
+
+    /** Datasets de um tipo (ex.: "pdv") */
+    function byKind(kind) {
+        return list().filter(def => def.kind === kind);
+    }
+
+    // ── PERMISSÕES ────────────────────────────────────────────
+
+    /** true se o dataset está nas lojas da identidade */
+    function canAccess(user, name) {
+        const def = get(name);
+        return !!def && stores.canAccessStore(user, def.store);
+    }
+
+    function canRead(user, name) {
+        const def = get(name);
+        return !!def && stores.canAccessStore(user, def.store) && hasRole(user?.role, def.permissions.read);
+    }
+
+    function canWrite(user, name) {
+        const def = get(name);
+        return !!def && stores.canAccessStore(user, def.store) && hasRole(user?.role, def.permissions.write);
+    }
+
+    /** true se a linha está nas lojas da identidade (storeField vazio na linha = rede toda) */
+    function canAccessRow(user, name, row) {
+        const def = get(name);
+        return !!def && (!def.storeField || stores.canAccessStore(user, row?.[def.storeField] ?? null));
+    }
+
+    /** true se o dataset tem escopo por linha e a identidade não atua em todas as lojas */
+    function isRowScoped(user, name) {
+        const def = get(name);
+        return !!def?.storeField && !stores.hasAllStores(user?.stores);
+    }
+
+    // ── ADMIN ─────────────────────────────────────────────────
+
+    function register(name, definition, { actor = null } = {}) {
+        _assertName(name);
+        if (_defs.has(name)) throw new RegistryError(`Dataset "${name}" já registrado`, 409);
+
+        const def = _normalize(name, definition, defaults, 'api');
+        if (resolve(def.file)) throw new RegistryError(`Arquivo "${def.file}" já pertence a outro dataset`, 409);
+
+        stmt.insert.run({ name, definition: JSON.stringify(_stored(def)), createdBy: actor, now: new Date().toISOString() });
+        _defs.set(name, def);
+        logger.info('REGISTRY', `Dataset registrado: ${name}`, { by: actor, store: def.store, schema: def.schema });
+        return def;
+    }
+
+    function update(name, patch, { actor = null } = {}) {
+        const current = _editable(name);
+        const def = _normalize(name, {
+            ..._stored(current),
+            ...patch,
+            permissions: { ...current.permissions, ...(patch.permissions || {}) },
+        }, defaults, 'api');
+        const owner = resolve(def.file);
+        if (owner && owner !== name) throw new RegistryError(`Arquivo "${def.file}" já pertence a outro dataset`, 409);
+
+        stmt.update.run({ name, definition: JSON.stringify(_stored(def)), now: new Date().toISOString() });
+        _defs.set(name, def);
+        logger.info('REGISTRY', `Dataset alterado: ${name}`, { by: actor, fields: Object.keys(patch) });
+        return def;
+    }
+
+    /** Remove o registro — as linhas já gravadas permanecem no banco */
+    function remove(name, { actor = null } = {}) {
+        _editable(name);
+        stmt.remove.run(name);
+        _defs.delete(name);
+        logger.warn('REGISTRY', `Dataset removido do registro: ${name}`, { by: actor });
+        return true;
+    }
+
+    function _editable(name) {
+        const def = _defs.get(name);
+        if (!def) throw new RegistryError(`Dataset "${name}" não registrado`, 404);
+        if (def.source === 'config') {
+            throw new RegistryError(`Dataset "${name}" é declarado em config — altere ${path.basename(CONFIG_PATH)}`, 409);
+        }
+        return def;
+    }
+
+    return {
+        RESERVED,
+        get,
+        resolve,
+        names,
+        list,
+        byKind,
+        canAccess,
+        canRead,
+        canWrite,
+        canAccessRow,
+        isRowScoped,
+        register,
+        update,
+        remove,
+    };
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+function _loadConfig() {
+    if (!fs.existsSync(CONFIG_PATH)) {
+        logger.warn('REGISTRY', `Config de datasets não encontrada: ${CONFIG_PATH}`);
+        return { defaults: BUILTIN_DEFAULTS, datasets: {} };
+    }
+    const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    return {
+        defaults: {
+            ...BUILTIN_DEFAULTS,
+            ...config.defaults,
+            permissions: { ...BUILTIN_DEFAULTS.permissions, ...config.defaults?.permissions },
+        },
+        datasets: config.datasets || {},
+    };
+}
+
+function _assertName(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z][\w-]{1,59}$/.test(name)) {
+        throw new RegistryError('"name" deve ter 2-60 caracteres, começando por letra (letras, números, _ -)');
+    }
+    if (RESERVED.includes(name)) throw new RegistryError(`"${name}" é reservado — escolha outro nome`);
+}
+
+/** Aplica os padrões e valida a definição — lança RegistryError */
+function _normalize(name, def, defaults, source) {
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+        throw new RegistryError('Definição do dataset deve ser um objeto');
+    }
+
+    const file = def.file ?? `${name}.json`;
+    if (typeof file !== 'string' || !/^[\w.-]+\.json$/.test(file)) {
+        throw new RegistryError('"file" deve ser um nome de arquivo .json em /data (sem caminho)');
+    }
+
+    const idField = def.idField ?? defaults.idField;
+    if (typeof idField !== 'string' || !/^[A-Za-z_][\w]*$/.test(idField)) {
+        throw new RegistryError('"idField" deve ser um nome de campo simples');
+    }
+
+    const schema = def.schema === undefined ? (schemas.get(name) ? name : null) : def.schema;
+    if (schema !== null && !schemas.get(schema)) {
+        throw new RegistryError(`"schema" desconhecido: ${schema} — disponíveis: ${schemas.list().join(', ')}`);
+    }
+
+    const store = def.store ?? null;
+    if (store !== null && store !== stores.ALL && !stores.STORES.includes(store)) {
+        throw new RegistryError(`"store" deve ser uma de: ${stores.STORES.join(', ')}, "${stores.ALL}" ou null`);
+    }
+
+    const storeField = def.storeField ?? null;
+    if (storeField !== null && (typeof storeField !== 'string' || !/^[A-Za-z_][\w]*$/.test(storeField))) {
+        throw new RegistryError('"storeField" deve ser um nome de campo simples ou null');
+    }
+
+    const cacheTtlMs = def.cacheTtlMs ?? defaults.cacheTtlMs;
+    if (!Number.isInteger(cacheTtlMs) || cacheTtlMs < 0) {
+        throw new RegistryError('"cacheTtlMs" deve ser um inteiro >= 0');
+    }
+
+    const permissions = { ...defaults.permissions, ...(def.permissions || {}) };
+    for (const op of ['read', 'write']) {
+        if (!ROLES.includes(permissions[op])) {
+            throw new RegistryError(`"permissions.${op}" deve ser um de: ${ROLES.join(', ')}`);
+        }
+    }
+
+    const syncPolicy = def.syncPolicy ?? defaults.syncPolicy;
+    if (!SYNC_POLICIES.includes(syncPolicy)) {
+        throw new RegistryError(`"syncPolicy" deve ser uma de: ${SYNC_POLICIES.join(', ')}`);
+    }
+
+    const kind = def.kind ?? null;
+    if (kind !== null && (typeof kind !== 'string' || !/^[a-z][\w-]{0,39}$/.test(kind))) {
+        throw new RegistryError('"kind" deve ser um identificador simples (ex.: "pdv") ou null');
+    }
+
+    const exportColumns = def.exportColumns ?? null;
+    if (exportColumns !== null && (!Array.isArray(exportColumns) || !exportColumns.length
+        || exportColumns.some(c => typeof c !== 'string' || !c.trim()) || new Set(exportColumns).size !== exportColumns.length)) {
+        throw new RegistryError('"exportColumns" deve ser uma lista de campos sem repetição ou null');
+    }
+
+    return {
+        name,
+        file,
+        idField,
+        schema,
+        store,
+        storeField,
+        cacheTtlMs,
+        permissions,
+        syncPolicy,
+        kind,
+        exportColumns,
+        description: def.description ?? null,
+        source,
+    };
+}
+
+/** O que vai para o banco: a definição sem os campos derivados */
+function _stored(def) {
+    const { name: _name, source: _source, ...rest } = def;
+    return rest;
+}
+
+module.exports = { createRegistry, RegistryError, RESERVED, SYNC_POLICIES };
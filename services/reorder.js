@@ -0,0 +1,202 @@
+/**
+ * K11 OMNI ELITE — REORDER (SUGESTÃO DE COMPRA)
+ * ═══════════════════════════════════════════════
+ * Para cada produto em cada loja:
+ *
+ *   vendaMedia    = unidades vendidas na janela / dias da janela
+ *   cobertura     = saldo / vendaMedia                 (dias até zerar)
+ *   seguranca     = vendaMedia × safetyDays
+ *   pontoPedido   = vendaMedia × prazo + seguranca     (mín.: estoqueMinimo)
+ *   alvo          = vendaMedia × (prazo + coverageDays) + seguranca
+ *   posicao       = saldo + emPedido                   (pedidos de compra enviados)
+ *   sugestao      = alvo − posicao, arredondado para cima (posicao ≤ pontoPedido)
+ *
+ * Vendas: PDV da loja (datasets kind "pdv"); loja sem venda de PDV na
+ * janela usa as saídas de movimento que não são transferência.
+ * Saldo: razão de estoque (services/ledger.js). Prazo: prazoEntregaDias
+ * do fornecedor do produto (ou leadTimeDays).
+ *
+ * As sugestões saem agrupadas por fornecedor — um rascunho de pedido
+ * de compra por fornecedor, exportável em CSV.
+ */
+
+'use strict';
+
+const datastore = require('./datastore');
+const ledger    = require('./ledger');
+const pdv       = require('./pdv');
+const purchases = require('./purchases');
+const stores    = require('./stores');
+
+const DEFAULTS = {
+    days:         30,   // janela de vendas
+    leadTimeDays: 7,    // prazo quando o fornecedor não informa
+    safetyDays:   3,
+    coverageDays: 14,   // cobertura alvo depois da chegada
+};
+
+const NO_SUPPLIER = 'sem-fornecedor';
+const DAY_MS      = 86_400_000;
+
+const CSV_COLUMNS = [
+    'fornecedorId', 'fornecedor', 'loja', 'produtoId', 'produto', 'saldo', 'emPedido', 'vendaMedia',
+    'cobertura', 'pontoPedido', 'sugestao', 'custo', 'total',
+];
+
+/**
+ * Sugestões para a identidade. Opções: days, leadTimeDays, safetyDays,
+ * coverageDays, loja, fornecedorId, all (inclui quem não precisa repor).
+ */
+async function suggest(user, options = {}) {
+    const opts  = { ...DEFAULTS, ...options };
+    const until = new Date();
+    const from  = new Date(until.getTime() - opts.days * DAY_MS).toISOString();
+    const lojas = stores.STORES.filter(s => stores.canAccessStore(user, s) && (!opts.loja || s === opts.loja));
+
+    const [produtos, fornecedores, balances] = await Promise.all([
+        datastore.get('produtos'),
+        datastore.get('fornecedor'),
+        ledger.balances(user),
+    ]);
+    const { idField: produtoKey }    = datastore.registry.get('produtos');
+    const { idField: fornecedorKey } = datastore.registry.get('fornecedor');
+    const suppliers = new Map(fornecedores.map(f => [String(f[fornecedorKey]), f]));
+
+    const sold = await _unitsSold(user, lojas, from);
+    const onHand = new Map(balances.map(b => [`${b.produtoId}|${b.loja}`, b.quantidade]));
+    const onOrder = purchases.onOrder();
+
+    const lines = [];
+    for (const produto of produtos) {
+        if (produto.ativo === false) continue;
+        const produtoId  = String(produto[produtoKey]);
+        const supplierId = produto.fornecedorId != null ? String(produto.fornecedorId) : null;
+        if (opts.fornecedorId && supplierId !== String(opts.fornecedorId)) continue;
+
+        const supplier = supplierId ? suppliers.get(supplierId) : null;
+        const leadTime = supplier?.prazoEntregaDias ?? opts.leadTimeDays;
+
+        for (const loja of lojas) {
+            if (produto.loja && produto.loja !== loja) continue;
+
+            const key        = `${produtoId}|${loja}`;
+            const saldo      = onHand.get(key) ?? 0;
+            const emPedido   = onOrder.get(key) ?? 0;
+            const posicao    = saldo + emPedido;
+            const vendaMedia = (sold.get(key) ?? 0) / opts.days;
+            const seguranca  = vendaMedia * opts.safetyDays;
+            const pontoPedido = Math.max(vendaMedia * leadTime + seguranca, produto.estoqueMinimo ?? 0);
+            const alvo       = Math.max(vendaMedia * (leadTime + opts.coverageDays) + seguranca, pontoPedido);
+            const repor      = (vendaMedia > 0 || pontoPedido > 0) && posicao <= pontoPedido;
+            const sugestao   = repor ? Math.max(Math.ceil(alvo - posicao), 0) : 0;
+
+            if (!opts.all && sugestao === 0) continue;
+            lines.push({
+                produtoId,
+                produto:      produto.nome ?? null,
+                loja,
+                fornecedorId: supplierId ?? NO_SUPPLIER,
+                saldo:        _round(saldo),
+                emPedido:     _round(emPedido),
+                vendaMedia:   _round(vendaMedia),
+                cobertura:    vendaMedia > 0 ? _round(saldo / vendaMedia) : null,
+                prazo:        leadTime,
+                pontoPedido:  _round(pontoPedido),
+                sugestao,
+                custo:        produto.custo ?? null,
+                total:        produto.custo != null ? _round(produto.custo * sugestao) : null,
+            });
+        }
+    }
+
+    const groups = _bySupplier(lines, suppliers);
+    return {
+        params:  { ...opts, from, until: until.toISOString() },
+        summary: {
+            fornecedores: groups.length,
+            itens:        lines.filter(l => l.sugestao > 0).length,
+            unidades:     lines.reduce((sum, l) => sum + l.sugestao, 0),
+            valor:        _round(groups.reduce((sum, g) => sum + g.total, 0)),
+        },
+        suppliers: groups,
+    };
+}
+
+/** Rascunho em CSV (uma linha por produto/loja, agrupado por fornecedor) */
+function toCsv(result) {
+    const rows = result.suppliers.flatMap(g => g.lines.map(l => ({ ...l, fornecedor: g.fornecedor })));
+    const escape = v => {
+        if (v === null || v === undefined) return '';
+        const s = String(v);
+        return /[",;\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [CSV_COLUMNS.join(','), ...rows.map(r => CSV_COLUMNS.map(c => escape(r[c])).join(','))].join('\n') + '\n';
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/**
+ * Unidades vendidas por produto|loja desde "from".
+ * PDV quando a loja tem venda na janela; senão, saídas de movimento.
+ */
+async function _unitsSold(user, lojas, from) {
+    const sold    = new Map();
+    const withPdv = new Set();
+    const add = (produtoId, loja, qty) => {
+        const key = `${produtoId}|${loja}`;
+        sold.set(key, (sold.get(key) ?? 0) + qty);
+    };
+
+    for (const def of pdv.storeDatasets(user)) {
+        for (const sale of await pdv.sales(def.name, { from })) {
+            if (!sale.produtoId || !sale.quantidade || !lojas.includes(sale.loja)) continue;
+            add(sale.produtoId, sale.loja, sale.quantidade);
+            withPdv.add(sale.loja);
+        }
+    }
+
+    if (datastore.registry.canRead(user, 'movimento')) {
+        for (const mov of await datastore.get('movimento')) {
+            if (mov.tipo !== 'saida' || withPdv.has(mov.loja) || !lojas.includes(mov.loja)) continue;
+            if (String(mov.referencia ?? '').startsWith('transferencia:')) continue;
+            if (String(mov.data ?? mov.createdAt ?? '') < from) continue;
+            add(String(mov.produtoId), mov.loja, Math.abs(mov.quantidade || 0));
+        }
+    }
+    return sold;
+}
+
+function _bySupplier(lines, suppliers) {
+    const groups = new Map();
+    for (const line of lines) {
+        if (!groups.has(line.fornecedorId)) {
+            const supplier = suppliers.get(line.fornecedorId);
+            groups.set(line.fornecedorId, {
+                fornecedorId: line.fornecedorId,
+                fornecedor:   supplier?.nome ?? (line.fornecedorId === NO_SUPPLIER ? null : `(fornecedor ${line.fornecedorId} não cadastrado)`),
+                prazoEntregaDias: supplier?.prazoEntregaDias ?? null,
+                pedidoMinimo: supplier?.pedidoMinimo ?? null,
+                lines:        [],
+            });
+        }
+        groups.get(line.fornecedorId).lines.push(line);
+    }
+
+    return [...groups.values()].map(g => {
+        const total = _round(g.lines.reduce((sum, l) => sum + (l.total ?? 0), 0));
+        return {
+            ...g,
+            itens:          g.lines.filter(l => l.sugestao > 0).length,
+            unidades:       g.lines.reduce((sum, l) => sum + l.sugestao, 0),
+            total,
+            abaixoDoMinimo: g.pedidoMinimo != null && total > 0 && total < g.pedidoMinimo,
+            lines:          g.lines.sort((a, b) => (a.cobertura ?? Infinity) - (b.cobertura ?? Infinity)),
+        };
+    }).sort((a, b) => b.total - a.total);
+}
+
+function _round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+module.exports = { DEFAULTS, NO_SUPPLIER, suggest, toCsv };
@@ -0,0 +1,18 @@
+/**
+ * K11 OMNI ELITE — ROLES (PAPÉIS)
+ * ═════════════════════════════════
+ * Hierarquia de papéis, do menor para o maior:
+ *   viewer → operador → supervisor → admin
+ * Cada papel pode tudo o que os anteriores podem.
+ */
+
+'use strict';
+
+const ROLES = ['viewer', 'operador', 'supervisor', 'admin'];
+
+/** true se "role" tem pelo menos o nível de "required" */
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+module.exports = { ROLES, hasRole };
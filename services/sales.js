@@ -0,0 +1,264 @@
+/**
+ * K11 OMNI ELITE — SALES (ANÁLISE DE VENDAS)
+ * ════════════════════════════════════════════
+ * Análises sobre as vendas normalizadas de PDV (services/pdv.js).
+ *
+ * compare() junta o período atual (pdv) e o anterior (pdvAnterior) por
+ * produto × loja: quantidade e valor de cada lado, delta absoluto e
+ * percentual, maiores altas/quedas e o que só aparece num dos períodos.
+ *
+ * aggregate() consolida os PDVs de cada loja (pdvmesquita, pdvbenfica...)
+ * agrupando por qualquer combinação de DIMENSIONS — soma, médias, ranking
+ * e participação de cada grupo e de cada loja no total.
+ *
+ * Resultados ficam em cache pela revisão dos datasets usados — qualquer
+ * escrita ou recarga de arquivo muda a revisão e o próximo pedido recalcula.
+ */
+
+'use strict';
+
+const datastore = require('./datastore');
+const pdv       = require('./pdv');
+
+const CURRENT   = 'pdv';
+const PREVIOUS  = 'pdvAnterior';
+const METRICS   = ['valor', 'quantidade'];
+const CACHE_MAX = 50;
+const NO_STORE  = '-';
+
+// dimensão → valor da venda normalizada (+ catálogo)
+const DIMENSIONS = {
+    loja:      (sale)       => sale.loja ?? null,
+    produto:   (sale)       => sale.produtoId,
+    categoria: (sale, info) => sale.categoria ?? info?.categoria ?? null,
+    dia:       (sale)       => sale.data ? sale.data.slice(0, 10) : null,
+    mes:       (sale)       => sale.data ? sale.data.slice(0, 7) : null,
+};
+const SORT_METRICS = ['valor', 'quantidade', 'vendas'];
+
+// chave: análise + revisões + parâmetros → resultado (ordem de uso: LRU)
+const _cache = new Map();
+
+/**
+ * Comparação atual × anterior. Opções: loja, categoria, limit (tamanho
+ * dos rankings), by ("valor" | "quantidade" — métrica dos rankings).
+ */
+async function compare({ loja = null, categoria = null, limit = 10, by = 'valor' } = {}) {
+    return _cached('compare', [CURRENT, PREVIOUS, 'produtos'], { loja, categoria, limit, by }, async () => {
+        const [current, previous, produtos] = await Promise.all([
+            pdv.sales(CURRENT),
+            pdv.sales(PREVIOUS),
+            datastore.get('produtos'),
+        ]);
+        return _compare(current, previous, produtos, { loja, categoria, limit, by });
+    });
+}
+
+function _compare(current, previous, produtos, { loja, categoria, limit, by }) {
+    const catalog = _catalog(produtos);
+    const rows    = new Map();
+    const add = (sale, side) => {
+        if (!sale.produtoId) return;
+        const info = catalog.get(sale.produtoId);
+        const cat  = sale.categoria ?? info?.categoria ?? null;
+        if (loja && sale.loja !== loja) return;
+        if (categoria && String(cat ?? '').toLowerCase() !== String(categoria).toLowerCase()) return;
+
+        const rowKey = `${sale.produtoId}|${sale.loja ?? NO_STORE}`;
+        if (!rows.has(rowKey)) {
+            rows.set(rowKey, {
+                produtoId: sale.produtoId,
+                produto:   info?.nome ?? null,
+                loja:      sale.loja,
+                categoria: cat,
+                atual:     { quantidade: 0, valor: 0, vendas: 0 },
+                anterior:  { quantidade: 0, valor: 0, vendas: 0 },
+            });
+        }
+        const totals = rows.get(rowKey)[side];
+        totals.quantidade += sale.quantidade ?? 0;
+        totals.valor      += sale.valor ?? 0;
+        totals.vendas     += 1;
+    };
+    current.forEach(s => add(s, 'atual'));
+    previous.forEach(s => add(s, 'anterior'));
+
+    const items = [...rows.values()].map(r => ({
+        ...r,
+        atual:    _roundAll(r.atual),
+        anterior: _roundAll(r.anterior),
+        delta:    _delta(r.atual, r.anterior),
+        deltaPct: _deltaPct(r.atual, r.anterior),
+    }));
+
+    const both     = items.filter(i => i.atual.vendas && i.anterior.vendas);
+    const byDelta  = [...both].sort((a, b) => b.delta[by] - a.delta[by]);
+    const atual    = _sum(items.map(i => i.atual));
+    const anterior = _sum(items.map(i => i.anterior));
+
+    return {
+        periods:  { atual: CURRENT, anterior: PREVIOUS },
+        filters:  { loja, categoria, limit, by },
+        summary:  {
+            atual,
+            anterior,
+            delta:        _delta(atual, anterior),
+            deltaPct:     _deltaPct(atual, anterior),
+            produtos:     items.length,
+            emAmbos:      both.length,
+            soAtual:      items.filter(i => !i.anterior.vendas).length,
+            soAnterior:   items.filter(i => !i.atual.vendas).length,
+        },
+        topGainers:   byDelta.filter(i => i.delta[by] > 0).slice(0, limit),
+        topLosers:    byDelta.filter(i => i.delta[by] < 0).reverse().slice(0, limit),
+        onlyCurrent:  items.filter(i => !i.anterior.vendas).sort((a, b) => b.atual[by] - a.atual[by]),
+        onlyPrevious: items.filter(i => !i.atual.vendas).sort((a, b) => b.anterior[by] - a.anterior[by]),
+        items:        items.sort((a, b) => Math.abs(b.delta[by]) - Math.abs(a.delta[by])),
+        generatedAt:  new Date().toISOString(),
+    };
+}
+
+/**
+ * Vendas consolidadas das lojas visíveis à identidade.
+ * Opções: groupBy (lista de DIMENSIONS), from/to (ISO), loja, categoria,
+ * sort (valor | quantidade | vendas), limit, offset.
+ *
+ * Cada grupo: quantidade, valor, vendas, ticketMedio (valor ÷ vendas),
+ * mediaDiaria (valor ÷ dias com venda), rank e participacao no total.
+ */
+async function aggregate(user, { groupBy = ['loja'], from = null, to = null, loja = null, categoria = null,
+                                 sort = 'valor', limit = 100, offset = 0 } = {}) {
+    const defs   = pdv.storeDatasets(user).filter(def => !loja || def.store === loja);
+    const params = { groupBy, from, to, loja, categoria, sort, limit, offset };
+    return _cached('aggregate', [...defs.map(d => d.name), 'produtos'], params, async () => {
+        const [produtos, ...perStore] = await Promise.all([
+            datastore.get('produtos'),
+            ...defs.map(def => pdv.sales(def.name, { from, to })),
+        ]);
+        return _aggregate(perStore.flat(), produtos, params);
+    });
+}
+
+function _aggregate(list, produtos, { groupBy, loja, categoria, sort, limit, offset }) {
+    const catalog = _catalog(produtos);
+    const groups  = new Map();
+    const byStore = new Map();
+    const total   = { quantidade: 0, valor: 0, vendas: 0 };
+    const add = (map, key, build, sale) => {
+        if (!map.has(key)) map.set(key, { ...build(), quantidade: 0, valor: 0, vendas: 0, dias: new Set() });
+        const g = map.get(key);
+        g.quantidade += sale.quantidade ?? 0;
+        g.valor      += sale.valor ?? 0;
+        g.vendas     += 1;
+        if (sale.data) g.dias.add(sale.data.slice(0, 10));
+    };
+
+    for (const sale of list) {
+        const info = sale.produtoId ? catalog.get(sale.produtoId) : null;
+        if (loja && sale.loja !== loja) continue;
+        if (categoria && String(DIMENSIONS.categoria(sale, info) ?? '').toLowerCase() !== String(categoria).toLowerCase()) continue;
+
+        const values = groupBy.map(d => DIMENSIONS[d](sale, info));
+        // produto sai como produtoId + nome do catálogo, como em compare()
+        const keys = Object.fromEntries(groupBy.flatMap((d, i) => d === 'produto'
+            ? [['produtoId', values[i]], ['produto', info?.nome ?? null]]
+            : [[d, values[i]]]));
+        add(groups, JSON.stringify(values), () => keys, sale);
+        add(byStore, sale.loja ?? NO_STORE, () => ({ loja: sale.loja ?? null }), sale);
+        total.quantidade += sale.quantidade ?? 0;
+        total.valor      += sale.valor ?? 0;
+        total.vendas     += 1;
+    }
+
+    const share = (g) => total[sort] ? _round(g[sort] / total[sort] * 100) : null;
+    const finish = (g) => {
+        const { dias, ...rest } = g;
+        return {
+            ...rest,
+            quantidade:  _round(g.quantidade),
+            valor:       _round(g.valor),
+            ticketMedio: g.vendas ? _round(g.valor / g.vendas) : null,
+            mediaDiaria: dias.size ? _round(g.valor / dias.size) : null,
+            participacao: share(g),
+        };
+    };
+    const rows = [...groups.values()]
+        .sort((a, b) => b[sort] - a[sort])
+        .map((g, i) => ({ rank: i + 1, ...finish(g) }));
+
+    return {
+        groupBy,
+        filters: { loja, categoria, sort },
+        total:   { ..._roundAll(total), ticketMedio: total.vendas ? _round(total.valor / total.vendas) : null },
+        stores:  [...byStore.values()].sort((a, b) => b[sort] - a[sort]).map(finish),
+        groups:  rows.length,
+        offset,
+        limit,
+        rows:    rows.slice(offset, offset + limit),
+        generatedAt: new Date().toISOString(),
+    };
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/**
+ * Resultado em cache pela revisão dos datasets usados. A chave sai antes
+ * de ler as linhas — acerto não carrega nada; compute() só roda na falta.
+ * Se a revisão muda durante a leitura (importação do JSON na primeira
+ * leitura, escrita concorrente) o resultado não é guardado. Até CACHE_MAX
+ * entradas, descartando a usada há mais tempo — revisões velhas saem sozinhas.
+ */
+async function _cached(kind, datasets, params, compute) {
+    const key = _cacheKey(kind, datasets, params);
+    if (_cache.has(key)) {
+        const hit = _cache.get(key);
+        _cache.delete(key);
+        _cache.set(key, hit);
+        return { ...hit, cached: true };
+    }
+
+    const result = await compute();
+    if (_cacheKey(kind, datasets, params) === key) {
+        _cache.set(key, result);
+        if (_cache.size > CACHE_MAX) _cache.delete(_cache.keys().next().value);
+    }
+    return { ...result, cached: false };
+}
+
+function _cacheKey(kind, datasets, params) {
+    const revs = datasets.map(d => `${d}@${datastore.revision(d)}`).join(',');
+    return JSON.stringify([kind, revs, params]);
+}
+
+/** produtoId → { nome, categoria } do catálogo */
+function _catalog(produtos) {
+    const { idField } = datastore.registry.get('produtos');
+    return new Map(produtos.map(p => [String(p[idField]), { nome: p.nome ?? null, categoria: p.categoria ?? null }]));
+}
+
+function _delta(atual, anterior) {
+    return Object.fromEntries(METRICS.map(m => [m, _round(atual[m] - anterior[m])]));
+}
+
+/** Variação percentual — null quando o anterior é zero */
+function _deltaPct(atual, anterior) {
+    return Object.fromEntries(METRICS.map(m => [m, anterior[m] ? _round((atual[m] - anterior[m]) / Math.abs(anterior[m]) * 100) : null]));
+}
+
+function _sum(list) {
+    return _roundAll(list.reduce((acc, t) => ({
+        quantidade: acc.quantidade + t.quantidade,
+        valor:      acc.valor + t.valor,
+        vendas:     acc.vendas + t.vendas,
+    }), { quantidade: 0, valor: 0, vendas: 0 }));
+}
+
+function _roundAll(totals) {
+    return { quantidade: _round(totals.quantidade), valor: _round(totals.valor), vendas: totals.vendas };
+}
+
+function _round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+module.exports = { CURRENT, PREVIOUS, METRICS, DIMENSIONS, SORT_METRICS, compare, aggregate };
@@ -0,0 +1,145 @@
+/**
+ * K11 OMNI ELITE — SCHEMA REGISTRY
+ * ══════════════════════════════════
+ * Carrega os JSON Schemas de /schemas (<dataset>.schema.json)
+ * e valida as linhas antes de qualquer escrita no DataStore.
+ *
+ * Subconjunto suportado do JSON Schema:
+ *   type · required · properties · additionalProperties · enum
+ *   minimum · maximum · exclusiveMinimum · exclusiveMaximum
+ *   minLength · maxLength · pattern · format (date-time, date)
+ *   items · minItems · maxItems
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const logger = require('./logger');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// Campos controlados pelo servidor — aceitos em qualquer dataset
+const META_FIELDS = ['id', 'createdAt', 'updatedAt', 'version'];
+
+const _schemas = new Map();   // dataset → schema
+
+function _load() {
+    if (!fs.existsSync(SCHEMA_DIR)) return;
+    for (const file of fs.readdirSync(SCHEMA_DIR).filter(f => f.endsWith('.schema.json'))) {
+        try {
+            const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+            _schemas.set(file.replace('.schema.json', ''), schema);
+        } catch (err) {
+            logger.error('SCHEMAS', `Schema inválido: ${file}`, { error: err.message });
+        }
+    }
+    logger.info('SCHEMAS', 'Schemas carregados', { datasets: [..._schemas.keys()] });
+}
+
+_load();
+
+// ── API ───────────────────────────────────────────────────────
+
+/** Schema registrado para o dataset (ou null) */
+function get(dataset) {
+    return _schemas.get(dataset) || null;
+}
+
+/** Lista os datasets com schema */
+function list() {
+    return [..._schemas.keys()];
+}
+
+/**
+ * Valida uma linha contra o schema do dataset.
+ * Retorna [] se válido (ou sem schema), senão [{ path, keyword, message }].
+ */
+function validate(dataset, row) {
+    const schema = _schemas.get(dataset);
+    if (!schema) return [];
+    const errors = [];
+    _check(schema, row, '', errors, true);
+    return errors;
+}
+
+// ── VALIDADOR ─────────────────────────────────────────────────
+
+function _check(schema, value, at, errors, isRoot = false) {
+    const push = (keyword, message) => errors.push({ path: at || '(raiz)', keyword, message });
+
+    if (schema.type && !_typeMatches(schema.type, value)) {
+        push('type', `deve ser ${[].concat(schema.type).join(' ou ')}, recebido ${_typeOf(value)}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        push('enum', `deve ser um de: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum)                   push('minimum', `deve ser >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum)                   push('maximum', `deve ser <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) push('exclusiveMinimum', `deve ser > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) push('exclusiveMaximum', `deve ser < ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) push('minLength', `deve ter ao menos ${schema.minLength} caractere(s)`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) push('maxLength', `deve ter no máximo ${schema.maxLength} caracteres`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value))        push('pattern', `formato inválido (${schema.pattern})`);
+        if ((schema.format === 'date-time' || schema.format === 'date') && Number.isNaN(Date.parse(value))) {
+            push('format', `deve ser uma data ${schema.format === 'date' ? 'YYYY-MM-DD' : 'ISO 8601'}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) push('minItems', `deve ter ao menos ${schema.minItems} item(ns)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) push('maxItems', `deve ter no máximo ${schema.maxItems} itens`);
+        if (schema.items) value.forEach((v, i) => _check(schema.items, v, `${at}[${i}]`, errors));
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const props = schema.properties || {};
+
+        for (const field of schema.required || []) {
+            if (value[field] === undefined || value[field] === null) {
+                errors.push({ path: _join(at, field), keyword: 'required', message: 'campo obrigatório' });
+            }
+        }
+
+        for (const [field, v] of Object.entries(value)) {
+            if (props[field]) {
+                if (v !== undefined) _check(props[field], v, _join(at, field), errors);
+            } else if (schema.additionalProperties === false && !(isRoot && META_FIELDS.includes(field))) {
+                errors.push({ path: _join(at, field), keyword: 'additionalProperties', message: 'campo não permitido pelo schema' });
+            }
+        }
+    }
+}
+
+function _join(at, field) {
+    return at ? `${at}.${field}` : field;
+}
+
+function _typeOf(value) {
+    if (value === null)            return 'null';
+    if (Array.isArray(value))      return 'array';
+    if (Number.isInteger(value))   return 'integer';
+    return typeof value;
+}
+
+function _typeMatches(type, value) {
+    return [].concat(type).some(t => {
+        switch (t) {
+            case 'integer': return Number.isInteger(value);
+            case 'number':  return typeof value === 'number' && Number.isFinite(value);
+            case 'array':   return Array.isArray(value);
+            case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null':    return value === null;
+            default:        return typeof value === t;
+        }
+    });
+}
+
+module.exports = { get, list, validate, META_FIELDS };
@@ -0,0 +1,302 @@
+/**
+ * K11 OMNI ELITE — SEARCH (BUSCA TEXTUAL)
+ * ═════════════════════════════════════════
+ * Índice invertido em memória sobre produtos, fornecedor e tarefas —
+ * a equipe da loja acha o produto por pedaço do nome, código ou EAN
+ * sem baixar o dataset inteiro para o tablet.
+ *
+ *   normalização → sem acento, minúsculas, só letras e dígitos
+ *   casamento    → termo exato > prefixo > trecho de código numérico >
+ *                  erro de digitação (distância de edição 1, ou 2 em
+ *                  termos longos — também no prefixo, enquanto digita)
+ *   ranking      → soma, por palavra da busca, do melhor casamento ×
+ *                  peso do campo; todas as palavras precisam casar
+ *
+ * Cada dataset é indexado na primeira busca e depois acompanha a trilha
+ * de auditoria a partir do seu cursor: a cada "dataset:changed" só as
+ * linhas alteradas entram ou saem; substituições inteiras reindexam.
+ */
+
+'use strict';
+
+const datastore = require('./datastore');
+const logger    = require('./logger');
+const { toChange } = require('./sync');
+
+// dataset → peso de cada campo indexado + campo exibido como título
+const SOURCES = {
+    produtos:   { title: 'nome',   fields: { nome: 3, codigo: 3, ean: 3, marca: 2, categoria: 1, subcategoria: 1, descricao: 0.5 } },
+    fornecedor: { title: 'nome',   fields: { nome: 3, razaoSocial: 2, cnpj: 3, contato: 1, email: 1 } },
+    tarefas:    { title: 'titulo', fields: { titulo: 3, descricao: 1, responsavelNome: 1, loja: 0.5 } },
+};
+const ID_WEIGHT   = 3;     // o id também é buscável (código interno)
+const MAX_LIMIT   = 100;
+const MAX_QUERY   = 200;
+const MAX_REPLAY  = 5000;  // mais entradas que isso na trilha → reindexa
+const NO_ID       = '\u0000';   // prefixo da chave de linhas sem id (só saem na reindexação)
+
+// fator do casamento (multiplica o peso do campo)
+const MATCH = { exact: 1, prefix: 0.7, digits: 0.5, fuzzy: 0.6, fuzzyPrefix: 0.45 };
+
+/**
+ * dataset → {
+ *   cursor,
+ *   docs:     id → { item, terms: Map termo → { weight, fields } },
+ *   postings: termo → Set ids,
+ * }
+ */
+const _indexes = new Map();
+
+// roda dentro do emit da escrita — um erro aqui não pode voltar para quem escreveu
+datastore.on('dataset:changed', ({ dataset }) => {
+    const index = _indexes.get(dataset);
+    if (!index) return;
+    try {
+        _catchUp(dataset, index);
+    } catch (err) {
+        _indexes.delete(dataset);   // a próxima busca reconstrói
+        logger.error('SEARCH', `Falha ao atualizar o índice de ${dataset}`, { error: err.message });
+    }
+});
+
+/**
+ * Busca nos datasets pedidos (padrão: todos os de SOURCES que o usuário lê).
+ * Retorna { total, results: [{ dataset, id, score, title, matched, item }] }.
+ */
+async function search(user, q, { datasets = null, limit = 20 } = {}) {
+    const tokens = tokenize(String(q ?? '').slice(0, MAX_QUERY));
+    const names  = (datasets ?? Object.keys(SOURCES))
+        .filter(name => datastore.registry.resolve(name) && datastore.registry.canRead(user, name));
+    if (!tokens.length) return { tokens, datasets: names, total: 0, results: [], skipped: [] };
+
+    const phrase  = tokens.join(' ');
+    const results = [];
+    const skipped = [];
+    for (const name of names) {
+        let index;
+        try {
+            index = await _index(name);
+        } catch (err) {
+            // dataset degradado ou ilegível não derruba a busca nos outros
+            skipped.push({ dataset: name, error: err.message });
+            continue;
+        }
+        // escopo por linha do registro: tarefa de outra loja não aparece
+        results.push(..._match(name, index, tokens, phrase).filter(r => datastore.registry.canAccessRow(user, name, r.item)));
+    }
+
+    results.sort((a, b) => b.score - a.score || String(a.title ?? '').length - String(b.title ?? '').length);
+    return {
+        tokens,
+        datasets: names,
+        total:    results.length,
+        results:  results.slice(0, Math.min(limit, MAX_LIMIT)).map(r => ({ ...r, score: Math.round(r.score * 100) / 100 })),
+        skipped,
+    };
+}
+
+/** Texto → termos normalizados: sem acento, minúsculas, letras e dígitos */
+function tokenize(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/** Tamanho de cada índice (para /api/system/status) */
+function getStats() {
+    return Object.fromEntries([..._indexes].map(([name, index]) => [name, {
+        docs:   index.docs.size,
+        terms:  index.postings.size,
+        cursor: index.cursor,
+    }]));
+}
+
+// ── ÍNDICE ────────────────────────────────────────────────────
+
+/** Índice do dataset: construído na primeira busca, depois só acompanha a trilha */
+async function _index(name) {
+    let index = _indexes.get(name);
+    if (!index) {
+        await datastore.get(name);   // garante o import do JSON (degradado → lança)
+        index = _indexes.get(name) ?? _build(name);
+    }
+    _catchUp(name, index);
+    return index;
+}
+
+function _build(name) {
+    const started = Date.now();
+    const state   = datastore.state(name);
+    const index   = { cursor: state?.cursor ?? datastore.cursor(), docs: new Map(), postings: new Map() };
+    _indexes.set(name, index);
+
+    const { idField } = datastore.registry.get(name);
+    (state?.rows ?? []).forEach((item, i) => _add(name, index, item[idField] != null ? String(item[idField]) : `${NO_ID}${i}`, item));
+
+    logger.debug('SEARCH', `Índice de ${name} construído`, { docs: index.docs.size, terms: index.postings.size, ms: Date.now() - started });
+    return index;
+}
+
+/**
+ * Aplica as entradas da trilha posteriores ao cursor do índice.
+ * Linha criada/alterada → reindexa só ela; removida → sai;
+ * substituição inteira (ou atraso grande) → reconstrói o dataset.
+ */
+function _catchUp(name, index) {
+    const entries = datastore.changesSince(index.cursor, { datasets: [name], limit: MAX_REPLAY + 1 });
+    if (!entries.length) return;
+
+    const changes = entries.map(toChange);
+    if (entries.length > MAX_REPLAY || changes.some(c => c.type === 'reset')) {
+        _build(name);
+        return;
+    }
+    const { idField } = datastore.registry.get(name);
+    changes.forEach((change, i) => {
+        // update que trocou o id: sai também a entrada antiga
+        const before = entries[i].before;
+        if (before?.[idField] != null) _remove(index, String(before[idField]));
+        _remove(index, change.id);
+        if (change.op !== 'delete' && change.row) _add(name, index, change.id, change.row);
+        index.cursor = change.cursor;
+    });
+}
+
+function _add(name, index, id, item) {
+    const terms = new Map();
+    const add = (field, value, weight) => {
+        const tokens = tokenize(value);
+        // "12.345.678/0001-90" também casa digitado sem pontuação
+        if (tokens.length > 1 && tokens.every(t => /^\d+$/.test(t))) tokens.push(tokens.join(''));
+        for (const term of tokens) {
+            const known = terms.get(term);
+            if (!known) terms.set(term, { weight, fields: new Set([field]) });
+            else {
+                known.weight = Math.max(known.weight, weight);
+                known.fields.add(field);
+            }
+        }
+    };
+
+    const { idField } = datastore.registry.get(name);
+    if (item[idField] != null) add(idField, String(item[idField]), ID_WEIGHT);
+    for (const [field, weight] of Object.entries(SOURCES[name].fields)) {
+        if (item[field] != null && typeof item[field] !== 'object') add(field, String(item[field]), weight);
+    }
+
+    index.docs.set(id, { item, terms });
+    for (const term of terms.keys()) {
+        if (!index.postings.has(term)) index.postings.set(term, new Set());
+        index.postings.get(term).add(id);
+    }
+}
+
+function _remove(index, id) {
+    const doc = index.docs.get(id);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+        const ids = index.postings.get(term);
+        ids?.delete(id);
+        if (ids && !ids.size) index.postings.delete(term);
+    }
+    index.docs.delete(id);
+}
+
+// ── CASAMENTO E RANKING ───────────────────────────────────────
+
+function _match(name, index, tokens, phrase) {
+    const { title } = SOURCES[name];
+    let scores = null;   // id → { score, fields }
+
+    for (const token of tokens) {
+        const best = new Map();   // id → { score, fields } do melhor termo para esta palavra
+        for (const [term, factor] of _candidates(index, token)) {
+            for (const id of index.postings.get(term)) {
+                const hit   = index.docs.get(id).terms.get(term);
+                const score = factor * hit.weight;
+                if (!best.has(id) || best.get(id).score < score) best.set(id, { score, fields: hit.fields });
+            }
+        }
+
+        // toda palavra precisa casar: interseção com as anteriores
+        const next = new Map();
+        for (const [id, hit] of best) {
+            if (scores && !scores.has(id)) continue;
+            const prev = scores?.get(id);
+            next.set(id, { score: (prev?.score ?? 0) + hit.score, fields: new Set([...(prev?.fields ?? []), ...hit.fields]) });
+        }
+        scores = next;
+        if (!scores.size) return [];
+    }
+
+    return [...scores].map(([id, { score, fields }]) => {
+        const item = index.docs.get(id).item;
+        const text = tokenize(item[title] ?? '').join(' ');
+        // título igual ou começando pela busca inteira sobe no ranking
+        const bonus = text === phrase ? 4 : text.startsWith(phrase) ? 2 : 0;
+        return { dataset: name, id: id.startsWith(NO_ID) ? null : id, score: score + bonus, title: item[title] ?? null, matched: [...fields], item };
+    });
+}
+
+/** Termos do índice que casam com a palavra → fator do melhor tipo de casamento */
+function _candidates(index, token) {
+    const found   = new Map();
+    const numeric = /^\d+$/.test(token);
+    const maxDist = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+    const keep    = (term, factor) => { if ((found.get(term) ?? 0) < factor) found.set(term, factor); };
+
+    if (index.postings.has(token)) keep(token, MATCH.exact);
+    for (const term of index.postings.keys()) {
+        if (term === token) continue;
+        if (token.length >= 2 && term.startsWith(token)) {
+            // prefixo mais próximo do termo inteiro vale mais
+            keep(term, MATCH.prefix + (1 - MATCH.prefix) * 0.5 * (token.length / term.length));
+            continue;
+        }
+        if (numeric && token.length >= 3 && term.includes(token)) {
+            keep(term, MATCH.digits);
+            continue;
+        }
+        if (!maxDist || numeric) continue;   // código com dígito errado não é "quase igual"
+        if (Math.abs(term.length - token.length) <= maxDist) {
+            const d = _distance(token, term, maxDist);
+            if (d <= maxDist) keep(term, MATCH.fuzzy / d);
+        }
+        if (term.length > token.length) {
+            const d = _distance(token, term.slice(0, token.length), maxDist);
+            if (d <= maxDist) keep(term, MATCH.fuzzyPrefix / Math.max(d, 1));
+        }
+    }
+    return found;
+}
+
+/**
+ * Distância de edição (Damerau: troca de letras vizinhas conta 1),
+ * interrompida assim que passa de max — retorna max + 1 nesse caso.
+ */
+function _distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev  = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], prev2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev  = row;
+    }
+    return prev[b.length];
+}
+
+module.exports = { SOURCES, MAX_LIMIT, search, tokenize, getStats };
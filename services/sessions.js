@@ -0,0 +1,283 @@
+/**
+ * K11 OMNI ELITE — SESSION TOKENS
+ * ═════════════════════════════════
+ * Tokens de sessão curtos, assinados com HMAC-SHA256, para o browser
+ * e para o SSE (EventSource não envia headers, então o token vai na
+ * URL — por isso ele expira rápido e tem escopos limitados).
+ *
+ *   access  → k11s.<payload base64url>.<assinatura>   (15 min)
+ *   refresh → opaco, guardado como hash no SQLite       (7 dias, rotativo)
+ *
+ * Escopos: read (GET) · write (demais métodos) · stream (SSE)
+ * Revogar a sessão invalida access e refresh imediatamente — assim como
+ * revogar a chave de API que a abriu ou desativar o usuário.
+ */
+
+'use strict';
+
+const crypto    = require('crypto');
+const datastore = require('./datastore');
+const logger    = require('./logger');
+const stores    = require('./stores');
+
+const TOKEN_PREFIX   = 'k11s';
+const ACCESS_TTL_MS  = parseInt(process.env.SESSION_ACCESS_TTL_MS  || String(15 * 60_000), 10);
+const REFRESH_TTL_MS = parseInt(process.env.SESSION_REFRESH_TTL_MS || String(7 * 24 * 3600_000), 10);
+
+const SCOPES         = ['read', 'write', 'stream'];
+const DEFAULT_SCOPES = ['read', 'stream'];
+
+const SECRET = process.env.K11_SESSION_SECRET || (() => {
+    logger.warn('SESSIONS', 'K11_SESSION_SECRET não configurado — usando segredo aleatório (sessões caem a cada restart)');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS sessions (
+        id           TEXT PRIMARY KEY,
+        user_id      TEXT NOT NULL,
+        user_name    TEXT NOT NULL,
+        key_id       TEXT,
+        role         TEXT NOT NULL,
+        stores       TEXT NOT NULL,
+        scopes       TEXT NOT NULL,
+        refresh_hash TEXT NOT NULL UNIQUE,
+        created_at   TEXT NOT NULL,
+        refreshed_at TEXT,
+        expires_at   TEXT NOT NULL,
+        revoked_at   TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+_migrate();
+
+const stmt = {
+    insert:      db.prepare(`
+        INSERT INTO sessions (id, user_id, user_name, key_id, role, stores, scopes, refresh_hash, created_at, expires_at)
+        VALUES (@id, @userId, @userName, @keyId, @role, @stores, @scopes, @refreshHash, @now, @expiresAt)
+    `),
+    byId:        db.prepare('SELECT * FROM sessions WHERE id = ?'),
+    byRefresh:   db.prepare('SELECT * FROM sessions WHERE refresh_hash = ?'),
+    rotate:      db.prepare('UPDATE sessions SET refresh_hash = ?, refreshed_at = ?, role = ?, stores = ? WHERE id = ?'),
+    revoke:      db.prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+    listActive:  db.prepare('SELECT * FROM sessions WHERE revoked_at IS NULL AND expires_at > ? ORDER BY created_at DESC'),
+    userStatus:  db.prepare('SELECT role, stores, active FROM users WHERE id = ?'),
+    keyStatus:   db.prepare('SELECT revoked_at FROM api_keys WHERE id = ?'),
+};
+
+class SessionError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name   = 'SessionError';
+        this.status = status;
+    }
+}
+
+// ── EMISSÃO ───────────────────────────────────────────────────
+
+/**
+ * Abre uma sessão para a identidade autenticada.
+ * Escopos pedidos são limitados a SCOPES; sem pedido → DEFAULT_SCOPES.
+ */
+function create(identity, { scopes } = {}) {
+    const granted = _scopes(scopes);
+    const id      = crypto.randomUUID();
+    const refresh = _randomToken();
+    const now     = Date.now();
+
+    stmt.insert.run({
+        id,
+        userId:      identity.id,
+        userName:    identity.name,
+        keyId:       identity.keyId ?? null,
+        role:        identity.role,
+        stores:      JSON.stringify(identity.stores || []),
+        scopes:      JSON.stringify(granted),
+        refreshHash: _hash(refresh),
+        now:         new Date(now).toISOString(),
+        expiresAt:   new Date(now + REFRESH_TTL_MS).toISOString(),
+    });
+
+    logger.info('SESSIONS', `Sessão aberta para ${identity.name}`, { sid: id, scopes: granted });
+    return _issue(stmt.byId.get(id), refresh);
+}
+
+/**
+ * Troca um refresh token por um novo par (o refresh antigo deixa de valer).
+ * Papel e lojas são relidos do usuário — mudanças valem a partir daqui.
+ */
+function refresh(refreshToken) {
+    const session = refreshToken ? stmt.byRefresh.get(_hash(refreshToken)) : null;
+    if (!session) throw new SessionError('Refresh token inválido');
+    _assertAlive(session);
+
+    const user = _currentUser(session);
+    const next = _randomToken();
+    stmt.rotate.run(_hash(next), new Date().toISOString(), user.role, JSON.stringify(user.stores), session.id);
+
+    logger.debug('SESSIONS', `Sessão renovada: ${session.user_name}`, { sid: session.id });
+    return _issue(stmt.byId.get(session.id), next);
+}
+
+function revoke(sessionId) {
+    const info = stmt.revoke.run(new Date().toISOString(), sessionId);
+    if (info.changes) logger.info('SESSIONS', 'Sessão revogada', { sid: sessionId });
+    return info.changes > 0;
+}
+
+/** Revoga a sessão dona do refresh token (logout sem access token) */
+function revokeByRefresh(refreshToken) {
+    const session = refreshToken ? stmt.byRefresh.get(_hash(refreshToken)) : null;
+    return session ? revoke(session.id) : false;
+}
+
+function listActive() {
+    return stmt.listActive.all(new Date().toISOString()).map(s => ({
+        id:          s.id,
+        user:        s.user_name,
+        role:        s.role,
+        scopes:      JSON.parse(s.scopes),
+        createdAt:   s.created_at,
+        refreshedAt: s.refreshed_at,
+        expiresAt:   s.expires_at,
+    }));
+}
+
+// ── VERIFICAÇÃO ───────────────────────────────────────────────
+
+function isSessionToken(token) {
+    return typeof token === 'string' && token.startsWith(`${TOKEN_PREFIX}.`);
+}
+
+/**
+ * Valida assinatura, expiração e revogação de um access token.
+ * Retorna a identidade para req.user ou lança SessionError.
+ */
+function verify(token) {
+    const [prefix, body, signature] = String(token).split('.');
+    if (prefix !== TOKEN_PREFIX || !body || !signature) throw new SessionError('Token de sessão malformado');
+
+    const expected = _sign(`${prefix}.${body}`);
+    if (signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new SessionError('Assinatura do token inválida');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+        throw new SessionError('Token de sessão malformado');
+    }
+    if (Date.now() >= payload.exp) throw new SessionError('Token de sessão expirado');
+
+    const session = stmt.byId.get(payload.sid);
+    if (!session) throw new SessionError('Sessão inexistente');
+    _assertAlive(session);
+
+    return {
+        id:     payload.sub,
+        name:   payload.name,
+        role:   payload.role,
+        stores: payload.stores,
+        scopes: payload.scopes,
+        via:    'session',
+        sid:    payload.sid,
+    };
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+function _issue(session, refreshToken) {
+    const now     = Date.now();
+    const payload = {
+        sid:    session.id,
+        sub:    session.user_id,
+        name:   session.user_name,
+        role:   session.role,
+        stores: JSON.parse(session.stores),
+        scopes: JSON.parse(session.scopes),
+        iat:    now,
+        exp:    now + ACCESS_TTL_MS,
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const unsigned = `${TOKEN_PREFIX}.${body}`;
+
+    return {
+        sessionId:        session.id,
+        accessToken:      `${unsigned}.${_sign(unsigned)}`,
+        expiresAt:        new Date(payload.exp).toISOString(),
+        refreshToken,
+        refreshExpiresAt: session.expires_at,
+        scopes:           payload.scopes,
+    };
+}
+
+function _assertAlive(session) {
+    if (session.revoked_at) throw new SessionError('Sessão revogada');
+    if (Date.parse(session.expires_at) <= Date.now()) throw new SessionError('Sessão expirada');
+    _currentUser(session);
+}
+
+/**
+ * Papel/lojas atuais do usuário; usuário desativado ou chave de API
+ * revogada derruba a sessão. As lojas só encolhem: uma sessão aberta
+ * com chave restrita não ganha as demais lojas do usuário ao renovar.
+ */
+function _currentUser(session) {
+    if (session.key_id) {
+        const key = stmt.keyStatus.get(session.key_id);
+        if (!key || key.revoked_at) throw new SessionError('Chave de API da sessão revogada');
+    }
+    const issued = JSON.parse(session.stores);
+    // Identidades sem usuário no banco (admin legado / dev) mantêm o que foi emitido
+    const user = stmt.userStatus.get(session.user_id);
+    if (!user) return { role: session.role, stores: issued };
+    if (!user.active) throw new SessionError('Usuário desativado');
+    return { role: user.role, stores: stores.intersect(JSON.parse(user.stores), issued) };
+}
+
+/** Coluna nova em bancos criados antes do vínculo com a chave de API */
+function _migrate() {
+    const cols = db.prepare('PRAGMA table_info(sessions)').all().map(c => c.name);
+    if (!cols.includes('key_id')) db.exec('ALTER TABLE sessions ADD COLUMN key_id TEXT');
+}
+
+function _scopes(requested) {
+    if (requested === undefined || requested === null) return DEFAULT_SCOPES;
+    const list = [].concat(requested).map(String);
+    const bad  = list.filter(s => !SCOPES.includes(s));
+    if (bad.length || list.length === 0) {
+        throw new SessionError(`Escopos inválidos: ${bad.join(', ') || '(vazio)'} — use: ${SCOPES.join(', ')}`, 400);
+    }
+    return [...new Set(list)];
+}
+
+function _sign(data) {
+    return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+function _hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function _randomToken() {
+    return `${TOKEN_PREFIX}r_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+module.exports = {
+    SCOPES,
+    DEFAULT_SCOPES,
+    SessionError,
+    create,
+    refresh,
+    revoke,
+    revokeByRefresh,
+    listActive,
+    isSessionToken,
+    verify,
+};
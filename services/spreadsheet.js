@@ -0,0 +1,418 @@
+/**
+ * K11 OMNI ELITE — SPREADSHEET (CSV / XLSX)
+ * ═══════════════════════════════════════════
+ * Leitura e escrita de planilhas, sem dependências:
+ *
+ *   parseCsv(texto)   → { headers, rows }   separador , ; ou TAB detectado
+ *   readXlsx(buffer)  → { headers, rows }   primeira planilha (ou sheet=nome)
+ *   csvLine(valores)  → linha CSV (com aspas quando preciso)
+ *   xlsxStream(colunas, linhas) → chunks de um XLSX, gerados linha a linha
+ *
+ * rows são arrays na ordem de headers. O XLSX é um ZIP de XMLs: o
+ * leitor abre o diretório central, descomprime com zlib e lê as células
+ * (shared strings, inline strings, números e booleanos). Datas
+ * formatadas saem como número serial do Excel — convertidas por
+ * excelDate() quando o campo de destino é data.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+const CSV_FORMULA    = /^[=+\-@\t\r]/;   // texto que o Excel/LibreOffice abriria como fórmula
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const XLSX_SHEET     = 'Dados';
+const XLSX_MIME      = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const XLSX_MAX_ENTRY = 100 * 1024 * 1024;   // teto de cada XML descomprimido (zip bomb)
+const XLSX_MAX_COLS  = 16_384;      // limite do Excel (coluna XFD)
+const XLSX_MAX_ROWS  = 1_048_576;   // limite do Excel
+const XLSX_MAX_CELLS = 5_000_000;   // células por planilha, contando as vazias até a última da linha
+
+class SpreadsheetError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'SpreadsheetError';
+        this.status = status;
+    }
+}
+
+// ── CSV ───────────────────────────────────────────────────────
+
+/**
+ * CSV (RFC 4180): aspas com "" de escape, quebras de linha dentro de
+ * aspas, CRLF e BOM. delimiter null → detectado pela primeira linha.
+ */
+function parseCsv(text, { delimiter = null } = {}) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const sep    = delimiter ?? _detectDelimiter(source);
+    const rows   = [];
+    let row   = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+            continue;
+        }
+        if (ch === '"' && field === '') quoted = true;
+        else if (ch === sep) { row.push(field); field = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        }
+        else field += ch;
+    }
+    if (quoted) throw new SpreadsheetError('CSV inválido: aspas sem fechamento');
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+    return _table(rows.filter(r => r.some(v => v.trim() !== '')));
+}
+
+/**
+ * Uma linha CSV (CRLF no fim). Objetos/arrays saem como JSON; texto que
+ * começa com = + - @ TAB ou CR ganha um ' na frente (injeção de fórmula).
+ * Números e booleanos saem como estão. No XLSX o texto já vai como
+ * inlineStr e não é avaliado.
+ */
+function csvLine(values, delimiter = ',') {
+    return values.map(value => {
+        if (value === null || value === undefined) return '';
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (typeof value === 'string' && CSV_FORMULA.test(text)) text = `'${text}`;
+        return /[",;\t\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter) + '\r\n';
+}
+
+function _detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return CSV_DELIMITERS
+        .map(d => ({ d, n: firstLine.split(d).length }))
+        .sort((a, b) => b.n - a.n)[0].d;
+}
+
+// ── XLSX ──────────────────────────────────────────────────────
+
+/** Primeira planilha do XLSX (ou a de nome sheet) como tabela */
+function readXlsx(buffer, { sheet = null } = {}) {
+    const files = _unzip(buffer);
+    const text  = name => files.has(name) ? files.get(name)().toString('utf8') : null;
+
+    const workbook = text('xl/workbook.xml');
+    if (!workbook) throw new SpreadsheetError('XLSX inválido: xl/workbook.xml não encontrado');
+
+    const sheets = [..._tags(workbook, 'sheet')].map(attrs => ({ name: _xmlDecode(attrs.name ?? ''), rid: attrs['r:id'] }));
+    const target = sheet ? sheets.find(s => s.name === sheet) : sheets[0];
+    if (!target) throw new SpreadsheetError(sheet ? `Planilha "${sheet}" não encontrada` : 'XLSX sem planilhas');
+
+    const rels = text('xl/_rels/workbook.xml.rels') ?? '';
+    const rel  = [..._tags(rels, 'Relationship')].find(r => r.Id === target.rid);
+    const path = rel ? `xl/${rel.Target.replace(/^\/?xl\//, '')}` : 'xl/worksheets/sheet1.xml';
+    const xml  = text(path);
+    if (!xml) throw new SpreadsheetError(`XLSX inválido: ${path} não encontrado`);
+
+    const shared = _sharedStrings(text('xl/sharedStrings.xml') ?? '');
+    const rows   = [];
+    let cells    = 0;
+    for (const [, rowXml] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        if (rows.length >= XLSX_MAX_ROWS) throw new SpreadsheetError(`Planilha com mais de ${XLSX_MAX_ROWS} linhas`, 413);
+        const row = [];
+        for (const [, attrsXml, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attrs = _attrs(attrsXml);
+            const col   = attrs.r ? _columnIndex(attrs.r) : row.length;
+            // r="AAAAAAA2" viraria um array de bilhões de posições — estoura a memória do processo
+            if (col >= XLSX_MAX_COLS) throw new SpreadsheetError(`XLSX inválido: célula ${attrs.r ?? `na coluna ${col + 1}`} além da coluna XFD`);
+            row[col] = _cellValue(attrs.t, body, shared);
+        }
+        cells += row.length;
+        if (cells > XLSX_MAX_CELLS) throw new SpreadsheetError(`Planilha com mais de ${XLSX_MAX_CELLS} células`, 413);
+        rows.push(Array.from(row, v => v ?? ''));
+    }
+    return _table(rows.filter(r => r.some(v => String(v).trim() !== '')));
+}
+
+/** Número serial de data do Excel → ISO (null se não for número) */
+function excelDate(serial) {
+    const n = Number(serial);
+    if (typeof serial === 'string' && serial.trim() === '') return null;
+    if (!Number.isFinite(n)) return null;
+    return new Date(EXCEL_EPOCH_MS + Math.round(n * 86_400_000)).toISOString();
+}
+
+/**
+ * XLSX gerado em stream: cabeçalho + uma linha por item de rows
+ * (iterável síncrono ou assíncrono de arrays na ordem de columns).
+ * A planilha é comprimida enquanto as linhas chegam — nada do arquivo
+ * inteiro fica em memória. Números e booleanos viram células tipadas;
+ * o resto, texto (objetos em JSON).
+ */
+async function* xlsxStream(columns, rows) {
+    const zip = _zipWriter();
+    yield* zip.entry('[Content_Types].xml', [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+        '<Default Extension="xml" ContentType="application/xml"/>',
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+        '</Types>',
+    ].join(''));
+    yield* zip.entry('_rels/.rels', [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+        '</Relationships>',
+    ].join(''));
+    yield* zip.entry('xl/workbook.xml', [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+        `<sheets><sheet name="${XLSX_SHEET}" sheetId="1" r:id="rId1"/></sheets>`,
+        '</workbook>',
+    ].join(''));
+    yield* zip.entry('xl/_rels/workbook.xml.rels', [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+        '</Relationships>',
+    ].join(''));
+
+    async function* sheet() {
+        yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+        yield _xlsxRow(1, columns);
+        let n = 1;
+        for await (const values of rows) yield _xlsxRow(++n, values);
+        yield '</sheetData></worksheet>';
+    }
+    yield* zip.entry('xl/worksheets/sheet1.xml', sheet());
+    yield zip.end();
+}
+
+function _xlsxRow(n, values) {
+    const cells = values.map((value, i) => {
+        const ref = `${_columnName(i)}${n}`;
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${_xmlEncode(text)}</t></is></c>`;
+    });
+    return `<row r="${n}">${cells.join('')}</row>`;
+}
+
+/** 54 → "BC" (coluna base 0) */
+function _columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+}
+
+function _xmlEncode(text) {
+    return text
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        // caracteres de controle são proibidos no XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function _cellValue(type, body, shared) {
+    const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+    switch (type) {
+        case 's':         return shared[Number(value)] ?? '';
+        case 'inlineStr': return _xmlDecode([...body.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => m[1]).join(''));
+        case 'b':         return value === '1';
+        case 'str':
+        case 'e':         return _xmlDecode(value ?? '');
+        default:          return value === undefined ? '' : Number(value);
+    }
+}
+
+function _sharedStrings(xml) {
+    return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(([, si]) => _xmlDecode([...si.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => m[1]).join('')));
+}
+
+/** "BC12" → 54 (coluna base 0) */
+function _columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/)?.[0] ?? 'A';
+    return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function* _tags(xml, tag) {
+    for (const [, attrs] of xml.matchAll(new RegExp(`<${tag}\\b([^>]*?)/?>`, 'g'))) yield _attrs(attrs);
+}
+
+function _attrs(text) {
+    return Object.fromEntries([...text.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, k, v]) => [k, v]));
+}
+
+function _xmlDecode(text) {
+    return text
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+// ── ZIP ───────────────────────────────────────────────────────
+
+/** Entradas do ZIP: nome → () => Buffer (descompressão sob demanda) */
+function _unzip(buffer) {
+    const EOCD = 0x06054b50;
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65_557); i--) {
+        if (buffer.readUInt32LE(i) === EOCD) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new SpreadsheetError('Arquivo não é um XLSX (ZIP) válido');
+
+    const entries = new Map();
+    const count   = buffer.readUInt16LE(eocd + 10);
+    let offset    = buffer.readUInt32LE(eocd + 16);
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new SpreadsheetError('XLSX inválido: diretório central corrompido');
+        const method     = buffer.readUInt16LE(offset + 10);
+        const size       = buffer.readUInt32LE(offset + 20);
+        const fullSize   = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength   = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const local      = buffer.readUInt32LE(offset + 42);
+        const name       = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, () => {
+            const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+            const data  = buffer.subarray(start, start + size);
+            if (method === 0) return data;
+            if (method !== 8) throw new SpreadsheetError(`XLSX inválido: compressão ${method} não suportada`);
+            if (fullSize > XLSX_MAX_ENTRY) {
+                throw new SpreadsheetError(`XLSX grande demais: ${name} tem ${fullSize} bytes descomprimido (máx. ${XLSX_MAX_ENTRY})`, 413);
+            }
+            // o tamanho declarado limita a saída — entrada que infla além dele é rejeitada no meio
+            try {
+                return zlib.inflateRawSync(data, { maxOutputLength: Math.max(fullSize, 1) });
+            } catch (err) {
+                if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new SpreadsheetError(`XLSX inválido: ${name} descomprime além do tamanho declarado`);
+                throw new SpreadsheetError(`XLSX inválido: ${name} corrompido (${err.message})`);
+            }
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * ZIP em stream: cada entrada é comprimida (deflate) enquanto o
+ * conteúdo chega, com CRC e tamanhos no descritor após os dados
+ * (bit 3) — por isso não é preciso conhecer o conteúdo antes.
+ */
+function _zipWriter() {
+    const central = [];
+    let offset = 0;
+
+    return {
+        async *entry(name, content) {
+            const nameBuffer = Buffer.from(name, 'utf8');
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);         // versão mínima
+            header.writeUInt16LE(0x0808, 6);     // bit 3 (descritor) + nomes UTF-8
+            header.writeUInt16LE(8, 8);          // deflate
+            header.writeUInt16LE(nameBuffer.length, 26);
+            const start = offset;
+            yield Buffer.concat([header, nameBuffer]);
+            offset += 30 + nameBuffer.length;
+
+            let crc = 0;
+            let size = 0;
+            let compressed = 0;
+            const source = typeof content === 'string' ? [content] : content;
+            async function* counted() {
+                for await (const chunk of source) {
+                    const buffer = Buffer.from(chunk, 'utf8');
+                    crc  = _crc32(buffer, crc);
+                    size += buffer.length;
+                    yield buffer;
+                }
+            }
+            const deflate = zlib.createDeflateRaw();
+            pipeline(Readable.from(counted()), deflate, () => {});
+            for await (const out of deflate) {
+                compressed += out.length;
+                yield out;
+            }
+            offset += compressed;
+
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(crc, 4);
+            descriptor.writeUInt32LE(compressed, 8);
+            descriptor.writeUInt32LE(size, 12);
+            yield descriptor;
+            offset += 16;
+
+            central.push({ nameBuffer, crc, compressed, size, start });
+        },
+
+        end() {
+            const records = central.map(e => {
+                const record = Buffer.alloc(46);
+                record.writeUInt32LE(0x02014b50, 0);
+                record.writeUInt16LE(20, 4);
+                record.writeUInt16LE(20, 6);
+                record.writeUInt16LE(0x0808, 8);
+                record.writeUInt16LE(8, 10);
+                record.writeUInt32LE(e.crc, 16);
+                record.writeUInt32LE(e.compressed, 20);
+                record.writeUInt32LE(e.size, 24);
+                record.writeUInt16LE(e.nameBuffer.length, 28);
+                record.writeUInt32LE(e.start, 42);
+                return Buffer.concat([record, e.nameBuffer]);
+            });
+            const directory = Buffer.concat(records);
+            const eocd = Buffer.alloc(22);
+            eocd.writeUInt32LE(0x06054b50, 0);
+            eocd.writeUInt16LE(central.length, 8);
+            eocd.writeUInt16LE(central.length, 10);
+            eocd.writeUInt32LE(directory.length, 12);
+            eocd.writeUInt32LE(offset, 16);
+            return Buffer.concat([directory, eocd]);
+        },
+    };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/** CRC-32 do ZIP, incremental (zlib.crc32 só existe a partir do Node 20.15) */
+function _crc32(buffer, previous = 0) {
+    let crc = ~previous >>> 0;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    return ~crc >>> 0;
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/** Primeira linha vira cabeçalho; cabeçalho vazio/repetido ganha sufixo */
+function _table(rows) {
+    if (!rows.length) return { headers: [], rows: [] };
+    const seen    = new Map();
+    const headers = rows[0].map((h, i) => {
+        const base  = String(h ?? '').trim() || `coluna${i + 1}`;
+        const count = seen.get(base) ?? 0;
+        seen.set(base, count + 1);
+        return count ? `${base}_${count + 1}` : base;
+    });
+    return { headers, rows: rows.slice(1) };
+}
+
+module.exports = { XLSX_MIME, SpreadsheetError, parseCsv, readXlsx, excelDate, csvLine, xlsxStream };
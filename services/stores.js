@@ -0,0 +1,62 @@
+/**
+ * K11 OMNI ELITE — STORES (LOJAS)
+ * ═════════════════════════════════
+ * Lojas da rede. Usado para restringir usuários/chaves às lojas
+ * em que atuam.
+ *
+ * A loja dona de cada dataset vem do registro (services/registry.js):
+ *   "mesquita" / "jacarepagua" / "benfica" → uma loja
+ *   "*"                                    → consolidado (todas as lojas)
+ *   null                                   → sem escopo de loja
+ */
+
+'use strict';
+
+const STORES = ['mesquita', 'jacarepagua', 'benfica'];
+
+// Valor especial: acesso a todas as lojas
+const ALL = '*';
+
+/**
+ * Normaliza e valida uma lista de lojas.
+ * Retorna null se houver loja desconhecida.
+ */
+function normalize(list) {
+    if (list === undefined || list === null) return [ALL];
+    const arr = [].concat(list).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+    if (arr.includes(ALL)) return [ALL];
+    if (arr.some(s => !STORES.includes(s))) return null;
+    return [...new Set(arr)];
+}
+
+/** Lojas efetivas: interseção entre as do usuário e as da chave (se houver) */
+function intersect(userStores, keyStores) {
+    if (!keyStores) return userStores;
+    if (userStores.includes(ALL)) return keyStores;
+    if (keyStores.includes(ALL)) return userStores;
+    return userStores.filter(s => keyStores.includes(s));
+}
+
+function hasAllStores(stores) {
+    return !!stores && stores.includes(ALL);
+}
+
+/**
+ * true se a identidade atua na loja dona de um dataset.
+ * store null = sem escopo; "*" (consolidado) exige todas as lojas.
+ */
+function canAccessStore(user, store) {
+    const stores = user?.stores;
+    if (!store || hasAllStores(stores)) return true;
+    if (store === ALL) return false;
+    return !!stores && stores.includes(store);
+}
+
+module.exports = {
+    STORES,
+    ALL,
+    normalize,
+    intersect,
+    hasAllStores,
+    canAccessStore,
+};
@@ -0,0 +1,341 @@
+/**
+ * K11 OMNI ELITE — OFFLINE SYNC
+ * ═══════════════════════════════
+ * Protocolo de sincronização dos tablets das lojas (POST /api/sync).
+ * O tablet acumula mutações offline e manda tudo de uma vez:
+ *
+ *   { syncToken, policy?, datasets?, mutations: [
+ *       { clientId, dataset, op: "create"|"update"|"delete", id, baseVersion, data, clientTs }
+ *   ] }
+ *
+ * Cada mutação é aplicada (na ordem) numa transação própria do DataStore
+ * e recebe um resultado; conflito = a linha mudou no servidor desde
+ * baseVersion. Resolução (mutação → lote → dataset no registro):
+ *   server-wins     → nada é gravado, o conflito volta com a linha do servidor
+ *   client-wins     → a versão do tablet sobrescreve
+ *   last-write-wins → vence o clientTs mais novo que o updatedAt do servidor
+ *   merge           → campos que só o tablet mudou entram; os que ambos
+ *                     mudaram ficam com o servidor e voltam no conflito
+ *
+ * O syncToken é o cursor da trilha de auditoria (o mesmo X-Sync-Cursor
+ * do REST e do WebSocket); a resposta traz tudo o que mudou depois dele.
+ */
+
+'use strict';
+
+const logger    = require('./logger');
+const datastore = require('./datastore');
+const users     = require('./users');
+const { SYNC_POLICIES } = require('./registry');
+const { DataStoreError } = datastore;
+
+const MAX_MUTATIONS = 1000;
+const CHANGES_LIMIT = 5000;   // mais que isso → reset do dataset
+const OPS           = ['create', 'update', 'delete'];
+
+// Papel mínimo por operação — o mesmo das rotas REST equivalentes
+const OP_ROLES = { create: 'operador', update: 'operador', delete: 'supervisor' };
+
+// Ações da trilha que substituem o dataset inteiro
+const RESET_ACTIONS = ['import', 'replace', 'reload', 'restore'];
+
+const registry = datastore.registry;
+
+class SyncError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'SyncError';
+        this.status = status;
+    }
+}
+
+/**
+ * Processa um lote de sincronização para req.user.
+ * Retorna { syncToken, results, summary, changes, reset }.
+ */
+async function sync(user, { syncToken = null, policy, datasets, mutations = [] } = {}, { ip = null } = {}) {
+    if (!Array.isArray(mutations)) throw new SyncError('"mutations" deve ser um array');
+    if (mutations.length > MAX_MUTATIONS) throw new SyncError(`Máximo de ${MAX_MUTATIONS} mutações por lote`, 413);
+    if (policy !== undefined && !SYNC_POLICIES.includes(policy)) {
+        throw new SyncError(`"policy" deve ser uma de: ${SYNC_POLICIES.join(', ')}`);
+    }
+    if (syncToken !== null && (!Number.isInteger(syncToken) || syncToken < 0)) {
+        throw new SyncError('"syncToken" deve ser o inteiro recebido na última sincronização (ou null)');
+    }
+
+    const pull = _pullDatasets(user, datasets, mutations);
+    const actor = { user: user.name, ip };
+
+    const results = [];
+    for (const [index, mutation] of mutations.entries()) {
+        results.push(await _apply(user, mutation, index, { policy, actor }));
+    }
+
+    const summary = { applied: 0, conflicts: 0, invalid: 0, forbidden: 0, errors: 0 };
+    for (const r of results) {
+        if (r.status === 'applied')   summary.applied++;
+        if (r.conflict)               summary.conflicts++;
+        if (r.status === 'invalid')   summary.invalid++;
+        if (r.status === 'forbidden') summary.forbidden++;
+        if (r.status === 'error')     summary.errors++;
+    }
+
+    // Mudanças do servidor desde o último token (inclui as deste lote)
+    const cursor = datastore.cursor();
+    let changes  = [];
+    let reset    = [];
+    if (syncToken === null) {
+        reset = pull;   // primeira sincronização: carga completa
+    } else if (pull.length) {
+        const entries = datastore.changesSince(syncToken, { datasets: pull, limit: CHANGES_LIMIT + 1 })
+            .filter(e => e.seq <= cursor);
+        if (entries.length > CHANGES_LIMIT) {
+            reset = pull;
+        } else {
+            changes = entries.map(e => changeFor(user, e)).filter(c => c?.type === 'delta');
+            reset   = [...new Set(entries.filter(e => RESET_ACTIONS.includes(e.action)).map(e => e.dataset))];
+        }
+    }
+
+    logger.info('SYNC', `Lote de ${user.name}`, { ...summary, pulled: changes.length, reset });
+    return { syncToken: cursor, summary, results, changes, reset };
+}
+
+/**
+ * Entrada da trilha → mudança para o cliente.
+ * Compartilhado com o WebSocket (services/realtime.js).
+ */
+function toChange(entry) {
+    if (RESET_ACTIONS.includes(entry.action)) {
+        return { type: 'reset', cursor: entry.seq, dataset: entry.dataset, reason: entry.action, ts: entry.ts };
+    }
+
+    const op = entry.action === 'delete' ? 'delete' : (entry.before ? 'update' : 'create');
+    return {
+        type:    'delta',
+        cursor:  entry.seq,
+        dataset: entry.dataset,
+        op,
+        id:      entry.id,
+        version: entry.version,
+        row:     op === 'delete' ? undefined : entry.after,
+        action:  entry.action,
+        actor:   entry.actor,
+        ts:      entry.ts,
+    };
+}
+
+/**
+ * toChange() no escopo por linha do usuário (storeField no registro):
+ * linha que saiu das lojas dele vira "delete"; linha que nunca esteve
+ * nelas não é enviada (null).
+ */
+function changeFor(user, entry) {
+    const change = toChange(entry);
+    if (change.type !== 'delta' || !registry.isRowScoped(user, entry.dataset)) return change;
+
+    const visible = row => !!row && registry.canAccessRow(user, entry.dataset, row);
+    if (change.op !== 'delete' && visible(entry.after)) return change;
+    if (visible(entry.before)) return { ...change, op: 'delete', row: undefined };
+    return null;
+}
+
+// ── APLICAÇÃO ─────────────────────────────────────────────────
+
+async function _apply(user, mutation, index, { policy, actor }) {
+    const { clientId = null, dataset, op, baseVersion = null, data = {}, clientTs = null } = mutation || {};
+    const base = { index, clientId, dataset, op, id: mutation?.id ?? null };
+
+    const invalid = _validateMutation(mutation);
+    if (invalid) return { ...base, status: 'invalid', error: invalid };
+
+    if (!registry.canWrite(user, dataset) || !users.hasRole(user.role, OP_ROLES[op])) {
+        return { ...base, status: 'forbidden', error: `Sem permissão para ${op} em "${dataset}"` };
+    }
+
+    const def        = registry.get(dataset);
+    const resolution = mutation.policy ?? policy ?? def.syncPolicy;
+    const id         = mutation.id ?? data[def.idField] ?? null;
+    const ctx        = { ...base, dataset: def.name, id, def, data, baseVersion, clientTs, resolution, actor };
+
+    try {
+        if (registry.isRowScoped(user, def.name)) {
+            // Linha de loja alheia não existe para o usuário; levar a linha para uma também não
+            const current = id != null ? await datastore.getItem(def.name, id) : null;
+            const outside = (current && !registry.canAccessRow(user, def.name, current))
+                || (op !== 'delete' && !registry.canAccessRow(user, def.name, { ...current, ...data }));
+            if (outside) return { ...base, id, status: 'forbidden', error: `Linha fora das lojas do usuário em "${dataset}"` };
+        }
+
+        if (op === 'create') return await _create(ctx);
+        if (op === 'update') return await _update(ctx);
+        return await _delete(ctx);
+    } catch (err) {
+        if (err instanceof DataStoreError && err.code === 'PRECONDITION_FAILED') {
+            // Mudou entre a leitura e a escrita — conflito comum, servidor mantém
+            return _conflict(ctx, 'version', err.details.current, 'server');
+        }
+        if (err instanceof DataStoreError && err.code === 'CONFLICT') {
+            return _conflict(ctx, 'exists', await datastore.getItem(ctx.dataset, id), 'server');
+        }
+        if (err instanceof DataStoreError) {
+            return { ...base, id, status: err.code === 'VALIDATION' ? 'invalid' : 'error', error: err.message, errors: err.details ?? undefined };
+        }
+        logger.error('SYNC', `Falha na mutação ${index}`, { dataset, op, id, error: err.message });
+        return { ...base, id, status: 'error', error: err.message };
+    }
+}
+
+async function _create(ctx) {
+    const current = ctx.id != null ? await datastore.getItem(ctx.dataset, ctx.id) : null;
+    if (!current) {
+        const item    = ctx.id != null ? { ...ctx.data, [ctx.def.idField]: ctx.id } : ctx.data;
+        const created = await datastore.insertItem(ctx.dataset, item, { actor: ctx.actor });
+        return _applied(ctx, created);
+    }
+
+    // Mesmo id criado no servidor (ex.: reenvio do lote) — resolve como update
+    if (_clientWins(ctx, current)) {
+        return _applied(ctx, await _overwrite(ctx, current), 'client');
+    }
+    return _conflict(ctx, 'exists', current, 'server');
+}
+
+async function _update(ctx) {
+    const current = await datastore.getItem(ctx.dataset, ctx.id);
+    if (!current) {
+        if (ctx.resolution === 'client-wins') {
+            const created = await datastore.insertItem(ctx.dataset, { ...ctx.data, [ctx.def.idField]: ctx.id }, { actor: ctx.actor });
+            return _applied(ctx, created, 'client');
+        }
+        return _conflict(ctx, 'deleted', null, 'server');
+    }
+
+    const version = current.version ?? 1;
+    if (ctx.baseVersion == null || ctx.baseVersion === version) {
+        return _applied(ctx, await _patch(ctx, current, ctx.data));
+    }
+
+    if (ctx.resolution === 'merge') return _merge(ctx, current);
+    if (_clientWins(ctx, current)) return _applied(ctx, await _patch(ctx, current, ctx.data), 'client');
+    return _conflict(ctx, 'version', current, 'server');
+}
+
+async function _delete(ctx) {
+    const current = await datastore.getItem(ctx.dataset, ctx.id);
+    if (!current) return { ..._result(ctx), status: 'applied', note: 'já removido no servidor' };
+
+    const version = current.version ?? 1;
+    if (ctx.baseVersion != null && ctx.baseVersion !== version && !_clientWins(ctx, current)) {
+        return _conflict(ctx, 'version', current, 'server');
+    }
+    await datastore.deleteItem(ctx.dataset, ctx.id, { expectedVersion: version, actor: ctx.actor });
+    return { ..._result(ctx), status: 'applied', resolution: ctx.baseVersion != null && ctx.baseVersion !== version ? 'client' : undefined };
+}
+
+/**
+ * Merge de três vias: base (baseVersion, da trilha) × servidor × tablet.
+ * Sem a base na trilha, todo campo divergente conta como conflito.
+ */
+async function _merge(ctx, current) {
+    const baseRow = datastore.getItemVersion(ctx.dataset, ctx.id, ctx.baseVersion);
+    const patch   = {};
+    const fields  = [];
+
+    for (const [field, value] of Object.entries(ctx.data)) {
+        if (_same(current[field], value)) continue;
+        if (baseRow && _same(current[field], baseRow[field])) patch[field] = value;   // só o tablet mudou
+        else fields.push(field);                                                     // ambos mudaram
+    }
+
+    const merged = Object.keys(patch).length ? await _patch(ctx, current, patch) : current;
+    if (!fields.length) return _applied(ctx, merged, 'merged');
+
+    // Conflito parcial: o que deu para mesclar entrou, o resto fica com o servidor
+    const result = _conflict(ctx, 'version', merged, 'merged');
+    result.conflict.fields = fields;
+    if (merged !== current) Object.assign(result, { status: 'applied', version: merged.version, item: merged });
+    return result;
+}
+
+function _patch(ctx, current, patch) {
+    return datastore.updateItem(ctx.dataset, ctx.id, patch, {
+        expectedVersion: current.version ?? 1, actor: ctx.actor, action: 'sync',
+    });
+}
+
+/** create sobre linha existente com client-wins/lww: vira update */
+function _overwrite(ctx, current) {
+    return _patch(ctx, current, ctx.data);
+}
+
+function _clientWins(ctx, current) {
+    if (ctx.resolution === 'client-wins') return true;
+    if (ctx.resolution !== 'last-write-wins' || !ctx.clientTs) return false;
+    return Date.parse(ctx.clientTs) > Date.parse(current.updatedAt ?? 0);
+}
+
+// ── RESULTADOS ────────────────────────────────────────────────
+
+function _result(ctx) {
+    return { index: ctx.index, clientId: ctx.clientId, dataset: ctx.dataset, op: ctx.op, id: ctx.id };
+}
+
+function _applied(ctx, item, resolution) {
+    return {
+        ..._result(ctx),
+        id:      item[ctx.def.idField] ?? ctx.id,
+        status:  'applied',
+        resolution,
+        version: item.version,
+        item,
+    };
+}
+
+function _conflict(ctx, reason, server, resolution) {
+    return {
+        ..._result(ctx),
+        status:     'conflict',
+        resolution,
+        policy:     ctx.resolution,
+        conflict:   { reason, baseVersion: ctx.baseVersion, serverVersion: server?.version ?? null, server },
+    };
+}
+
+// ── VALIDAÇÃO ─────────────────────────────────────────────────
+
+function _validateMutation(m) {
+    if (!m || typeof m !== 'object' || Array.isArray(m)) return 'Mutação deve ser um objeto';
+    if (!OPS.includes(m.op)) return `"op" deve ser um de: ${OPS.join(', ')}`;
+    if (!m.dataset || !registry.get(m.dataset)) return `Dataset "${m.dataset}" não registrado`;
+    if (m.op !== 'create' && m.id == null) return '"id" é obrigatório para update/delete';
+    if (m.data !== undefined && (typeof m.data !== 'object' || m.data === null || Array.isArray(m.data))) {
+        return '"data" deve ser um objeto';
+    }
+    if (m.op !== 'delete' && m.data === undefined) return '"data" é obrigatório para create/update';
+    if (m.baseVersion != null && !Number.isInteger(m.baseVersion)) return '"baseVersion" deve ser inteiro';
+    if (m.clientTs != null && Number.isNaN(Date.parse(m.clientTs))) return '"clientTs" deve ser uma data ISO 8601';
+    if (m.policy !== undefined && !SYNC_POLICIES.includes(m.policy)) {
+        return `"policy" deve ser uma de: ${SYNC_POLICIES.join(', ')}`;
+    }
+    return null;
+}
+
+/** Datasets cujas mudanças voltam na resposta: os pedidos ou os tocados pelo lote */
+function _pullDatasets(user, datasets, mutations) {
+    if (datasets !== undefined && !Array.isArray(datasets)) throw new SyncError('"datasets" deve ser um array');
+    const requested = datasets ?? mutations.map(m => m?.dataset).filter(d => registry.get(d));
+
+    const unknown = requested.filter(d => !registry.get(d));
+    if (unknown.length) throw new SyncError(`Datasets não registrados: ${unknown.join(', ')}`, 404);
+    const denied = requested.filter(d => !registry.canRead(user, d));
+    if (denied.length) throw new SyncError(`Acesso negado aos datasets: ${denied.join(', ')}`, 403);
+
+    return [...new Set(requested.map(d => registry.resolve(d)))];
+}
+
+function _same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { sync, toChange, changeFor, SyncError, MAX_MUTATIONS };
@@ -0,0 +1,906 @@
+/**
+ * K11 OMNI ELITE — TASKS (TAREFAS DA OPERAÇÃO)
+ * ══════════════════════════════════════════════
+ * As tarefas continuam sendo linhas do dataset "tarefas" — listagem,
+ * busca, sync e backups seguem valendo. Aqui ficam as regras:
+ *
+ *   aberta ⇄ em_andamento ⇄ bloqueada → concluida | cancelada
+ *   concluida / cancelada → aberta (reabrir)
+ *
+ *   atribuição  → usuário (responsavel) e loja; operador só pega a tarefa
+ *                 para si, supervisor atribui a quem atua na loja
+ *   comentários → lista "comentarios" na própria tarefa
+ *   histórico   → "historico": criação, status, atribuição, prazo, prioridade
+ *   recorrência → modelos em task_recurrences (diária, semanal, mensal) geram
+ *                 a tarefa de cada loja no horário — ex.: checklist de
+ *                 abertura todo dia às 06:00 com prazo de 2 horas
+ *   SLA         → tarefa em aberto com prazo vencido: warn no log e aviso ao
+ *                 responsável (ou à loja); atrasada além do limite da
+ *                 prioridade → critical, e a loja inteira é avisada
+ *
+ * Horários das recorrências no fuso das lojas (TASKS_TZ_OFFSET, padrão -03:00).
+ */
+
+'use strict';
+
+const crypto        = require('crypto');
+const datastore     = require('./datastore');
+const logger        = require('./logger');
+const notifications = require('./notifications');
+const stores        = require('./stores');
+const users         = require('./users');
+const { hasRole }   = require('./roles');
+
+const DATASET       = 'tarefas';
+const STATUSES      = ['aberta', 'em_andamento', 'bloqueada', 'concluida', 'cancelada'];
+const OPEN_STATUSES = ['aberta', 'em_andamento', 'bloqueada'];
+const PRIORIDADES   = ['baixa', 'media', 'alta', 'critica'];
+const FREQUENCIAS   = ['diaria', 'semanal', 'mensal'];
+
+// horas de atraso até o alerta de prazo virar critical
+const CRITICAL_AFTER_HOURS = { critica: 0, alta: 2, media: 8, baixa: 24 };
+
+const CHECK_INTERVAL_MS = parseInt(process.env.TASKS_CHECK_INTERVAL_SEC || '60', 10) * 1000;
+const TZ_OFFSET_MIN     = _parseOffset(process.env.TASKS_TZ_OFFSET || '-03:00');
+
+const EDITABLE_FIELDS = ['titulo', 'descricao', 'prioridade', 'prazo', 'checklist'];
+const MAX_COMMENTS    = 500;
+const MAX_CHECKLIST   = 100;
+const MAX_RETRIES     = 3;   // escrita sem If-Match refeita após conflito de versão
+const SYSTEM_ACTOR    = { user: 'sistema', ip: null };
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS task_recurrences (
+        seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+        id          TEXT NOT NULL UNIQUE,
+        titulo      TEXT NOT NULL,
+        descricao   TEXT,
+        prioridade  TEXT NOT NULL,
+        lojas       TEXT NOT NULL,
+        responsavel TEXT,
+        checklist   TEXT NOT NULL,
+        frequencia  TEXT NOT NULL,
+        dias        TEXT NOT NULL,
+        horario     TEXT NOT NULL,
+        prazo_horas REAL NOT NULL,
+        active      INTEGER NOT NULL DEFAULT 1,
+        next_run    TEXT,
+        last_run    TEXT,
+        created_by  TEXT,
+        created_at  TEXT NOT NULL,
+        updated_at  TEXT NOT NULL,
+        version     INTEGER NOT NULL DEFAULT 1
+    );
+
+    CREATE TABLE IF NOT EXISTS task_alerts (
+        task_id    TEXT NOT NULL,
+        prazo      TEXT NOT NULL,
+        level      TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (task_id, prazo, level)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_recurrences_next ON task_recurrences (active, next_run);
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+
+const stmt = {
+    insertRecurrence: db.prepare(`
+        INSERT INTO task_recurrences (id, titulo, descricao, prioridade, lojas, responsavel, checklist, frequencia, dias,
+                                      horario, prazo_horas, active, next_run, created_by, created_at, updated_at)
+        VALUES (@id, @titulo, @descricao, @prioridade, @lojas, @responsavel, @checklist, @frequencia, @dias,
+                @horario, @prazoHoras, @active, @nextRun, @createdBy, @now, @now)
+    `),
+    updateRecurrence: db.prepare(`
+        UPDATE task_recurrences SET titulo = @titulo, descricao = @descricao, prioridade = @prioridade, lojas = @lojas,
+                                    responsavel = @responsavel, checklist = @checklist, frequencia = @frequencia,
+                                    dias = @dias, horario = @horario, prazo_horas = @prazoHoras, active = @active,
+                                    next_run = @nextRun, updated_at = @now, version = version + 1
+        WHERE id = @id AND version = @version
+    `),
+    recurrenceById:  db.prepare('SELECT * FROM task_recurrences WHERE id = ?'),
+    listRecurrences: db.prepare('SELECT * FROM task_recurrences ORDER BY seq'),
+    dueRecurrences:  db.prepare('SELECT * FROM task_recurrences WHERE active = 1 AND next_run <= ? ORDER BY next_run'),
+    markRun:         db.prepare('UPDATE task_recurrences SET last_run = @lastRun, next_run = @nextRun WHERE id = @id'),
+    deleteRecurrence: db.prepare('DELETE FROM task_recurrences WHERE id = ?'),
+    insertAlert:     db.prepare('INSERT OR IGNORE INTO task_alerts (task_id, prazo, level, created_at) VALUES (?, ?, ?, ?)'),
+};
+
+class TaskError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'TaskError';
+        this.status = status;
+    }
+}
+
+let _timer   = null;
+let _running = false;
+
+// ── CONSULTA ──────────────────────────────────────────────────
+
+/**
+ * Tarefas visíveis à identidade (sem loja ou de uma loja em que atua),
+ * por prazo — as sem prazo no fim. Filtros: status, loja, responsavel
+ * (id ou "me"), prioridade, recorrencia, open, overdue.
+ */
+async function list(user, { status = null, loja = null, responsavel = null, prioridade = null, recorrencia = null, open = false, overdue = false } = {}) {
+    const now   = Date.now();
+    const owner = responsavel === 'me' ? user.id : responsavel;
+
+    return (await datastore.get(DATASET))
+        .filter(row => _visible(user, row))
+        .map(row => _view(row, now))
+        .filter(task => (!status || task.status === status)
+            && (!loja || task.loja === loja)
+            && (!owner || task.responsavel === owner)
+            && (!prioridade || task.prioridade === prioridade)
+            && (!recorrencia || task.recorrencia === recorrencia)
+            && (!open || OPEN_STATUSES.includes(task.status))
+            && (!overdue || task.atrasada))
+        .sort((a, b) => _dueOrder(a) - _dueOrder(b)
+            || PRIORIDADES.indexOf(b.prioridade) - PRIORIDADES.indexOf(a.prioridade));
+}
+
+/** Tarefa por id — TaskError 404 se não existe ou é de loja fora do alcance */
+async function get(user, id) {
+    return _view(await _load(user, id));
+}
+
+// ── CRIAÇÃO E EDIÇÃO ──────────────────────────────────────────
+
+/**
+ * Cria uma tarefa.
+ * Body: { titulo, descricao?, prioridade?, loja?, prazo?, responsavel?, checklist? }
+ */
+async function create(user, input, { actor = null } = {}) {
+    if (!input || typeof input !== 'object') throw new TaskError('Body deve ser um objeto JSON');
+    const fields = _parseFields(input, { creating: true });
+    const loja   = _parseLoja(input.loja);
+    if (!stores.canAccessStore(user, loja)) throw new TaskError(`Só quem atua em ${loja} pode criar tarefas nela`, 403);
+
+    const assignee = input.responsavel != null ? _assignee(user, input.responsavel, [loja]) : null;
+    const now      = new Date().toISOString();
+    const created  = await datastore.insertItem(DATASET, {
+        ...fields,
+        prioridade:      fields.prioridade ?? 'media',
+        status:          'aberta',
+        done:            false,
+        loja,
+        prazo:           fields.prazo ?? null,
+        responsavel:     assignee?.id ?? null,
+        responsavelNome: assignee?.name ?? null,
+        criadaPor:       actor?.user ?? user.name,
+        checklist:       fields.checklist ?? [],
+        comentarios:     [],
+        historico:       [_step('criada', 'aberta', actor, now, assignee && { responsavel: assignee.id })],
+    }, { actor });
+
+    logger.info('TASKS', `Tarefa criada: ${created.titulo}`, { id: created.id, loja, responsavel: assignee?.name });
+    if (assignee && assignee.id !== user.id) _notifyAssigned(created, actor);
+    return _view(created);
+}
+
+/**
+ * Altera titulo, descricao, prioridade, prazo e checklist.
+ * Status, responsável e loja têm endpoints próprios (histórico e avisos).
+ */
+async function update(user, id, input, { expectedVersion = null, actor = null } = {}) {
+    if (!input || typeof input !== 'object') throw new TaskError('Body deve ser um objeto JSON');
+    const unknown = Object.keys(input).filter(k => !EDITABLE_FIELDS.includes(k));
+    if (unknown.length) {
+        throw new TaskError(`Campos não editáveis aqui: ${unknown.join(', ')} — use /status, /assign e /comments (editáveis: ${EDITABLE_FIELDS.join(', ')})`);
+    }
+    const fields = _parseFields(input);
+    if (!Object.keys(fields).length) throw new TaskError('Nada a alterar');
+
+    return _view(await _write(user, id, (row) => {
+        const now    = new Date().toISOString();
+        const status = _status(row);
+        const steps  = [];
+        if ('prazo' in fields && fields.prazo !== (row.prazo ?? null)) {
+            steps.push(_step('prazo', status, actor, now, { prazo: fields.prazo }));
+        }
+        if ('prioridade' in fields && fields.prioridade !== row.prioridade) {
+            steps.push(_step('prioridade', status, actor, now, { prioridade: fields.prioridade }));
+        }
+        return { ...fields, ...(steps.length && { historico: [...(row.historico ?? []), ...steps] }) };
+    }, { expectedVersion, actor }));
+}
+
+// ── STATUS, ATRIBUIÇÃO E COMENTÁRIOS ──────────────────────────
+
+/**
+ * Muda o status. Tarefa concluída ou cancelada só volta para "aberta";
+ * cancelar exige supervisor (ou quem criou), reabrir uma cancelada também.
+ */
+async function setStatus(user, id, { status, observacao, expectedVersion = null, actor = null } = {}) {
+    if (!STATUSES.includes(status)) throw new TaskError(`"status" deve ser um de: ${STATUSES.join(', ')}`);
+    if (observacao !== undefined && typeof observacao !== 'string') throw new TaskError('"observacao" deve ser texto');
+
+    let from;
+    const updated = await _write(user, id, (row) => {
+        from = _status(row);
+        if (from === status) throw new TaskError(`Tarefa já está em "${status}"`, 409);
+        if (!OPEN_STATUSES.includes(from) && status !== 'aberta') {
+            throw new TaskError(`Tarefa em "${from}" só pode ser reaberta (status "aberta")`, 409);
+        }
+        const supervisor = hasRole(user.role, 'supervisor');
+        if (status === 'cancelada' && !supervisor && row.criadaPor !== user.name) {
+            throw new TaskError('Só o supervisor ou quem criou a tarefa pode cancelá-la', 403);
+        }
+        if (from === 'cancelada' && !supervisor) throw new TaskError('Papel "supervisor" necessário para reabrir tarefa cancelada', 403);
+        return _statusPatch(row, status, { actor, observacao });
+    }, { expectedVersion, actor, action: 'status' });
+
+    logger.info('TASKS', `Tarefa ${id}: ${from} → ${status}`, { by: actor?.user });
+    if (updated.responsavel && updated.responsavel !== user.id) {
+        notifications.notify({
+            userId:  updated.responsavel,
+            type:    'task.status',
+            title:   `Tarefa ${_statusLabel(status)}: ${updated.titulo}`,
+            message: observacao || null,
+            data:    { taskId: updated.id, from, status },
+            actor:   actor?.user ?? null,
+        });
+    }
+    return _view(updated);
+}
+
+/** Patch de mudança de status — status, done, concluidaEm e o passo no histórico */
+function _statusPatch(row, status, { actor = null, observacao } = {}) {
+    const now = new Date().toISOString();
+    return {
+        status,
+        done:        status === 'concluida',
+        concluidaEm: status === 'concluida' ? now : null,
+        historico:   [...(row.historico ?? []), _step('status', status, actor, now, observacao && { observacao })],
+    };
+}
+
+/**
+ * Atribui a tarefa. Body: { responsavel?: id | "me" | null, loja?: loja | null }.
+ * Operador só pega para si (ou se retira); supervisor atribui a quem atua
+ * na loja e muda a tarefa de loja.
+ */
+async function assign(user, id, { responsavel, loja, expectedVersion = null, actor = null } = {}) {
+    if (responsavel === undefined && loja === undefined) throw new TaskError('Informe "responsavel" e/ou "loja"');
+    const supervisor = hasRole(user.role, 'supervisor');
+    if (loja !== undefined && !supervisor) throw new TaskError('Papel "supervisor" necessário para mudar a tarefa de loja', 403);
+
+    let assignee = null;
+    const updated = await _write(user, id, (row) => {
+        const targetLoja = loja === undefined ? (row.loja ?? null) : _parseLoja(loja);
+        if (!stores.canAccessStore(user, targetLoja)) throw new TaskError(`Só quem atua em ${targetLoja} pode receber a tarefa lá`, 403);
+
+        let target = responsavel === undefined
+            ? (row.responsavel ? { id: row.responsavel, name: row.responsavelNome ?? null } : null)
+            : null;
+        if (responsavel === null) {
+            if (!supervisor && row.responsavel !== user.id) throw new TaskError('Papel "supervisor" necessário para retirar o responsável de outra pessoa', 403);
+        } else if (responsavel !== undefined) {
+            target = _assignee(user, responsavel, [targetLoja]);
+            if (!supervisor && row.responsavel && row.responsavel !== user.id) {
+                throw new TaskError(`Tarefa já atribuída a ${row.responsavelNome ?? row.responsavel} — peça ao supervisor`, 403);
+            }
+        } else if (target && !_actsIn(target.id, user, targetLoja)) {
+            throw new TaskError(`${target.name ?? target.id} não atua em ${targetLoja} — informe outro "responsavel"`);
+        }
+
+        if ((target?.id ?? null) === (row.responsavel ?? null) && targetLoja === (row.loja ?? null)) {
+            throw new TaskError('Responsável e loja já são esses', 409);
+        }
+        assignee = target && target.id !== row.responsavel ? target : null;
+        const now = new Date().toISOString();
+        return {
+            loja:            targetLoja,
+            responsavel:     target?.id ?? null,
+            responsavelNome: target?.name ?? null,
+            historico:       [...(row.historico ?? []), _step('atribuida', _status(row), actor, now, {
+                responsavel: target?.id ?? null,
+                ...(targetLoja !== (row.loja ?? null) && { loja: targetLoja }),
+            })],
+        };
+    }, { expectedVersion, actor, action: 'assign' });
+
+    logger.info('TASKS', `Tarefa ${id} atribuída`, { responsavel: updated.responsavelNome, loja: updated.loja, by: actor?.user });
+    if (assignee && assignee.id !== user.id) _notifyAssigned(updated, actor);
+    return _view(updated);
+}
+
+/** Comenta na tarefa — o responsável é avisado (se não for quem comentou) */
+async function comment(user, id, { texto, actor = null } = {}) {
+    if (typeof texto !== 'string' || !texto.trim()) throw new TaskError('"texto" é obrigatório');
+    if (texto.length > 2000) throw new TaskError('"texto" deve ter no máximo 2000 caracteres');
+
+    const entry = { id: crypto.randomUUID(), texto: texto.trim(), by: actor?.user ?? user.name, ts: new Date().toISOString() };
+    const updated = await _write(user, id, (row) => {
+        const comentarios = row.comentarios ?? [];
+        if (comentarios.length >= MAX_COMMENTS) throw new TaskError(`Máximo de ${MAX_COMMENTS} comentários por tarefa`, 413);
+        return { comentarios: [...comentarios, entry] };
+    }, { actor, action: 'comment' });
+
+    if (updated.responsavel && updated.responsavel !== user.id) {
+        notifications.notify({
+            userId:  updated.responsavel,
+            type:    'task.comment',
+            title:   `Comentário em: ${updated.titulo}`,
+            message: entry.texto.slice(0, 200),
+            data:    { taskId: updated.id, commentId: entry.id },
+            actor:   entry.by,
+        });
+    }
+    return { task: _view(updated), comment: entry };
+}
+
+// ── RECORRÊNCIAS ──────────────────────────────────────────────
+
+/** Modelos de tarefa recorrente com ao menos uma loja da identidade (ou sem loja) */
+function listRecurrences(user) {
+    return stmt.listRecurrences.all().map(_formatRecurrence).filter(rec => _recurrenceVisible(user, rec));
+}
+
+function getRecurrence(user, id) {
+    const row = stmt.recurrenceById.get(id);
+    const rec = row && _formatRecurrence(row);
+    if (!rec || !_recurrenceVisible(user, rec)) throw new TaskError(`Recorrência ${id} não encontrada`, 404);
+    return rec;
+}
+
+/**
+ * Cria um modelo de tarefa recorrente.
+ * Body: { titulo, frequencia, dias?, horario?, prazoHoras?, lojas?, responsavel?,
+ *         checklist?, prioridade?, descricao?, active? }
+ *   diaria  → todo dia no horário
+ *   semanal → dias da semana em "dias" (0 = domingo … 6 = sábado)
+ *   mensal  → dias do mês em "dias" (31 em mês curto → último dia)
+ * Uma tarefa por loja em "lojas" (nenhuma → uma tarefa sem loja).
+ */
+function createRecurrence(user, input, { actor = null } = {}) {
+    const rec = _parseRecurrence(user, input);
+    const id  = crypto.randomUUID();
+    stmt.insertRecurrence.run({
+        ..._recurrenceParams(rec),
+        id,
+        nextRun:   rec.active ? new Date(_nextOccurrence(rec, Date.now())).toISOString() : null,
+        createdBy: actor?.user ?? user.name,
+        now:       new Date().toISOString(),
+    });
+    const created = getRecurrence(user, id);
+    logger.info('TASKS', `Recorrência criada: ${created.titulo}`, { id, frequencia: created.frequencia, nextRun: created.nextRun });
+    return created;
+}
+
+/** Altera o modelo — a próxima geração é recalculada a partir de agora */
+function updateRecurrence(user, id, input, { expectedVersion = null } = {}) {
+    const current = getRecurrence(user, id);
+    // visível com uma loja em comum, mas só quem atua em todas altera (e não tira as outras)
+    _assertRecurrenceStores(user, current.lojas);
+    if (expectedVersion != null && expectedVersion !== current.version) {
+        throw new TaskError(`Versão desatualizada da recorrência ${id}: esperada ${expectedVersion}, atual ${current.version}`, 412);
+    }
+    const rec  = _parseRecurrence(user, input, current);
+    const info = stmt.updateRecurrence.run({
+        ..._recurrenceParams(rec),
+        id,
+        version: current.version,
+        nextRun: rec.active ? new Date(_nextOccurrence(rec, Date.now())).toISOString() : null,
+        now:     new Date().toISOString(),
+    });
+    if (!info.changes) throw new TaskError(`Recorrência ${id} mudou — recarregue`, 409);
+
+    const updated = getRecurrence(user, id);
+    logger.info('TASKS', `Recorrência alterada: ${updated.titulo}`, { id, fields: Object.keys(input), nextRun: updated.nextRun });
+    return updated;
+}
+
+/** Remove o modelo — as tarefas já geradas continuam */
+function deleteRecurrence(user, id) {
+    const rec = getRecurrence(user, id);
+    _assertRecurrenceStores(user, rec.lojas);
+    stmt.deleteRecurrence.run(id);
+    logger.info('TASKS', `Recorrência removida: ${rec.titulo}`, { id });
+    return rec;
+}
+
+/**
+ * Gera agora a ocorrência de hoje (a mesma que o agendamento geraria):
+ * prazo contado do horário de hoje, não do momento do pedido.
+ * Loja que já tem a tarefa do dia fica de fora; dia fora de "dias" → 409.
+ */
+async function runRecurrence(user, id, { actor = null } = {}) {
+    const rec = getRecurrence(user, id);
+    _assertRecurrenceStores(user, rec.lojas);
+    const now = Date.now();
+    if (!_matchesDay(rec, new Date(now + TZ_OFFSET_MIN * 60_000))) {
+        throw new TaskError(`Recorrência "${rec.titulo}" não tem ocorrência hoje (${_localDate(now)})`, 409);
+    }
+    return _generate(rec, _scheduledAt(rec, now), { actor });
+}
+
+// ── AGENDAMENTO ───────────────────────────────────────────────
+
+/**
+ * Liga a geração das recorrências e a verificação de prazos.
+ * Chamado pelo server.js — scripts avulsos não geram tarefas.
+ */
+function start() {
+    if (_timer) return;
+    _timer = setInterval(_tick, CHECK_INTERVAL_MS);
+    _tick();
+    logger.info('TASKS', 'Recorrências e alertas de prazo ativos', { intervalSec: CHECK_INTERVAL_MS / 1000, tzOffsetMin: TZ_OFFSET_MIN });
+}
+
+function stop() {
+    clearInterval(_timer);
+    _timer = null;
+}
+
+/**
+ * Alerta as tarefas em aberto com prazo vencido — uma vez por nível
+ * (warn, critical) e por prazo: mudar o prazo rearma os alertas.
+ * Retorna os alertas emitidos agora.
+ */
+async function checkOverdue(now = Date.now()) {
+    const raised = [];
+    // estado gravado direto: sem o aviso de arquivo ausente a cada ciclo antes da primeira tarefa
+    for (const row of datastore.state(DATASET)?.rows ?? []) {
+        const level = _slaLevel(row, now);
+        if (!level || row.id == null) continue;
+        if (!stmt.insertAlert.run(String(row.id), row.prazo, level, new Date(now).toISOString()).changes) continue;
+        _alert(row, level, now);
+        raised.push({ id: row.id, level });
+    }
+    return raised;
+}
+
+async function _tick() {
+    if (_running) return;   // verificação lenta não se sobrepõe à próxima
+    _running = true;
+    try {
+        await _runDue(Date.now());
+        await checkOverdue();
+    } catch (err) {
+        logger.error('TASKS', 'Falha na verificação de tarefas', { error: err.message });
+    } finally {
+        _running = false;
+    }
+}
+
+/**
+ * Gera as ocorrências vencidas. Servidor parado por vários ciclos gera
+ * só a mais recente, e só se o prazo dela ainda não passou — checklist
+ * de um dia que já acabou não serve mais.
+ */
+async function _runDue(now) {
+    for (const row of stmt.dueRecurrences.all(new Date(now).toISOString())) {
+        const rec = _formatRecurrence(row);
+        let at = Date.parse(rec.nextRun);
+        let missed = 0;
+        for (let next = _nextOccurrence(rec, at); next <= now; next = _nextOccurrence(rec, at)) {
+            at = next;
+            missed++;
+        }
+        const expired = at + rec.prazoHoras * 3_600_000 <= now;
+        // puladas no laço + a mais recente, se o prazo dela já passou
+        const lost    = missed + (expired ? 1 : 0);
+        if (lost) {
+            logger.warn('TASKS', `Recorrência "${rec.titulo}": ${lost} ocorrência(s) perdida(s) com o servidor parado`, { id: rec.id });
+        }
+
+        try {
+            if (!expired) await _generate(rec, at, { actor: SYSTEM_ACTOR });
+            stmt.markRun.run({ id: rec.id, lastRun: new Date(at).toISOString(), nextRun: new Date(_nextOccurrence(rec, at)).toISOString() });
+        } catch (err) {
+            // não avança: tenta de novo no próximo ciclo
+            logger.error('TASKS', `Falha ao gerar tarefas da recorrência "${rec.titulo}"`, { id: rec.id, error: err.message });
+        }
+    }
+}
+
+/** Cria as tarefas da ocorrência (id determinístico: rodar de novo não duplica) */
+async function _generate(rec, at, { actor = null } = {}) {
+    const date     = _localDate(at);
+    const now      = new Date().toISOString();
+    const prazo    = new Date(at + rec.prazoHoras * 3_600_000).toISOString();
+    const assignee = rec.responsavel ? users.getUser(rec.responsavel) : null;
+
+    const items   = [];
+    const skipped = [];
+    for (const loja of rec.lojas.length ? rec.lojas : [null]) {
+        const id = `rec${rec.numero}-${date}${loja ? `-${loja}` : ''}`;
+        if (await datastore.getItem(DATASET, id)) {
+            skipped.push(id);
+            continue;
+        }
+        const owner = assignee?.active && stores.canAccessStore(assignee, loja) ? assignee : null;
+        items.push({
+            id,
+            titulo:          rec.titulo,
+            ...(rec.descricao && { descricao: rec.descricao }),
+            prioridade:      rec.prioridade,
+            status:          'aberta',
+            done:            false,
+            loja,
+            prazo,
+            responsavel:     owner?.id ?? null,
+            responsavelNome: owner?.name ?? null,
+            criadaPor:       actor?.user ?? null,
+            recorrencia:     rec.id,
+            ocorrencia:      date,
+            checklist:       rec.checklist.map(texto => ({ texto, done: false })),
+            comentarios:     [],
+            historico:       [_step('criada', 'aberta', actor, now, owner && { responsavel: owner.id })],
+        });
+    }
+    if (!items.length) return { created: [], skipped };
+
+    const created = await datastore.insertItems(DATASET, items, { actor });
+    logger.info('TASKS', `Recorrência "${rec.titulo}": ${created.length} tarefa(s) de ${date}`, { id: rec.id, lojas: created.map(t => t.loja) });
+
+    for (const task of created) {
+        notifications.notify({
+            ...(task.responsavel ? { userId: task.responsavel } : { stores: task.loja ? [task.loja] : [] }),
+            type:    'task.recurring',
+            title:   `Nova tarefa: ${task.titulo}`,
+            message: `Prazo ${_formatLocal(Date.parse(task.prazo))}${task.checklist.length ? ` — ${task.checklist.length} item(ns) no checklist` : ''}`,
+            data:    { taskId: task.id, recorrencia: rec.id, ocorrencia: date },
+            actor:   actor?.user ?? null,
+        });
+    }
+    return { created: created.map(t => _view(t)), skipped };
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/** Linha crua da tarefa, checando o alcance de loja */
+async function _load(user, id) {
+    const row = await datastore.getItem(DATASET, id);
+    if (!row || !_visible(user, row)) throw new TaskError(`Tarefa ${id} não encontrada`, 404);
+    return row;
+}
+
+/**
+ * Lê, monta o patch com build(linha) e grava amarrado à versão lida.
+ * Com If-Match do cliente, versão divergente → 412; sem ele, um conflito
+ * com outra escrita (ex.: dois comentários ao mesmo tempo) relê e refaz.
+ */
+async function _write(user, id, build, { expectedVersion = null, actor = null, action = 'update' } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        const row   = await _load(user, id);
+        const patch = build(row);
+        try {
+            const updated = await datastore.updateItem(DATASET, id, patch, {
+                expectedVersion: expectedVersion ?? (row.version ?? 1), actor, action,
+            });
+            if (!updated) throw new TaskError(`Tarefa ${id} não encontrada`, 404);
+            return updated;
+        } catch (err) {
+            if (expectedVersion == null && err.code === 'PRECONDITION_FAILED' && attempt < MAX_RETRIES) continue;
+            throw err;
+        }
+    }
+}
+
+/** Valida os campos editáveis presentes no input */
+function _parseFields(input, { creating = false } = {}) {
+    const fields = {};
+    if (creating || input.titulo !== undefined) {
+        if (typeof input.titulo !== 'string' || !input.titulo.trim()) throw new TaskError('"titulo" é obrigatório');
+        if (input.titulo.length > 300) throw new TaskError('"titulo" deve ter no máximo 300 caracteres');
+        fields.titulo = input.titulo.trim();
+    }
+    if (input.descricao !== undefined) {
+        if (typeof input.descricao !== 'string' || input.descricao.length > 5000) throw new TaskError('"descricao" deve ser texto de até 5000 caracteres');
+        fields.descricao = input.descricao;
+    }
+    if (input.prioridade !== undefined) {
+        if (!PRIORIDADES.includes(input.prioridade)) throw new TaskError(`"prioridade" deve ser uma de: ${PRIORIDADES.join(', ')}`);
+        fields.prioridade = input.prioridade;
+    }
+    if (input.prazo !== undefined) {
+        if (input.prazo !== null && (typeof input.prazo !== 'string' || Number.isNaN(Date.parse(input.prazo)))) {
+            throw new TaskError('"prazo" deve ser uma data ISO 8601 (ou null)');
+        }
+        fields.prazo = input.prazo === null ? null : new Date(input.prazo).toISOString();
+    }
+    if (input.checklist !== undefined) {
+        fields.checklist = _parseChecklist(input.checklist).map(item => ({ texto: item.texto, done: item.done ?? false }));
+    }
+    return fields;
+}
+
+/** Checklist: ["texto", …] ou [{ texto, done? }, …] */
+function _parseChecklist(list) {
+    if (!Array.isArray(list)) throw new TaskError('"checklist" deve ser um array');
+    if (list.length > MAX_CHECKLIST) throw new TaskError(`Máximo de ${MAX_CHECKLIST} itens no checklist`, 413);
+    return list.map((item, i) => {
+        const { texto, done } = typeof item === 'string' ? { texto: item } : (item ?? {});
+        if (typeof texto !== 'string' || !texto.trim() || texto.length > 300) {
+            throw new TaskError(`checklist[${i}]: "texto" deve ser texto de 1 a 300 caracteres`);
+        }
+        if (done !== undefined && typeof done !== 'boolean') throw new TaskError(`checklist[${i}]: "done" deve ser booleano`);
+        return { texto: texto.trim(), done };
+    });
+}
+
+function _parseLoja(loja) {
+    if (loja === undefined || loja === null) return null;
+    if (!stores.STORES.includes(loja)) throw new TaskError(`"loja" deve ser uma de: ${stores.STORES.join(', ')}`);
+    return loja;
+}
+
+/**
+ * Responsável validado: usuário ativo que atua em todas as lojas.
+ * "me" = a própria identidade; atribuir a outra pessoa exige supervisor.
+ */
+function _assignee(user, value, lojas) {
+    const id = value === 'me' ? user.id : String(value);
+    if (id !== user.id && !hasRole(user.role, 'supervisor')) {
+        throw new TaskError('Papel "supervisor" necessário para atribuir a outro usuário — use "me" para pegar a tarefa', 403);
+    }
+    if (id === user.id) {
+        const outside = lojas.find(loja => !stores.canAccessStore(user, loja));
+        if (outside) throw new TaskError(`Você não atua em ${outside}`, 403);
+        return { id: user.id, name: user.name };
+    }
+
+    const target = users.getUser(id);
+    if (!target || !target.active) throw new TaskError(`Usuário ${id} não encontrado ou inativo`, 404);
+    const outside = lojas.find(loja => !stores.canAccessStore(target, loja));
+    if (outside) throw new TaskError(`${target.name} não atua em ${outside}`);
+    return { id: target.id, name: target.name };
+}
+
+/** true se o responsável atual atua na loja (a própria identidade pode não estar em users) */
+function _actsIn(id, user, loja) {
+    const target = id === user.id ? user : users.getUser(id);
+    return !!target && stores.canAccessStore(target, loja);
+}
+
+function _parseRecurrence(user, input, current = null) {
+    if (!input || typeof input !== 'object') throw new TaskError('Body deve ser um objeto JSON');
+    const allowed = ['titulo', 'descricao', 'prioridade', 'lojas', 'responsavel', 'checklist', 'frequencia', 'dias', 'horario', 'prazoHoras', 'active'];
+    const unknown = Object.keys(input).filter(k => !allowed.includes(k));
+    if (unknown.length) throw new TaskError(`Campos desconhecidos: ${unknown.join(', ')} (aceitos: ${allowed.join(', ')})`);
+
+    const base = current ?? { descricao: null, prioridade: 'media', lojas: [], responsavel: null, checklist: [], dias: [], horario: '06:00', prazoHoras: 4, active: true };
+    const rec  = { ...base, ...input };
+
+    if (typeof rec.titulo !== 'string' || !rec.titulo.trim() || rec.titulo.length > 300) throw new TaskError('"titulo" é obrigatório (até 300 caracteres)');
+    rec.titulo = rec.titulo.trim();
+    if (rec.descricao !== null && (typeof rec.descricao !== 'string' || rec.descricao.length > 5000)) throw new TaskError('"descricao" deve ser texto de até 5000 caracteres');
+    if (!PRIORIDADES.includes(rec.prioridade)) throw new TaskError(`"prioridade" deve ser uma de: ${PRIORIDADES.join(', ')}`);
+    if (!FREQUENCIAS.includes(rec.frequencia)) throw new TaskError(`"frequencia" deve ser uma de: ${FREQUENCIAS.join(', ')}`);
+    if (typeof rec.horario !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(rec.horario)) throw new TaskError('"horario" deve ser HH:MM (ex.: "06:00")');
+    if (typeof rec.prazoHoras !== 'number' || !(rec.prazoHoras > 0) || rec.prazoHoras > 744) throw new TaskError('"prazoHoras" deve ser um número entre 0 e 744');
+    if (typeof rec.active !== 'boolean') throw new TaskError('"active" deve ser booleano');
+
+    if (!Array.isArray(rec.lojas) || rec.lojas.some(l => !stores.STORES.includes(l))) {
+        throw new TaskError(`"lojas" deve ser um array com lojas de: ${stores.STORES.join(', ')}`);
+    }
+    rec.lojas = [...new Set(rec.lojas)];
+    _assertRecurrenceStores(user, rec.lojas);
+
+    if (rec.frequencia === 'diaria') {
+        rec.dias = [];
+    } else {
+        const [min, max, label] = rec.frequencia === 'semanal' ? [0, 6, 'dias da semana (0 = domingo … 6 = sábado)'] : [1, 31, 'dias do mês (1 a 31)'];
+        if (!Array.isArray(rec.dias) || !rec.dias.length || rec.dias.some(d => !Number.isInteger(d) || d < min || d > max)) {
+            throw new TaskError(`"dias" deve listar ${label}`);
+        }
+        rec.dias = [...new Set(rec.dias)].sort((a, b) => a - b);
+    }
+
+    rec.checklist = _parseChecklist(rec.checklist).map(item => item.texto);
+    if (rec.responsavel !== null && input.responsavel !== undefined) {
+        rec.responsavel = _assignee(user, rec.responsavel, rec.lojas.length ? rec.lojas : [null]).id;
+    }
+    return rec;
+}
+
+function _recurrenceParams(rec) {
+    return {
+        titulo:      rec.titulo,
+        descricao:   rec.descricao,
+        prioridade:  rec.prioridade,
+        lojas:       JSON.stringify(rec.lojas),
+        responsavel: rec.responsavel,
+        checklist:   JSON.stringify(rec.checklist),
+        frequencia:  rec.frequencia,
+        dias:        JSON.stringify(rec.dias),
+        horario:     rec.horario,
+        prazoHoras:  rec.prazoHoras,
+        active:      rec.active ? 1 : 0,
+    };
+}
+
+function _assertRecurrenceStores(user, lojas) {
+    const outside = lojas.find(loja => !stores.canAccessStore(user, loja));
+    if (outside) throw new TaskError(`Só quem atua em ${outside} pode gerenciar recorrências dela`, 403);
+    if (!lojas.length && !stores.hasAllStores(user.stores)) {
+        throw new TaskError('Recorrência sem loja (tarefa da rede) exige acesso a todas as lojas', 403);
+    }
+}
+
+function _recurrenceVisible(user, rec) {
+    return !rec.lojas.length || rec.lojas.some(loja => stores.canAccessStore(user, loja));
+}
+
+function _formatRecurrence(row) {
+    return {
+        id:          row.id,
+        numero:      row.seq,
+        titulo:      row.titulo,
+        descricao:   row.descricao,
+        prioridade:  row.prioridade,
+        lojas:       JSON.parse(row.lojas),
+        responsavel: row.responsavel,
+        checklist:   JSON.parse(row.checklist),
+        frequencia:  row.frequencia,
+        dias:        JSON.parse(row.dias),
+        horario:     row.horario,
+        prazoHoras:  row.prazo_horas,
+        active:      !!row.active,
+        nextRun:     row.next_run,
+        lastRun:     row.last_run,
+        createdBy:   row.created_by,
+        createdAt:   row.created_at,
+        updatedAt:   row.updated_at,
+        version:     row.version,
+    };
+}
+
+/** Tarefa sem loja é da rede toda; com loja, só de quem atua nela */
+function _visible(user, row) {
+    return stores.canAccessStore(user, row.loja ?? null);
+}
+
+/** Linhas antigas (só "done") ganham o status equivalente */
+function _status(row) {
+    return STATUSES.includes(row.status) ? row.status : (row.done ? 'concluida' : 'aberta');
+}
+
+/** Linha + status normalizado, atrasada e nível de SLA (null | warn | critical) */
+function _view(row, now = Date.now()) {
+    const sla = _slaLevel(row, now);
+    return { ...row, status: _status(row), atrasada: !!sla, sla };
+}
+
+function _slaLevel(row, now) {
+    if (!row.prazo || !OPEN_STATUSES.includes(_status(row))) return null;
+    const late = now - Date.parse(row.prazo);
+    if (!(late > 0)) return null;
+    const limit = (CRITICAL_AFTER_HOURS[row.prioridade] ?? CRITICAL_AFTER_HOURS.media) * 3_600_000;
+    return late >= limit ? 'critical' : 'warn';
+}
+
+function _dueOrder(task) {
+    return task.prazo ? Date.parse(task.prazo) : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * warn → responsável (ou a loja, sem responsável); critical → a loja inteira,
+ * o que já inclui o responsável (tarefa sem loja → todos).
+ */
+function _alert(row, level, now) {
+    const minutes  = Math.round((now - Date.parse(row.prazo)) / 60_000);
+    const critical = level === 'critical';
+    const title    = `${critical ? 'SLA estourado' : 'Tarefa atrasada'}: ${row.titulo}`;
+    const meta     = {
+        id: row.id, loja: row.loja ?? null, responsavel: row.responsavelNome ?? row.responsavel ?? null,
+        prioridade: row.prioridade ?? null, prazo: row.prazo, atrasoMin: minutes,
+    };
+    if (critical) logger.critical('TASKS', title, meta);
+    else          logger.warn('TASKS', title, meta);
+
+    const notice = {
+        type:    critical ? 'task.sla_breached' : 'task.overdue',
+        title,
+        message: `Prazo ${_formatLocal(Date.parse(row.prazo))} — atraso de ${_formatDelay(minutes)}`,
+        data:    { taskId: row.id, level, prazo: row.prazo, atrasoMin: minutes },
+    };
+    if (row.responsavel && !critical) notifications.notify({ ...notice, userId: row.responsavel });
+    else notifications.notify({ ...notice, stores: row.loja ? [row.loja] : [] });
+}
+
+function _notifyAssigned(task, actor) {
+    notifications.notify({
+        userId:  task.responsavel,
+        type:    'task.assigned',
+        title:   `Tarefa atribuída a você: ${task.titulo}`,
+        message: task.prazo ? `Prazo ${_formatLocal(Date.parse(task.prazo))}` : null,
+        data:    { taskId: task.id, loja: task.loja ?? null, prioridade: task.prioridade ?? null },
+        actor:   actor?.user ?? null,
+    });
+}
+
+function _step(evento, status, actor, ts, extra = null) {
+    return { evento, status, by: actor?.user ?? null, ts, ...extra };
+}
+
+function _statusLabel(status) {
+    return { aberta: 'reaberta', em_andamento: 'em andamento', bloqueada: 'bloqueada', concluida: 'concluída', cancelada: 'cancelada' }[status];
+}
+
+// ── FUSO DAS LOJAS ────────────────────────────────────────────
+
+/** "-03:00" → -180 (minutos em relação ao UTC) */
+function _parseOffset(value) {
+    const match = String(value).match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (!match) throw new Error(`TASKS_TZ_OFFSET inválido: "${value}" (use ±HH:MM, ex.: -03:00)`);
+    return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+}
+
+/** Data local (YYYY-MM-DD) de um instante */
+function _localDate(ms) {
+    return new Date(ms + TZ_OFFSET_MIN * 60_000).toISOString().slice(0, 10);
+}
+
+/** "19/10 08:00" no horário local */
+function _formatLocal(ms) {
+    const iso = new Date(ms + TZ_OFFSET_MIN * 60_000).toISOString();
+    return `${iso.slice(8, 10)}/${iso.slice(5, 7)} ${iso.slice(11, 16)}`;
+}
+
+function _formatDelay(minutes) {
+    if (minutes < 60) return `${minutes}min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h${minutes % 60 ? `${String(minutes % 60).padStart(2, '0')}min` : ''}`;
+    return `${Math.floor(hours / 24)} dias`;
+}
+
+/** Instante do horário da recorrência no dia local de "ms" */
+function _scheduledAt(rec, ms) {
+    const [hh, mm] = rec.horario.split(':').map(Number);
+    const local    = new Date(ms + TZ_OFFSET_MIN * 60_000);
+    return Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), hh, mm) - TZ_OFFSET_MIN * 60_000;
+}
+
+/** Próxima ocorrência estritamente depois do instante "after" (ms) */
+function _nextOccurrence(rec, after) {
+    const [hh, mm] = rec.horario.split(':').map(Number);
+    const local    = new Date(after + TZ_OFFSET_MIN * 60_000);
+    for (let d = 0; d <= 366; d++) {
+        const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + d));
+        if (!_matchesDay(rec, day)) continue;
+        const at = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hh, mm) - TZ_OFFSET_MIN * 60_000;
+        if (at > after) return at;
+    }
+    throw new TaskError(`Recorrência sem ocorrência no próximo ano: ${rec.titulo}`);
+}
+
+function _matchesDay(rec, day) {
+    if (rec.frequencia === 'semanal') return rec.dias.includes(day.getUTCDay());
+    if (rec.frequencia === 'mensal') {
+        const last = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+        return rec.dias.some(d => Math.min(d, last) === day.getUTCDate());
+    }
+    return true;
+}
+
+module.exports = {
+    STATUSES,
+    OPEN_STATUSES,
+    PRIORIDADES,
+    FREQUENCIAS,
+    TaskError,
+    list,
+    get,
+    create,
+    update,
+    setStatus,
+    assign,
+    comment,
+    listRecurrences,
+    getRecurrence,
+    createRecurrence,
+    updateRecurrence,
+    deleteRecurrence,
+    runRecurrence,
+    checkOverdue,
+    start,
+    stop,
+};
@@ -0,0 +1,413 @@
+/**
+ * K11 OMNI ELITE — TRANSFERS (TRANSFERÊNCIAS ENTRE LOJAS)
+ * ═════════════════════════════════════════════════════════
+ * Ciclo de vida de uma transferência entre Mesquita, Jacarepaguá e Benfica:
+ *
+ *   requested → approved → dispatched → received
+ *                                    ↘ discrepancy → received (resolve)
+ *   requested / approved → cancelled
+ *
+ *   approve   → supervisor da loja de origem
+ *   dispatch  → saida na origem (quantidade enviada de cada linha)
+ *   receive   → entrada no destino (quantidade recebida de cada linha);
+ *               recebido ≠ enviado → discrepancy
+ *   resolve   → fecha a divergência: "return" devolve a falta à origem
+ *               (entrada), "writeoff" registra a perda sem movimento
+ *
+ * Os lançamentos vão para movimento pelo razão (services/ledger.js) na
+ * mesma transação da mudança de status; cada passo notifica as duas lojas.
+ */
+
+'use strict';
+
+const crypto        = require('crypto');
+const datastore     = require('./datastore');
+const ledger        = require('./ledger');
+const logger        = require('./logger');
+const notifications = require('./notifications');
+const stores        = require('./stores');
+const { hasRole }   = require('./roles');
+
+const STATUSES      = ['requested', 'approved', 'dispatched', 'received', 'discrepancy', 'cancelled'];
+const OPEN_STATUSES = ['requested', 'approved', 'dispatched', 'discrepancy'];
+const RESOLUTIONS   = ['return', 'writeoff'];
+const MAX_LINES     = 500;
+
+// identidade que lança a devolução na origem: quem resolve pode ser só do destino
+const SYSTEM_USER   = { name: 'sistema', role: 'supervisor', stores: [stores.ALL] };
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS transfers (
+        seq          INTEGER PRIMARY KEY AUTOINCREMENT,
+        id           TEXT NOT NULL UNIQUE,
+        origem       TEXT NOT NULL,
+        destino      TEXT NOT NULL,
+        status       TEXT NOT NULL,
+        lines        TEXT NOT NULL,
+        history      TEXT NOT NULL,
+        observacao   TEXT,
+        resolution   TEXT,
+        requested_by TEXT,
+        created_at   TEXT NOT NULL,
+        updated_at   TEXT NOT NULL,
+        version      INTEGER NOT NULL DEFAULT 1
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transfers_status ON transfers (status);
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+
+const stmt = {
+    insert: db.prepare(`
+        INSERT INTO transfers (id, origem, destino, status, lines, history, observacao, requested_by, created_at, updated_at)
+        VALUES (@id, @origem, @destino, 'requested', @lines, @history, @observacao, @requestedBy, @now, @now)
+    `),
+    byId:   db.prepare('SELECT * FROM transfers WHERE id = ?'),
+    update: db.prepare(`
+        UPDATE transfers SET status = @status, lines = @lines, history = @history, resolution = @resolution,
+                             updated_at = @now, version = version + 1
+        WHERE id = @id AND status = @from
+    `),
+};
+
+class TransferError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'TransferError';
+        this.status = status;
+    }
+}
+
+// ── CONSULTA ──────────────────────────────────────────────────
+
+/**
+ * Transferências em que a identidade atua (origem ou destino).
+ * Filtros: status, loja, open (só as em aberto).
+ */
+function list(user, { status = null, loja = null, open = false } = {}) {
+    const where  = [];
+    const params = {};
+
+    if (!stores.hasAllStores(user.stores)) {
+        const mine = user.stores || [];
+        mine.forEach((s, i) => { params[`s${i}`] = s; });
+        const inList = `(${mine.map((_, i) => `@s${i}`).join(', ') || 'NULL'})`;
+        where.push(`(origem IN ${inList} OR destino IN ${inList})`);
+    }
+    if (loja)   { where.push('(origem = @loja OR destino = @loja)'); params.loja = loja; }
+    if (status) { where.push('status = @status'); params.status = status; }
+    if (open)   where.push(`status IN (${OPEN_STATUSES.map(s => `'${s}'`).join(', ')})`);
+
+    return db.prepare(`SELECT * FROM transfers ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY seq DESC`)
+        .all(params)
+        .map(_format);
+}
+
+/** Transferência por id — TransferError 404 se não existe ou não é das lojas do usuário */
+function get(user, id) {
+    const row = stmt.byId.get(id);
+    if (!row || !_involved(user, row)) throw new TransferError(`Transferência ${id} não encontrada`, 404);
+    return _format(row);
+}
+
+// ── CICLO DE VIDA ─────────────────────────────────────────────
+
+/**
+ * Solicita uma transferência.
+ * Body: { origem, destino, lines: [{ produtoId, quantidade }], observacao? }
+ */
+async function request(user, input, { actor = null } = {}) {
+    const { origem, destino, lines, observacao } = input || {};
+    if (!stores.STORES.includes(origem))  throw new TransferError(`"origem" deve ser uma de: ${stores.STORES.join(', ')}`);
+    if (!stores.STORES.includes(destino)) throw new TransferError(`"destino" deve ser uma de: ${stores.STORES.join(', ')}`);
+    if (origem === destino) throw new TransferError('"destino" deve ser diferente de "origem"');
+    if (!stores.canAccessStore(user, origem) && !stores.canAccessStore(user, destino)) {
+        throw new TransferError('Só quem atua na origem ou no destino pode solicitar a transferência', 403);
+    }
+    if (observacao !== undefined && typeof observacao !== 'string') throw new TransferError('"observacao" deve ser texto');
+
+    const parsed = await _parseLines(lines);
+    const id     = crypto.randomUUID();
+    const now    = new Date().toISOString();
+
+    stmt.insert.run({
+        id,
+        origem,
+        destino,
+        lines:       JSON.stringify(parsed),
+        history:     JSON.stringify([_step('requested', actor, now, observacao)]),
+        observacao:  observacao ?? null,
+        requestedBy: actor?.user ?? user.name,
+        now,
+    });
+
+    const transfer = _format(stmt.byId.get(id));
+    _notify(transfer, 'requested', `Transferência solicitada: ${origem} → ${destino}`, actor);
+    return transfer;
+}
+
+/** requested → approved (supervisor da origem) */
+async function approve(user, id, { observacao, actor = null } = {}) {
+    const transfer = get(user, id);
+    _assertRole(user, 'supervisor', 'aprovar');
+    _assertStore(user, transfer.origem, 'aprovar (loja de origem)');
+
+    const updated = _transition(transfer, ['requested'], 'approved', { actor, observacao });
+    _notify(updated, 'approved', `Transferência aprovada: ${updated.origem} → ${updated.destino}`, actor);
+    return updated;
+}
+
+/**
+ * approved → dispatched (origem). Lança saida na origem.
+ * Body opcional: { lines: [{ produtoId, enviada }] } — padrão: a quantidade pedida.
+ */
+async function dispatch(user, id, { lines, observacao, actor = null } = {}) {
+    const transfer = get(user, id);
+    _assertRole(user, 'operador', 'despachar');
+    _assertStore(user, transfer.origem, 'despachar (loja de origem)');
+    if (transfer.status !== 'approved') throw _invalidTransition(transfer, 'dispatched');
+
+    const sent = _applyQuantities(transfer.lines, lines, 'enviada', l => l.quantidade);
+    if (sent.every(l => l.enviada === 0)) throw new TransferError('Nenhuma quantidade a enviar');
+
+    let updated;
+    await ledger.postMany(user, sent.filter(l => l.enviada > 0).map(l => ({
+        produtoId:  l.produtoId,
+        tipo:       'saida',
+        quantidade: l.enviada,
+        loja:       transfer.origem,
+        referencia: `transferencia:${transfer.id}`,
+        observacao: `Transferência #${transfer.numero} para ${transfer.destino}`,
+    })), {
+        actor,
+        within: () => { updated = _transition(transfer, ['approved'], 'dispatched', { actor, observacao, lines: sent }); },
+    });
+
+    _notify(updated, 'dispatched', `Transferência despachada: ${updated.origem} → ${updated.destino}`, actor);
+    return updated;
+}
+
+/**
+ * dispatched → received | discrepancy (destino). Lança entrada no destino.
+ * Body: { lines: [{ produtoId, recebida }] } — linha omitida = recebeu o enviado.
+ */
+async function receive(user, id, { lines, observacao, actor = null } = {}) {
+    const transfer = get(user, id);
+    _assertRole(user, 'operador', 'receber');
+    _assertStore(user, transfer.destino, 'receber (loja de destino)');
+    if (transfer.status !== 'dispatched') throw _invalidTransition(transfer, 'received');
+
+    const received = _applyQuantities(transfer.lines, lines, 'recebida', l => l.enviada)
+        .map(l => ({ ...l, diferenca: _round(l.recebida - l.enviada) }));
+    const status = received.some(l => l.diferenca !== 0) ? 'discrepancy' : 'received';
+
+    let updated;
+    const within = () => { updated = _transition(transfer, ['dispatched'], status, { actor, observacao, lines: received }); };
+    const entries = received.filter(l => l.recebida > 0).map(l => ({
+        produtoId:  l.produtoId,
+        tipo:       'entrada',
+        quantidade: l.recebida,
+        loja:       transfer.destino,
+        referencia: `transferencia:${transfer.id}`,
+        observacao: `Transferência #${transfer.numero} de ${transfer.origem}`,
+    }));
+
+    if (entries.length) await ledger.postMany(user, entries, { actor, within });
+    else db.transaction(within)();
+
+    if (status === 'discrepancy') {
+        const faltas = received.filter(l => l.diferenca !== 0).map(l => `${l.produtoId} (${l.diferenca > 0 ? '+' : ''}${l.diferenca})`);
+        _notify(updated, 'discrepancy', `Divergência no recebimento: ${updated.origem} → ${updated.destino}`, actor, `Itens: ${faltas.join(', ')}`);
+    } else {
+        _notify(updated, 'received', `Transferência recebida: ${updated.origem} → ${updated.destino}`, actor);
+    }
+    return updated;
+}
+
+/**
+ * discrepancy → received (supervisor de uma das lojas).
+ * Body: { resolution: "return" | "writeoff", observacao? }
+ *   return   → a falta volta para o estoque da origem (entrada)
+ *   writeoff → a falta é baixada como perda (sem movimento)
+ *
+ * O acesso é conferido aqui (transferência visível + permissão de lançar
+ * movimento); a entrada da devolução sai como SYSTEM_USER, com o actor
+ * da requisição na trilha.
+ */
+async function resolve(user, id, { resolution, observacao, actor = null } = {}) {
+    const transfer = get(user, id);
+    _assertRole(user, 'supervisor', 'resolver divergência de');
+    if (transfer.status !== 'discrepancy') throw _invalidTransition(transfer, 'received');
+    if (!RESOLUTIONS.includes(resolution)) throw new TransferError(`"resolution" deve ser uma de: ${RESOLUTIONS.join(', ')}`);
+    if (resolution === 'return' && !datastore.registry.canWrite(user, 'movimento')) {
+        throw new TransferError('Sem permissão para lançar movimentos', 403);
+    }
+
+    let updated;
+    const within = () => { updated = _transition(transfer, ['discrepancy'], 'received', { actor, observacao, resolution }); };
+    const shortfalls = transfer.lines.filter(l => l.diferenca < 0);
+
+    if (resolution === 'return' && shortfalls.length) {
+        await ledger.postMany(SYSTEM_USER, shortfalls.map(l => ({
+            produtoId:  l.produtoId,
+            tipo:       'entrada',
+            quantidade: -l.diferenca,
+            loja:       transfer.origem,
+            referencia: `transferencia:${transfer.id}`,
+            observacao: `Devolução da falta na transferência #${transfer.numero}`,
+        })), { actor, within });
+    } else {
+        db.transaction(within)();
+    }
+
+    _notify(updated, 'resolved', `Divergência resolvida (${resolution}): ${updated.origem} → ${updated.destino}`, actor);
+    return updated;
+}
+
+/** requested | approved → cancelled (supervisor, ou quem pediu enquanto requested) */
+async function cancel(user, id, { observacao, actor = null } = {}) {
+    const transfer = get(user, id);
+    const isRequester = transfer.status === 'requested' && transfer.requestedBy === user.name;
+    if (!isRequester) _assertRole(user, 'supervisor', 'cancelar');
+
+    const updated = _transition(transfer, ['requested', 'approved'], 'cancelled', { actor, observacao });
+    _notify(updated, 'cancelled', `Transferência cancelada: ${updated.origem} → ${updated.destino}`, actor);
+    return updated;
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/**
+ * Muda o status se ele ainda for um dos esperados — outra requisição
+ * que mudou antes → TransferError 409 (e a transação em volta desfaz).
+ */
+function _transition(transfer, from, to, { actor, observacao, lines, resolution } = {}) {
+    if (!from.includes(transfer.status)) throw _invalidTransition(transfer, to);
+    const now  = new Date().toISOString();
+    const info = stmt.update.run({
+        id:         transfer.id,
+        from:       transfer.status,
+        status:     to,
+        lines:      JSON.stringify(lines ?? transfer.lines),
+        history:    JSON.stringify([...transfer.history, _step(to, actor, now, observacao, resolution)]),
+        resolution: resolution ?? transfer.resolution,
+        now,
+    });
+    if (!info.changes) throw new TransferError(`Transferência ${transfer.id} mudou de status — recarregue`, 409);
+
+    logger.info('TRANSFERS', `Transferência #${transfer.numero}: ${transfer.status} → ${to}`, { id: transfer.id, by: actor?.user });
+    return _format(stmt.byId.get(transfer.id));
+}
+
+function _invalidTransition(transfer, to) {
+    return new TransferError(`Transferência em "${transfer.status}" não pode ir para "${to}"`, 409);
+}
+
+async function _parseLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) throw new TransferError('"lines" deve ser um array não vazio');
+    if (lines.length > MAX_LINES) throw new TransferError(`Máximo de ${MAX_LINES} linhas por transferência`, 413);
+
+    const seen = new Set();
+    const parsed = [];
+    for (const [i, line] of lines.entries()) {
+        const produtoId = line?.produtoId;
+        if (produtoId === undefined || produtoId === null || produtoId === '') throw new TransferError(`lines[${i}]: "produtoId" é obrigatório`);
+        if (typeof line.quantidade !== 'number' || !(line.quantidade > 0)) throw new TransferError(`lines[${i}]: "quantidade" deve ser positiva`);
+        if (seen.has(String(produtoId))) throw new TransferError(`lines[${i}]: produto ${produtoId} repetido`);
+        if (!await datastore.getItem('produtos', produtoId)) throw new TransferError(`lines[${i}]: produto ${produtoId} não encontrado`, 404);
+        seen.add(String(produtoId));
+        parsed.push({ produtoId, quantidade: line.quantidade, enviada: null, recebida: null, diferenca: null });
+    }
+    return parsed;
+}
+
+/**
+ * Aplica as quantidades informadas (enviada/recebida) às linhas;
+ * linhas omitidas ficam com o padrão (pedido/enviado).
+ */
+function _applyQuantities(current, input, field, fallback) {
+    if (input !== undefined && !Array.isArray(input)) throw new TransferError('"lines" deve ser um array');
+    const given = new Map();
+    for (const [i, line] of (input || []).entries()) {
+        const match = current.find(l => String(l.produtoId) === String(line?.produtoId));
+        if (!match) throw new TransferError(`lines[${i}]: produto ${line?.produtoId} não está na transferência`);
+        if (typeof line[field] !== 'number' || line[field] < 0) throw new TransferError(`lines[${i}]: "${field}" deve ser um número >= 0`);
+        if (field === 'enviada' && line[field] > match.quantidade) {
+            throw new TransferError(`lines[${i}]: enviada (${line[field]}) maior que a quantidade pedida (${match.quantidade})`);
+        }
+        given.set(String(match.produtoId), line[field]);
+    }
+    return current.map(l => ({ ...l, [field]: given.get(String(l.produtoId)) ?? fallback(l) }));
+}
+
+function _notify(transfer, step, title, actor, message = null) {
+    notifications.notify({
+        stores:  [transfer.origem, transfer.destino],
+        type:    `transfer.${step}`,
+        title,
+        message: message ?? `Transferência #${transfer.numero} — ${transfer.lines.length} item(ns)`,
+        data:    { transferId: transfer.id, numero: transfer.numero, status: transfer.status },
+        actor:   actor?.user ?? null,
+    });
+}
+
+function _step(status, actor, ts, observacao, resolution) {
+    return {
+        status,
+        by: actor?.user ?? null,
+        ts,
+        ...(observacao && { observacao }),
+        ...(resolution && { resolution }),
+    };
+}
+
+function _assertRole(user, role, action) {
+    if (!hasRole(user?.role, role)) throw new TransferError(`Papel "${role}" necessário para ${action} a transferência`, 403);
+}
+
+function _assertStore(user, store, action) {
+    if (!stores.canAccessStore(user, store)) throw new TransferError(`Só quem atua em ${store} pode ${action}`, 403);
+}
+
+function _involved(user, row) {
+    return stores.canAccessStore(user, row.origem) || stores.canAccessStore(user, row.destino);
+}
+
+function _format(row) {
+    return {
+        id:          row.id,
+        numero:      row.seq,
+        origem:      row.origem,
+        destino:     row.destino,
+        status:      row.status,
+        open:        OPEN_STATUSES.includes(row.status),
+        lines:       JSON.parse(row.lines),
+        history:     JSON.parse(row.history),
+        observacao:  row.observacao,
+        resolution:  row.resolution,
+        requestedBy: row.requested_by,
+        createdAt:   row.created_at,
+        updatedAt:   row.updated_at,
+        version:     row.version,
+    };
+}
+
+function _round(n) {
+    return Math.round(n * 1e6) / 1e6;
+}
+
+module.exports = {
+    STATUSES,
+    OPEN_STATUSES,
+    TransferError,
+    list,
+    get,
+    request,
+    approve,
+    dispatch,
+    receive,
+    resolve,
+    cancel,
+};
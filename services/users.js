@@ -0,0 +1,236 @@
+/**
+ * K11 OMNI ELITE — USERS & API KEYS
+ * ═══════════════════════════════════
+ * Usuários nomeados com papel (role) e chaves de API próprias.
+ * Tudo fica no SQLite do DataStore; as chaves são guardadas
+ * apenas como hash SHA-256 — o valor em claro aparece uma única
+ * vez, na criação.
+ *
+ * Papéis (do menor para o maior):
+ *   viewer → operador → supervisor → admin
+ *
+ * Lojas: cada usuário é vinculado a uma ou mais lojas (ou "*" = todas);
+ * uma chave pode restringir ainda mais. Ver services/stores.js.
+ */
+
+'use strict';
+
+const crypto    = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const datastore = require('./datastore');
+const logger    = require('./logger');
+const stores    = require('./stores');
+const { ROLES, hasRole } = require('./roles');
+
+const KEY_PREFIX        = 'k11';
+const TOUCH_INTERVAL_MS = 5 * 60_000;   // atualiza last_used_at no máx. a cada 5min
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        id         TEXT PRIMARY KEY,
+        name       TEXT NOT NULL UNIQUE,
+        role       TEXT NOT NULL,
+        stores     TEXT NOT NULL DEFAULT '["*"]',
+        active     INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id           TEXT PRIMARY KEY,
+        user_id      TEXT NOT NULL REFERENCES users(id),
+        prefix       TEXT NOT NULL,
+        key_hash     TEXT NOT NULL UNIQUE,
+        label        TEXT,
+        stores       TEXT,
+        created_at   TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at   TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys (user_id);
+`;
+
+const db = datastore.db;
+db.exec(SCHEMA);
+_migrate();
+
+const stmt = {
+    insertUser:  db.prepare('INSERT INTO users (id, name, role, stores, active, created_at, updated_at) VALUES (@id, @name, @role, @stores, 1, @now, @now)'),
+    updateUser:  db.prepare('UPDATE users SET role = @role, stores = @stores, active = @active, updated_at = @now WHERE id = @id'),
+    userById:    db.prepare('SELECT * FROM users WHERE id = ?'),
+    userByName:  db.prepare('SELECT * FROM users WHERE name = ?'),
+    listUsers:   db.prepare('SELECT * FROM users ORDER BY name'),
+    countUsers:  db.prepare('SELECT COUNT(*) AS n FROM users WHERE active = 1'),
+    insertKey:   db.prepare('INSERT INTO api_keys (id, user_id, prefix, key_hash, label, stores, created_at) VALUES (@id, @userId, @prefix, @hash, @label, @stores, @now)'),
+    keyByHash:   db.prepare(`
+        SELECT k.id AS key_id, k.last_used_at, k.revoked_at, k.stores AS key_stores, u.*
+        FROM api_keys k JOIN users u ON u.id = k.user_id
+        WHERE k.key_hash = ?
+    `),
+    keysByUser:  db.prepare('SELECT id, prefix, label, stores, created_at, last_used_at, revoked_at FROM api_keys WHERE user_id = ? ORDER BY created_at'),
+    revokeKey:   db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL'),
+    touchKey:    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+};
+
+class UserError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name   = 'UserError';
+        this.status = status;
+    }
+}
+
+// ── USUÁRIOS ──────────────────────────────────────────────────
+
+function createUser({ name, role = 'viewer', stores: storeList }) {
+    if (!name || typeof name !== 'string' || !/^[\w.@-]{2,60}$/.test(name)) {
+        throw new UserError('"name" deve ter 2-60 caracteres (letras, números, . _ - @)');
+    }
+    if (!ROLES.includes(role)) throw new UserError(`"role" deve ser um de: ${ROLES.join(', ')}`);
+    if (stmt.userByName.get(name)) throw new UserError(`Usuário "${name}" já existe`, 409);
+
+    const user = { id: uuidv4(), name, role, stores: JSON.stringify(_stores(storeList)), now: new Date().toISOString() };
+    stmt.insertUser.run(user);
+    logger.info('USERS', `Usuário criado: ${name}`, { role, stores: user.stores });
+    return getUser(user.id);
+}
+
+function updateUser(id, { role, active, stores: storeList }) {
+    const current = stmt.userById.get(id);
+    if (!current) return null;
+    if (role !== undefined && !ROLES.includes(role)) throw new UserError(`"role" deve ser um de: ${ROLES.join(', ')}`);
+
+    stmt.updateUser.run({
+        id,
+        role:   role ?? current.role,
+        stores: storeList === undefined ? current.stores : JSON.stringify(_stores(storeList)),
+        active: active === undefined ? current.active : (active ? 1 : 0),
+        now:    new Date().toISOString(),
+    });
+    logger.info('USERS', `Usuário atualizado: ${current.name}`, { role, active, stores: storeList });
+    return getUser(id);
+}
+
+function getUser(id) {
+    const row = stmt.userById.get(id);
+    if (!row) return null;
+    const keys = stmt.keysByUser.all(id).map(k => ({ ...k, stores: k.stores ? JSON.parse(k.stores) : null }));
+    return { ..._publicUser(row), keys };
+}
+
+function listUsers() {
+    return stmt.listUsers.all().map(_publicUser);
+}
+
+function hasUsers() {
+    return stmt.countUsers.get().n > 0;
+}
+
+// ── CHAVES DE API ─────────────────────────────────────────────
+
+/**
+ * Gera uma chave nova para o usuário.
+ * Retorna { key, id, prefix } — "key" em claro só existe aqui.
+ */
+function createApiKey(userId, { label = null, stores: storeList = null } = {}) {
+    if (!stmt.userById.get(userId)) return null;
+    const keyStores = storeList == null ? null : _stores(storeList);
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key    = `${KEY_PREFIX}_${prefix}_${secret}`;
+    const id     = uuidv4();
+
+    stmt.insertKey.run({
+        id, userId, prefix, label,
+        hash:   _hash(key),
+        stores: keyStores ? JSON.stringify(keyStores) : null,
+        now:    new Date().toISOString(),
+    });
+    logger.info('USERS', 'Chave de API criada', { userId, prefix, label, stores: keyStores });
+    return { id, prefix, label, stores: keyStores, key };
+}
+
+function revokeApiKey(userId, keyId) {
+    const info = stmt.revokeKey.run(new Date().toISOString(), keyId, userId);
+    if (info.changes) logger.info('USERS', 'Chave de API revogada', { userId, keyId });
+    return info.changes > 0;
+}
+
+/**
+ * Resolve uma chave de API para a identidade do usuário.
+ * Retorna null se a chave não existe, foi revogada ou o usuário está inativo.
+ */
+function authenticateKey(key) {
+    if (!key || !key.startsWith(`${KEY_PREFIX}_`)) return null;
+
+    const row = stmt.keyByHash.get(_hash(key));
+    if (!row || row.revoked_at || !row.active) return null;
+
+    const now = Date.now();
+    if (!row.last_used_at || now - Date.parse(row.last_used_at) > TOUCH_INTERVAL_MS) {
+        stmt.touchKey.run(new Date(now).toISOString(), row.key_id);
+    }
+
+    const keyStores = row.key_stores ? JSON.parse(row.key_stores) : null;
+    return {
+        ..._identity(row),
+        stores: stores.intersect(JSON.parse(row.stores), keyStores),
+        via:    'api-key',
+        keyId:  row.key_id,
+    };
+}
+
+// ── HELPERS ───────────────────────────────────────────────────
+
+/** Colunas novas em bancos criados antes do escopo por loja */
+function _migrate() {
+    const userCols = db.prepare('PRAGMA table_info(users)').all().map(c => c.name);
+    if (!userCols.includes('stores')) db.exec(`ALTER TABLE users ADD COLUMN stores TEXT NOT NULL DEFAULT '["*"]'`);
+    const keyCols = db.prepare('PRAGMA table_info(api_keys)').all().map(c => c.name);
+    if (!keyCols.includes('stores')) db.exec('ALTER TABLE api_keys ADD COLUMN stores TEXT');
+}
+
+function _stores(list) {
+    const normalized = stores.normalize(list);
+    if (!normalized || normalized.length === 0) {
+        throw new UserError(`"stores" deve listar lojas entre: ${stores.STORES.join(', ')} (ou "*")`);
+    }
+    return normalized;
+}
+
+function _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function _publicUser(row) {
+    return {
+        id:        row.id,
+        name:      row.name,
+        role:      row.role,
+        stores:    JSON.parse(row.stores),
+        active:    !!row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/** Identidade anexada em req.user */
+function _identity(row) {
+    return { id: row.id, name: row.name, role: row.role };
+}
+
+module.exports = {
+    ROLES,
+    UserError,
+    hasRole,
+    createUser,
+    updateUser,
+    getUser,
+    listUsers,
+    hasUsers,
+    createApiKey,
+    revokeApiKey,
+    authenticateKey,
+};